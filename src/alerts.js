@@ -0,0 +1,268 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Conf from 'conf';
+import { getActiveProfile, getConfigDir } from './config.js';
+import { getAccounts, getAllBalances, getAllTransactions, getAccountBeneficiaries, getAccountStandingOrders } from './api.js';
+import { BALANCE_PREFERENCE, pickBalance } from './forecast.js';
+import { transactionKey } from './store.js';
+import { describeTransaction } from './watch.js';
+import { CliError } from './errors.js';
+
+export const ALERT_RULE_TYPES = ['balance-below', 'balance-above', 'debit-above', 'credit-above', 'new-beneficiary', 'standing-order-changed'];
+
+const THRESHOLD_TYPES = ['balance-below', 'balance-above', 'debit-above', 'credit-above'];
+const TRANSACTION_TYPES = ['debit-above', 'credit-above'];
+
+// Transactions are re-read this far behind the previous check so late postings are still caught,
+// and the ones that already fired are remembered for the same window
+const LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const stores = new Map();
+
+function getStore() {
+  const profile = getActiveProfile();
+  if (!stores.has(profile)) {
+    stores.set(profile, new Conf({
+      projectName: 'ktmcp-nbg',
+      configName: `alerts-${profile}`,
+      accessPropertiesByDotNotation: false
+    }));
+  }
+  return stores.get(profile);
+}
+
+function obDateTime(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function money(amount, currency) {
+  return `${Number(amount).toFixed(2)} ${currency || ''}`.trim();
+}
+
+export function getDefaultRulesFile() {
+  return path.join(getConfigDir(), 'alerts.json');
+}
+
+export function resetAlertState() {
+  getStore().clear();
+}
+
+// ============================================================
+// Rules
+// ============================================================
+
+function defaultRuleName(rule) {
+  const threshold = rule.amount != null ? ` ${rule.amount}${rule.currency ? ` ${rule.currency}` : ''}` : '';
+  return `${rule.type}${threshold}${rule.accountId ? ` (${rule.accountId})` : ''}`;
+}
+
+function validateRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new CliError(`Alert rule ${index + 1} must be an object`, 'validation');
+  }
+  const where = `Alert rule ${index + 1}${rule.name ? ` ("${rule.name}")` : ''}`;
+  if (!ALERT_RULE_TYPES.includes(rule.type)) {
+    throw new CliError(`${where}: "type" must be one of: ${ALERT_RULE_TYPES.join(', ')}`, 'validation');
+  }
+  const threshold = THRESHOLD_TYPES.includes(rule.type);
+  if (threshold && (rule.amount === undefined || rule.amount === '' || !Number.isFinite(Number(rule.amount)))) {
+    throw new CliError(`${where}: "amount" must be a number`, 'validation');
+  }
+  if (rule.balanceType && !BALANCE_PREFERENCE.includes(rule.balanceType)) {
+    throw new CliError(`${where}: "balanceType" must be one of: ${BALANCE_PREFERENCE.join(', ')}`, 'validation');
+  }
+
+  const normalized = {
+    type: rule.type,
+    accountId: rule.accountId != null ? String(rule.accountId) : null,
+    amount: threshold ? Number(rule.amount) : null,
+    currency: rule.currency ? String(rule.currency).toUpperCase() : null,
+    balanceType: rule.type.startsWith('balance-') ? rule.balanceType || null : null
+  };
+  return { name: rule.name ? String(rule.name) : defaultRuleName(normalized), ...normalized };
+}
+
+// The file holds either an array of rules or { "rules": [...] }
+export function parseRules(text, source = 'rules') {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new CliError(`Cannot parse ${source}: ${error.message}`, 'validation');
+  }
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new CliError(`${source} must contain a non-empty "rules" array`, 'validation');
+  }
+  return rules.map(validateRule);
+}
+
+export function loadRules(file = getDefaultRulesFile()) {
+  if (!fs.existsSync(file)) {
+    throw new CliError(`No alert rules at ${file}. Create it or pass --rules <file>`, 'not_found');
+  }
+  return parseRules(fs.readFileSync(file, 'utf8'), file);
+}
+
+// ============================================================
+// Checks
+// ============================================================
+
+function appliesTo(rule, accountId) {
+  return !rule.accountId || rule.accountId === accountId;
+}
+
+function checkBalances(rules, balances, warnings) {
+  const byAccount = new Map();
+  balances.forEach(b => byAccount.set(b.AccountId, [...(byAccount.get(b.AccountId) || []), b]));
+
+  const alerts = [];
+  for (const rule of rules) {
+    const accountIds = rule.accountId ? [rule.accountId] : [...byAccount.keys()];
+    for (const accountId of accountIds) {
+      const balance = pickBalance(byAccount.get(accountId) || [], rule.balanceType ? [rule.balanceType] : BALANCE_PREFERENCE);
+      if (!balance) {
+        if (rule.accountId) warnings.push(`${rule.name}: account ${accountId} has no ${rule.balanceType ? `${rule.balanceType} ` : ''}balance`);
+        continue;
+      }
+      // A rule with a currency only watches accounts held in it
+      if (rule.currency && balance.currency !== rule.currency) continue;
+
+      const fired = rule.type === 'balance-below' ? balance.amount < rule.amount : balance.amount > rule.amount;
+      if (fired) {
+        alerts.push({
+          rule: rule.name,
+          type: rule.type,
+          accountId,
+          message: `Account ${accountId} ${balance.type} balance ${money(balance.amount, balance.currency)} is ${rule.type === 'balance-below' ? 'below' : 'above'} ${money(rule.amount, balance.currency)}`,
+          data: balance
+        });
+      }
+    }
+  }
+  return alerts;
+}
+
+function checkTransactions(rules, transactions, state) {
+  const alerts = [];
+  const sorted = transactions.slice().sort((a, b) => String(a.BookingDateTime).localeCompare(String(b.BookingDateTime)));
+  for (const t of sorted) {
+    for (const rule of rules) {
+      if (!appliesTo(rule, t.AccountId)) continue;
+      if (t.CreditDebitIndicator !== (rule.type === 'debit-above' ? 'Debit' : 'Credit')) continue;
+      if (rule.currency && t.Amount?.Currency !== rule.currency) continue;
+      if (!(Number(t.Amount?.Amount) > rule.amount)) continue;
+
+      // Each transaction fires a rule once, however many checks see it
+      const key = `${rule.name}|${transactionKey(t)}`;
+      if (state.fired[key]) continue;
+      state.fired[key] = t.BookingDateTime || new Date().toISOString();
+
+      alerts.push({
+        rule: rule.name,
+        type: rule.type,
+        accountId: t.AccountId,
+        message: `${describeTransaction(t)}, above ${money(rule.amount, t.Amount?.Currency)}`,
+        data: t
+      });
+    }
+  }
+  return alerts;
+}
+
+function beneficiaryKey(b) {
+  return b.BeneficiaryId || [b.CreditorAccount?.SchemeName, b.CreditorAccount?.Identification, b.Reference].join('|');
+}
+
+function standingOrderAmount(order) {
+  const amount = order.NextPaymentAmount || order.FirstPaymentAmount || null;
+  return amount ? { Amount: amount.Amount, Currency: amount.Currency } : null;
+}
+
+// Compares each account with the snapshot from the previous check. An account seen for the first
+// time only records its snapshot.
+async function checkSnapshots(rules, accountIds, state) {
+  const alerts = [];
+  const needs = (type, accountId) => rules.some(r => r.type === type && appliesTo(r, accountId));
+  const fire = (type, accountId, message, data) => rules
+    .filter(r => r.type === type && appliesTo(r, accountId))
+    .forEach(rule => alerts.push({ rule: rule.name, type, accountId, message, data }));
+
+  for (const accountId of accountIds) {
+    if (needs('new-beneficiary', accountId)) {
+      const data = await getAccountBeneficiaries(accountId);
+      const beneficiaries = data.Data?.Beneficiary || [];
+      const known = state.beneficiaries[accountId];
+      if (known) {
+        beneficiaries.filter(b => !known.includes(beneficiaryKey(b))).forEach(b => {
+          const name = b.CreditorAccount?.Name || b.Reference || 'Unknown';
+          fire('new-beneficiary', accountId, `New beneficiary ${name}${b.BeneficiaryId ? ` (${b.BeneficiaryId})` : ''} on account ${accountId}`, b);
+        });
+      }
+      state.beneficiaries[accountId] = beneficiaries.map(beneficiaryKey);
+    }
+
+    if (needs('standing-order-changed', accountId)) {
+      const data = await getAccountStandingOrders(accountId);
+      const orders = data.Data?.StandingOrder || [];
+      const known = state.standingOrders[accountId];
+      if (known) {
+        orders.forEach(order => {
+          const previous = known[order.StandingOrderId];
+          const current = standingOrderAmount(order);
+          if (!previous || !current) return;
+          if (Number(previous.Amount) !== Number(current.Amount) || previous.Currency !== current.Currency) {
+            fire('standing-order-changed', accountId,
+              `Standing order ${order.Reference || order.StandingOrderId} on account ${accountId} changed from ${money(previous.Amount, previous.Currency)} to ${money(current.Amount, current.Currency)}`,
+              { ...order, PreviousAmount: previous });
+          }
+        });
+      }
+      state.standingOrders[accountId] = Object.fromEntries(orders
+        .filter(order => order.StandingOrderId && standingOrderAmount(order))
+        .map(order => [order.StandingOrderId, standingOrderAmount(order)]));
+    }
+  }
+  return alerts;
+}
+
+// Evaluates the rules against fresh data. Balance rules look at the current balances, transaction
+// rules at transactions booked since the previous check (or `since`), beneficiary and standing order
+// rules at what changed since the previous check. The state is saved unless `save` is false.
+export async function checkAlerts(rules, { since, save = true } = {}) {
+  const startedAt = Date.now();
+  const state = { checkedAt: null, fired: {}, beneficiaries: {}, standingOrders: {}, ...getStore().get('state') };
+  const alerts = [];
+  const warnings = [];
+
+  const balanceRules = rules.filter(r => r.type.startsWith('balance-'));
+  if (balanceRules.length) {
+    const data = await getAllBalances({}, { all: true });
+    alerts.push(...checkBalances(balanceRules, data.Data?.Balance || [], warnings));
+  }
+
+  const transactionRules = rules.filter(r => TRANSACTION_TYPES.includes(r.type));
+  if (transactionRules.length) {
+    const from = since
+      ? Date.parse(since)
+      : (state.checkedAt ? Date.parse(state.checkedAt) : startedAt) - LOOKBACK_MS;
+    const data = await getAllTransactions({ fromBookingDateTime: obDateTime(from) }, { all: true });
+    alerts.push(...checkTransactions(transactionRules, data.Data?.Transaction || [], state));
+
+    const horizon = startedAt - LOOKBACK_MS;
+    state.fired = Object.fromEntries(Object.entries(state.fired).filter(([, bookedAt]) => !(Date.parse(bookedAt) < horizon)));
+  }
+
+  const snapshotRules = rules.filter(r => r.type === 'new-beneficiary' || r.type === 'standing-order-changed');
+  if (snapshotRules.length) {
+    const accountIds = snapshotRules.every(r => r.accountId)
+      ? [...new Set(snapshotRules.map(r => r.accountId))]
+      : ((await getAccounts()).Data?.Account || []).map(a => a.AccountId);
+    alerts.push(...await checkSnapshots(snapshotRules, accountIds, state));
+  }
+
+  state.checkedAt = obDateTime(startedAt);
+  if (save) getStore().set('state', state);
+
+  return { checkedAt: state.checkedAt, rules: rules.length, alerts, warnings };
+}
@@ -1,126 +1,224 @@
-import axios from 'axios';
 import { getConfig } from './config.js';
+import { getAccessToken, canRefresh, refreshAccessToken } from './auth.js';
+import { getRecordDir, getReplayDir, recordingAdapter, replayAdapter } from './recorder.js';
+import { NbgClient, DEFAULT_BASE_URL, DEFAULT_TIMEOUT, DEFAULT_RETRIES } from './client.js';
 
-function getClient() {
-  const baseUrl = getConfig('baseUrl') || 'https://apis.nbg.gr/uk/v3_1';
-  const accessToken = getConfig('accessToken');
-  const sandboxId = getConfig('sandboxId');
+export { DEFAULT_BASE_URL, DEFAULT_TIMEOUT, DEFAULT_RETRIES };
 
-  const headers = {
-    'Accept': 'application/json',
-    'Content-Type': 'application/json'
-  };
+function debug(message) {
+  console.error(`[nbg] ${message}`);
+}
 
-  if (accessToken) {
-    headers['Authorization'] = `Bearer ${accessToken}`;
-  }
+function numberSetting(key, fallback) {
+  const value = getConfig(key);
+  return value != null && !Number.isNaN(Number(value)) ? Number(value) : fallback;
+}
 
-  if (sandboxId) {
-    headers['sandbox-id'] = sandboxId;
+// Builds an NbgClient from the active profile, honouring --record/--replay. An accessToken
+// (a payment consent's token) is used as given and never refreshed.
+export function getClient({ accessToken } = {}) {
+  const replayDir = getReplayDir();
+  const recordDir = getRecordDir();
+
+  const options = {
+    baseUrl: getConfig('baseUrl') || DEFAULT_BASE_URL,
+    sandboxId: getConfig('sandboxId'),
+    timeout: numberSetting('timeout', DEFAULT_TIMEOUT),
+    retries: numberSetting('retries', DEFAULT_RETRIES),
+    authDate: getConfig('authenticatedAt'),
+    customerIpAddress: getConfig('customerIpAddress'),
+    customerUserAgent: getConfig('customerUserAgent'),
+    debug: process.env.NBG_DEBUG ? debug : undefined
+  };
+
+  if (replayDir) {
+    // Replays never reach the bank, so they need no token (and must not refresh one) or backoff
+    options.adapter = replayAdapter(replayDir);
+    options.delay = async () => {};
+  } else {
+    options.accessToken = accessToken || getAccessToken;
+    if (!accessToken) options.refreshAccessToken = async () => (canRefresh() ? refreshAccessToken() : null);
+    if (recordDir) options.adapter = recordingAdapter(recordDir);
   }
 
-  return axios.create({
-    baseURL: baseUrl,
-    headers
-  });
+  return new NbgClient(options);
 }
 
 // Account Access Consents
 export async function createConsent(data) {
-  const client = getClient();
-  const response = await client.post('/account-access-consents', data);
-  return response.data;
+  return getClient().createConsent(data);
 }
 
 export async function getConsent(consentId) {
-  const client = getClient();
-  const response = await client.get(`/account-access-consents/${consentId}`);
-  return response.data;
+  return getClient().getConsent(consentId);
 }
 
 export async function deleteConsent(consentId) {
-  const client = getClient();
-  const response = await client.delete(`/account-access-consents/${consentId}`);
-  return response.data;
+  return getClient().deleteConsent(consentId);
 }
 
 // Accounts
 export async function getAccounts(params = {}) {
-  const client = getClient();
-  const response = await client.get('/accounts', { params });
-  return response.data;
+  return getClient().getAccounts(params);
 }
 
 export async function getAccount(accountId) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}`);
-  return response.data;
+  return getClient().getAccount(accountId);
 }
 
 // Balances
-export async function getAccountBalances(accountId) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}/balances`);
-  return response.data;
+export async function getAccountBalances(accountId, params = {}, pagination = {}) {
+  return getClient().getAccountBalances(accountId, params, pagination);
 }
 
-export async function getAllBalances(params = {}) {
-  const client = getClient();
-  const response = await client.get('/balances', { params });
-  return response.data;
+export async function getAllBalances(params = {}, pagination = {}) {
+  return getClient().getAllBalances(params, pagination);
 }
 
 // Transactions
-export async function getAccountTransactions(accountId, params = {}) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}/transactions`, { params });
-  return response.data;
+export async function getAccountTransactions(accountId, params = {}, pagination = {}) {
+  return getClient().getAccountTransactions(accountId, params, pagination);
 }
 
-export async function getAllTransactions(params = {}) {
-  const client = getClient();
-  const response = await client.get('/transactions', { params });
-  return response.data;
+export async function getAllTransactions(params = {}, pagination = {}) {
+  return getClient().getAllTransactions(params, pagination);
 }
 
 // Beneficiaries
 export async function getAccountBeneficiaries(accountId) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}/beneficiaries`);
-  return response.data;
+  return getClient().getAccountBeneficiaries(accountId);
+}
+
+export async function getBeneficiaries() {
+  return getClient().getBeneficiaries();
 }
 
 // Standing Orders
 export async function getAccountStandingOrders(accountId) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}/standing-orders`);
-  return response.data;
+  return getClient().getAccountStandingOrders(accountId);
+}
+
+export async function getStandingOrders() {
+  return getClient().getStandingOrders();
 }
 
 // Scheduled Payments
 export async function getAccountScheduledPayments(accountId) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}/scheduled-payments`);
-  return response.data;
+  return getClient().getAccountScheduledPayments(accountId);
+}
+
+export async function getScheduledPayments() {
+  return getClient().getScheduledPayments();
+}
+
+// Direct Debits
+export async function getAccountDirectDebits(accountId) {
+  return getClient().getAccountDirectDebits(accountId);
+}
+
+// Products and Offers
+export async function getAccountProduct(accountId) {
+  return getClient().getAccountProduct(accountId);
+}
+
+export async function getAccountOffers(accountId) {
+  return getClient().getAccountOffers(accountId);
 }
 
 // Statements
-export async function getAccountStatements(accountId, params = {}) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}/statements`, { params });
-  return response.data;
+export async function getAccountStatements(accountId, params = {}, pagination = {}) {
+  return getClient().getAccountStatements(accountId, params, pagination);
+}
+
+export async function getAccountStatement(accountId, statementId) {
+  return getClient().getAccountStatement(accountId, statementId);
+}
+
+export async function getAccountStatementTransactions(accountId, statementId, params = {}, pagination = {}) {
+  return getClient().getAccountStatementTransactions(accountId, statementId, params, pagination);
+}
+
+export async function getAccountStatementFile(accountId, statementId, options = {}) {
+  return getClient().getAccountStatementFile(accountId, statementId, options);
 }
 
 // Party
 export async function getAccountParty(accountId) {
-  const client = getClient();
-  const response = await client.get(`/accounts/${accountId}/party`);
-  return response.data;
+  return getClient().getAccountParty(accountId);
+}
+
+export async function getAccountParties(accountId) {
+  return getClient().getAccountParties(accountId);
+}
+
+export async function getParty() {
+  return getClient().getParty();
+}
+
+// Payment Initiation
+export async function createDomesticPaymentConsent(data, options = {}) {
+  return getClient().createDomesticPaymentConsent(data, options);
+}
+
+export async function getDomesticPaymentConsent(consentId, { accessToken } = {}) {
+  return getClient({ accessToken }).getDomesticPaymentConsent(consentId);
+}
+
+export async function createDomesticPayment(data, { accessToken, ...options } = {}) {
+  return getClient({ accessToken }).createDomesticPayment(data, options);
+}
+
+export async function getDomesticPayment(paymentId) {
+  return getClient().getDomesticPayment(paymentId);
+}
+
+export async function getDomesticPaymentDetails(paymentId) {
+  return getClient().getDomesticPaymentDetails(paymentId);
+}
+
+export async function createDomesticScheduledPaymentConsent(data, options = {}) {
+  return getClient().createDomesticScheduledPaymentConsent(data, options);
+}
+
+export async function getDomesticScheduledPaymentConsent(consentId, { accessToken } = {}) {
+  return getClient({ accessToken }).getDomesticScheduledPaymentConsent(consentId);
+}
+
+export async function createDomesticScheduledPayment(data, { accessToken, ...options } = {}) {
+  return getClient({ accessToken }).createDomesticScheduledPayment(data, options);
+}
+
+export async function getDomesticScheduledPayment(paymentId) {
+  return getClient().getDomesticScheduledPayment(paymentId);
+}
+
+export async function getDomesticScheduledPaymentDetails(paymentId) {
+  return getClient().getDomesticScheduledPaymentDetails(paymentId);
+}
+
+// Confirmation of Funds
+export async function createFundsConfirmationConsent(data) {
+  return getClient().createFundsConfirmationConsent(data);
+}
+
+export async function getFundsConfirmationConsent(consentId) {
+  return getClient().getFundsConfirmationConsent(consentId);
+}
+
+export async function deleteFundsConfirmationConsent(consentId) {
+  return getClient().deleteFundsConfirmationConsent(consentId);
+}
+
+export async function createFundsConfirmation(data) {
+  return getClient().createFundsConfirmation(data);
 }
 
 // Sandbox
 export async function createSandbox(data) {
-  const client = getClient();
-  const response = await client.post('/sandbox', data);
-  return response.data;
+  return getClient().createSandbox(data);
+}
+
+// Raw requests (nbg api)
+export async function sendRequest(method, path, options = {}) {
+  return getClient().send(method, path, options);
 }
@@ -0,0 +1,296 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { spawn } from 'node:child_process';
+import axios from 'axios';
+import { getConfig, setConfig, deleteConfig, hasConfig } from './config.js';
+import { CliError } from './errors.js';
+
+export const DEFAULT_AUTHORIZE_URL = 'https://my.nbg.gr/identity/connect/authorize';
+export const DEFAULT_TOKEN_URL = 'https://my.nbg.gr/identity/connect/token';
+export const DEFAULT_SCOPE = 'openid offline_access accounts';
+export const DEFAULT_CALLBACK_PORT = 8765;
+
+// Refresh slightly before the real expiry so in-flight requests don't race it
+const EXPIRY_SKEW_MS = 60 * 1000;
+const LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+let refreshInFlight = null;
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function generatePkce() {
+  const verifier = base64Url(crypto.randomBytes(32));
+  const challenge = base64Url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge, method: 'S256' };
+}
+
+// With a consentId the login is bound to that consent (the Open Banking "intent"), which is how the
+// customer authorises a payment or account access consent at the bank
+export function buildAuthorizeUrl({ authorizeUrl, clientId, redirectUri, scope, state, challenge, consentId }) {
+  const url = new URL(authorizeUrl);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', challenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (consentId) {
+    const intent = { openbanking_intent_id: { value: consentId, essential: true } };
+    url.searchParams.set('claims', JSON.stringify({ userinfo: intent, id_token: intent }));
+  }
+  return url.toString();
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// The message may come from the callback query string, so it is escaped
+function callbackPage(title, message) {
+  return `<!doctype html><html><head><title>${escapeHtml(title)}</title></head>` +
+    `<body style="font-family: sans-serif; padding: 2em"><h2>${escapeHtml(title)}</h2><p>${escapeHtml(message)}</p></body></html>`;
+}
+
+// Starts a loopback server and resolves with the authorization code once the
+// browser is redirected back to it.
+export function waitForCallback({ port, state, timeoutMs = LOGIN_TIMEOUT_MS }) {
+  let server;
+  let timer;
+
+  const code = new Promise((resolve, reject) => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, `http://127.0.0.1:${port}`);
+      if (url.pathname !== '/callback') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const returnedState = url.searchParams.get('state');
+      const authCode = url.searchParams.get('code');
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+
+      if (error) {
+        const description = url.searchParams.get('error_description') || error;
+        res.end(callbackPage('Login failed', description));
+        reject(new Error(`Authorization failed: ${description}`));
+      } else if (returnedState !== state) {
+        res.end(callbackPage('Login failed', 'State mismatch.'));
+        reject(new Error('Authorization failed: state mismatch'));
+      } else if (!authCode) {
+        res.end(callbackPage('Login failed', 'No authorization code received.'));
+        reject(new Error('Authorization failed: no authorization code received'));
+      } else {
+        res.end(callbackPage('Login complete', 'You can close this window and return to the terminal.'));
+        resolve(authCode);
+      }
+    });
+
+    server.on('error', reject);
+    timer = setTimeout(() => reject(new Error('Timed out waiting for the authorization callback')), timeoutMs);
+  });
+
+  const listening = new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1');
+  });
+
+  const close = () => {
+    clearTimeout(timer);
+    server.close();
+  };
+
+  return { listening, code: code.finally(close), close };
+}
+
+function openBrowser(url) {
+  const command = process.platform === 'darwin' ? 'open'
+    : process.platform === 'win32' ? 'cmd'
+      : 'xdg-open';
+  const args = process.platform === 'win32' ? ['/c', 'start', '""', url] : [url];
+
+  try {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch {
+    // Not fatal: the URL is always printed for manual use
+  }
+}
+
+// Tokens from a login bound to a payment consent are kept apart, keyed by consent ID, so they never
+// replace the profile's account access token. They are one JSON string so they are encrypted with it.
+function getPaymentTokens() {
+  const value = getConfig('paymentTokens');
+  return value ? JSON.parse(value) : {};
+}
+
+function setPaymentTokens(tokens) {
+  if (Object.keys(tokens).length) setConfig('paymentTokens', JSON.stringify(tokens));
+  else deleteConfig('paymentTokens');
+}
+
+export function getPaymentToken(consentId) {
+  const token = getPaymentTokens()[consentId];
+  if (!token) return null;
+  if (token.expiresAt && Date.now() >= token.expiresAt - EXPIRY_SKEW_MS) {
+    throw new CliError(`The login for payment consent ${consentId} has expired. Run "nbg auth login --consent ${consentId} --scope payments" again`, 'auth');
+  }
+  return token.accessToken;
+}
+
+export function deletePaymentToken(consentId) {
+  const tokens = getPaymentTokens();
+  delete tokens[consentId];
+  setPaymentTokens(tokens);
+}
+
+function storeTokens(tokens, paymentConsentId) {
+  if (paymentConsentId) {
+    setPaymentTokens({
+      ...getPaymentTokens(),
+      [paymentConsentId]: {
+        accessToken: tokens.access_token,
+        expiresAt: tokens.expires_in ? Date.now() + Number(tokens.expires_in) * 1000 : null
+      }
+    });
+    return;
+  }
+  setConfig('accessToken', tokens.access_token);
+  if (tokens.refresh_token) {
+    setConfig('refreshToken', tokens.refresh_token);
+  }
+  if (tokens.expires_in) {
+    setConfig('tokenExpiresAt', Date.now() + Number(tokens.expires_in) * 1000);
+  } else {
+    deleteConfig('tokenExpiresAt');
+  }
+}
+
+async function requestToken(params, paymentConsentId = null) {
+  const tokenUrl = getConfig('tokenUrl') || DEFAULT_TOKEN_URL;
+  const clientId = getConfig('clientId');
+  const clientSecret = getConfig('clientSecret');
+
+  const body = new URLSearchParams({ ...params, client_id: clientId });
+  if (clientSecret) {
+    body.set('client_secret', clientSecret);
+  }
+
+  const response = await axios.post(tokenUrl, body.toString(), {
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+
+  if (!response.data?.access_token) {
+    throw new CliError('Token endpoint did not return an access token', 'auth');
+  }
+
+  storeTokens(response.data, paymentConsentId);
+  return response.data;
+}
+
+// With `payment`, consentId is a payment consent and the token is stored for it alone (see getPaymentToken)
+export async function login({ port = DEFAULT_CALLBACK_PORT, scope, consentId, payment = false, openUrl = true, onAuthorizeUrl } = {}) {
+  const clientId = getConfig('clientId');
+  if (!clientId) {
+    throw new CliError('No client ID configured. Run "nbg config set --client-id <id>" first.', 'auth');
+  }
+
+  const redirectUri = `http://127.0.0.1:${port}/callback`;
+  const pkce = generatePkce();
+  const state = base64Url(crypto.randomBytes(16));
+
+  const callback = waitForCallback({ port, state });
+  // Attach a handler now so an early rejection isn't reported as unhandled
+  callback.code.catch(() => {});
+  await callback.listening;
+
+  const url = buildAuthorizeUrl({
+    authorizeUrl: getConfig('authorizeUrl') || DEFAULT_AUTHORIZE_URL,
+    clientId,
+    redirectUri,
+    scope: scope || getConfig('scope') || DEFAULT_SCOPE,
+    state,
+    challenge: pkce.challenge,
+    consentId
+  });
+
+  if (onAuthorizeUrl) onAuthorizeUrl(url);
+  if (openUrl) openBrowser(url);
+
+  const code = await callback.code;
+
+  const tokens = await requestToken({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: pkce.verifier
+  }, payment ? consentId : null);
+  // Sent as x-fapi-auth-date: when the PSU last logged in
+  if (!payment) setConfig('authenticatedAt', Date.now());
+  return tokens;
+}
+
+export function logout() {
+  deleteConfig('accessToken');
+  deleteConfig('refreshToken');
+  deleteConfig('tokenExpiresAt');
+  deleteConfig('authenticatedAt');
+  deleteConfig('paymentTokens');
+}
+
+export function canRefresh() {
+  return !!(hasConfig('refreshToken') && getConfig('clientId'));
+}
+
+export function isTokenExpired() {
+  const expiresAt = getConfig('tokenExpiresAt');
+  return !!expiresAt && Date.now() >= expiresAt - EXPIRY_SKEW_MS;
+}
+
+export async function refreshAccessToken() {
+  if (!canRefresh()) {
+    throw new CliError('No refresh token available. Run "nbg auth login" again.', 'auth');
+  }
+
+  // Concurrent requests share one refresh instead of burning the refresh token twice
+  if (!refreshInFlight) {
+    refreshInFlight = requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: getConfig('refreshToken')
+    }).finally(() => {
+      refreshInFlight = null;
+    });
+  }
+
+  const tokens = await refreshInFlight;
+  return tokens.access_token;
+}
+
+export async function getAccessToken() {
+  if (isTokenExpired() && canRefresh()) {
+    return refreshAccessToken();
+  }
+  return getConfig('accessToken');
+}
+
+export function getAuthStatus() {
+  const expiresAt = getConfig('tokenExpiresAt');
+  return {
+    loggedIn: hasConfig('accessToken'),
+    clientId: getConfig('clientId') || null,
+    hasRefreshToken: hasConfig('refreshToken'),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    expired: isTokenExpired(),
+    paymentConsents: Object.keys(getPaymentTokens())
+  };
+}
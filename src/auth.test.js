@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+
+// Conf picks its directory on import, so the modules are loaded once the environment points at a scratch one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'nbg-auth-test-'));
+process.env.XDG_CONFIG_HOME = path.join(home, 'config');
+delete process.env.NBG_PROFILE;
+const { createProfile, useProfile, getConfig } = await import('./config.js');
+const auth = await import('./auth.js');
+
+let tokenServer;
+let issued = 0;
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Logs in as if the customer approved at the bank: the callback is hit with the code and state
+async function approveLogin(options) {
+  return auth.login({
+    ...options,
+    port: await freePort(),
+    openUrl: false,
+    onAuthorizeUrl: (url) => {
+      const params = new URL(url).searchParams;
+      fetch(`${params.get('redirect_uri')}?code=abc&state=${params.get('state')}`).catch(() => {});
+    }
+  });
+}
+
+before(async () => {
+  tokenServer = http.createServer((req, res) => {
+    issued++;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ access_token: `token-${issued}`, refresh_token: `refresh-${issued}`, expires_in: 300 }));
+  });
+  await new Promise(resolve => tokenServer.listen(0, '127.0.0.1', resolve));
+  createProfile('test', {
+    clientId: 'client',
+    authorizeUrl: 'https://bank.example/authorize',
+    tokenUrl: `http://127.0.0.1:${tokenServer.address().port}/token`
+  });
+  useProfile('test');
+});
+
+after(() => {
+  tokenServer.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('a payment consent login keeps its token apart from the account access token', async () => {
+  await approveLogin({});
+  assert.equal(getConfig('accessToken'), 'token-1');
+
+  await approveLogin({ consentId: 'pc-1', payment: true, scope: 'openid payments' });
+  assert.equal(getConfig('accessToken'), 'token-1');
+  assert.equal(getConfig('refreshToken'), 'refresh-1');
+  assert.equal(auth.getPaymentToken('pc-1'), 'token-2');
+  assert.equal(auth.getPaymentToken('pc-2'), null);
+  assert.deepEqual(auth.getAuthStatus().paymentConsents, ['pc-1']);
+
+  auth.deletePaymentToken('pc-1');
+  assert.equal(auth.getPaymentToken('pc-1'), null);
+  assert.equal(getConfig('paymentTokens'), undefined);
+});
+
+test('a login bound to an account access consent replaces the profile token', async () => {
+  await approveLogin({ consentId: 'aac-1' });
+  assert.equal(getConfig('accessToken'), `token-${issued}`);
+  assert.deepEqual(auth.getAuthStatus().paymentConsents, []);
+});
+
+test('logout drops payment consent tokens too', async () => {
+  await approveLogin({ consentId: 'pc-3', payment: true });
+  auth.logout();
+  assert.equal(auth.getPaymentToken('pc-3'), null);
+  assert.equal(getConfig('accessToken'), undefined);
+});
@@ -0,0 +1,513 @@
+import crypto from 'node:crypto';
+import axios from 'axios';
+import { redactHeaders } from './secrets.js';
+import { CliError } from './errors.js';
+
+export const DEFAULT_BASE_URL = 'https://apis.nbg.gr/uk/v3_1';
+export const DEFAULT_TIMEOUT = 30000;
+export const DEFAULT_RETRIES = 3;
+
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 30000;
+// A Retry-After longer than this is reported instead of waited out
+const RETRY_AFTER_LIMIT = 60000;
+const RETRYABLE_METHODS = ['get', 'head'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with equal jitter: half the window is fixed, half random
+function backoffDelay(attempt) {
+  const window = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  return Math.round(window / 2 + Math.random() * (window / 2));
+}
+
+// Only reads are retried. A write, even with an idempotency key, could be acted on twice once the bank's
+// idempotency window has passed, so re-sending a payment is left to the user
+function isRetryable(error) {
+  const request = error.config;
+  if (!request) return false;
+  if (!RETRYABLE_METHODS.includes(request.method)) return false;
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Links.Next is requested with the bearer token, so an absolute link must point under the base URL.
+// Relative links are joined to the base URL as any other path.
+function nextPageUrl(link, baseUrl) {
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(link)) return link;
+  const base = new URL(baseUrl.replace(/\/*$/, '/'));
+  const next = new URL(link);
+  if (next.origin !== base.origin || !next.pathname.startsWith(base.pathname)) {
+    throw new CliError(`Links.Next (${link}) points outside the base URL ${baseUrl}; not following it`, 'server');
+  }
+  return next.href;
+}
+
+function segment(value) {
+  return encodeURIComponent(value);
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+// Client for the NBG UK Open Banking Account & Transaction API (v3.1.5). It holds no global
+// state: everything it needs comes through the constructor, so several clients (one per
+// customer, sandbox or production) can live side by side.
+export class NbgClient {
+  #http;
+  #accessToken;
+  #refreshAccessToken;
+  #retries;
+  #delay;
+  #debug;
+
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    accessToken,
+    refreshAccessToken,
+    sandboxId,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    authDate,
+    customerIpAddress,
+    customerUserAgent,
+    headers = {},
+    adapter,
+    delay = sleep,
+    debug
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.sandboxId = sandboxId || null;
+    this.#accessToken = accessToken;
+    this.#refreshAccessToken = refreshAccessToken;
+    this.#retries = retries;
+    this.#delay = delay;
+    this.#debug = debug;
+
+    const defaults = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...headers
+    };
+    if (sandboxId) defaults['sandbox-id'] = sandboxId;
+    // Optional FAPI headers: the last login time and, when the PSU is present, their IP and user agent
+    if (authDate) defaults['x-fapi-auth-date'] = new Date(authDate).toUTCString();
+    if (customerIpAddress) defaults['x-fapi-customer-ip-address'] = customerIpAddress;
+    if (customerUserAgent) defaults['x-customer-user-agent'] = customerUserAgent;
+
+    const options = { baseURL: baseUrl, timeout, headers: defaults };
+    if (adapter) options.adapter = adapter;
+    this.#http = axios.create(options);
+    this.#installInterceptors();
+  }
+
+  async #token() {
+    return typeof this.#accessToken === 'function' ? this.#accessToken() : this.#accessToken;
+  }
+
+  #installInterceptors() {
+    const http = this.#http;
+
+    // Retries keep the interaction ID of the original request so the bank can correlate them
+    http.interceptors.request.use(async (request) => {
+      if (!request.headers['x-fapi-interaction-id']) {
+        request.headers['x-fapi-interaction-id'] = crypto.randomUUID();
+      }
+      if (!request.headers['Authorization']) {
+        const token = await this.#token();
+        if (token) request.headers['Authorization'] = `Bearer ${token}`;
+      }
+      if (this.#debug) {
+        const headers = redactHeaders({ ...request.headers.toJSON?.() });
+        this.#debug(`${request.method.toUpperCase()} ${http.getUri(request)} ${JSON.stringify(headers)}`);
+      }
+      return request;
+    });
+
+    // Idempotent requests are retried on 429, 5xx and dropped connections, waiting
+    // for Retry-After when the server sends one and backing off otherwise
+    http.interceptors.response.use(null, async (error) => {
+      const request = error.config;
+      const attempt = request?._retryCount || 0;
+      if (!isRetryable(error) || attempt >= this.#retries) {
+        throw error;
+      }
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter != null && retryAfter > RETRY_AFTER_LIMIT) {
+        throw error;
+      }
+
+      const wait = retryAfter ?? backoffDelay(attempt);
+      request._retryCount = attempt + 1;
+      // An unread streamed body would hold its socket open until the retry finishes
+      error.response?.data?.destroy?.();
+      if (this.#debug) {
+        this.#debug(`retry ${request._retryCount}/${this.#retries} in ${wait}ms after ${error.response?.status || error.code}`);
+      }
+      await this.#delay(wait);
+      return http.request(request);
+    });
+
+    // A 401 usually means the token expired early; refresh once and retry. The refresher may
+    // return nothing when it has no refresh token, and the 401 then stands
+    http.interceptors.response.use(null, async (error) => {
+      const request = error.config;
+      if (error.response?.status !== 401 || !request || request._retriedAuth || !this.#refreshAccessToken) {
+        throw error;
+      }
+
+      request._retriedAuth = true;
+      const token = await this.#refreshAccessToken();
+      if (!token) throw error;
+      request.headers['Authorization'] = `Bearer ${token}`;
+      return http.request(request);
+    });
+  }
+
+  // ============================================================
+  // Requests and pagination
+  // ============================================================
+
+  // Returns the whole response rather than just the body, for callers that need the status or headers
+  async send(method, path, { params, data, headers } = {}) {
+    const response = await this.#http.request({ method, url: path, params, data, headers });
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: { ...(response.headers?.toJSON ? response.headers.toJSON() : response.headers) },
+      data: response.data
+    };
+  }
+
+  async request(method, path, options = {}) {
+    return (await this.send(method, path, options)).data;
+  }
+
+  // Yields each page of an OB list, following Links.Next until it runs out, repeats, or
+  // maxPages pages have been read
+  async *pages(path, params = {}, { pageSize, maxPages = Infinity } = {}) {
+    const query = { ...params };
+    if (pageSize) query.pageSize = pageSize;
+
+    let page = await this.request('get', path, { params: query });
+    yield page;
+
+    const seen = new Set([page.Links?.Self]);
+    let count = 1;
+    while (page.Links?.Next && count < maxPages && !seen.has(page.Links.Next)) {
+      seen.add(page.Links.Next);
+      page = await this.request('get', nextPageUrl(page.Links.Next, this.baseUrl));
+      count++;
+      yield page;
+    }
+  }
+
+  async *#items(path, key, params, options) {
+    for await (const page of this.pages(path, params, options)) {
+      yield* page.Data?.[key] || [];
+    }
+  }
+
+  // Merges Data[key] across pages into one document. Without `all` or `maxPages` only the
+  // first page is fetched; Links.Next is kept whenever more pages remain so callers can tell.
+  async getPages(path, key, params = {}, { all = false, maxPages, pageSize, onPage } = {}) {
+    const limit = maxPages ? Number(maxPages) : (all ? Infinity : 1);
+    const items = [];
+    let first;
+    let next;
+    let pages = 0;
+
+    for await (const page of this.pages(path, params, { pageSize, maxPages: limit })) {
+      first = first || page;
+      pages++;
+      items.push(...(page.Data?.[key] || []));
+      if (onPage) onPage(page, pages);
+      next = page.Links?.Next;
+    }
+
+    const links = { ...first.Links };
+    delete links.Next;
+    if (next) links.Next = next;
+
+    return {
+      ...first,
+      Data: { ...first.Data, [key]: items },
+      Links: links,
+      Meta: { ...first.Meta, PagesFetched: pages }
+    };
+  }
+
+  // ============================================================
+  // Account access consents
+  // ============================================================
+
+  createConsent(data) {
+    return this.request('post', '/account-access-consents', { data });
+  }
+
+  getConsent(consentId) {
+    return this.request('get', `/account-access-consents/${segment(consentId)}`);
+  }
+
+  deleteConsent(consentId) {
+    return this.request('delete', `/account-access-consents/${segment(consentId)}`);
+  }
+
+  // ============================================================
+  // Accounts
+  // ============================================================
+
+  getAccounts(params = {}) {
+    return this.request('get', '/accounts', { params });
+  }
+
+  getAccount(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}`);
+  }
+
+  // ============================================================
+  // Balances
+  // ============================================================
+
+  getAccountBalances(accountId, params = {}, pagination = {}) {
+    return this.getPages(`/accounts/${segment(accountId)}/balances`, 'Balance', params, pagination);
+  }
+
+  getAllBalances(params = {}, pagination = {}) {
+    return this.getPages('/balances', 'Balance', params, pagination);
+  }
+
+  iterateAccountBalances(accountId, params = {}, options = {}) {
+    return this.#items(`/accounts/${segment(accountId)}/balances`, 'Balance', params, options);
+  }
+
+  iterateAllBalances(params = {}, options = {}) {
+    return this.#items('/balances', 'Balance', params, options);
+  }
+
+  // ============================================================
+  // Transactions
+  // ============================================================
+
+  getAccountTransactions(accountId, params = {}, pagination = {}) {
+    return this.getPages(`/accounts/${segment(accountId)}/transactions`, 'Transaction', params, pagination);
+  }
+
+  getAllTransactions(params = {}, pagination = {}) {
+    return this.getPages('/transactions', 'Transaction', params, pagination);
+  }
+
+  iterateAccountTransactions(accountId, params = {}, options = {}) {
+    return this.#items(`/accounts/${segment(accountId)}/transactions`, 'Transaction', params, options);
+  }
+
+  iterateAllTransactions(params = {}, options = {}) {
+    return this.#items('/transactions', 'Transaction', params, options);
+  }
+
+  // ============================================================
+  // Beneficiaries, standing orders, scheduled payments, direct debits
+  // ============================================================
+
+  getAccountBeneficiaries(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/beneficiaries`);
+  }
+
+  getBeneficiaries() {
+    return this.request('get', '/beneficiaries');
+  }
+
+  getAccountStandingOrders(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/standing-orders`);
+  }
+
+  getStandingOrders() {
+    return this.request('get', '/standing-orders');
+  }
+
+  getAccountScheduledPayments(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/scheduled-payments`);
+  }
+
+  getScheduledPayments() {
+    return this.request('get', '/scheduled-payments');
+  }
+
+  getAccountDirectDebits(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/direct-debits`);
+  }
+
+  // ============================================================
+  // Products and offers
+  // ============================================================
+
+  getAccountProduct(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/product`);
+  }
+
+  getAccountOffers(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/offers`);
+  }
+
+  // ============================================================
+  // Statements
+  // ============================================================
+
+  getAccountStatements(accountId, params = {}, pagination = {}) {
+    return this.getPages(`/accounts/${segment(accountId)}/statements`, 'Statement', params, pagination);
+  }
+
+  iterateAccountStatements(accountId, params = {}, options = {}) {
+    return this.#items(`/accounts/${segment(accountId)}/statements`, 'Statement', params, options);
+  }
+
+  getAccountStatement(accountId, statementId) {
+    return this.request('get', `/accounts/${segment(accountId)}/statements/${segment(statementId)}`);
+  }
+
+  getAccountStatementTransactions(accountId, statementId, params = {}, pagination = {}) {
+    return this.getPages(`/accounts/${segment(accountId)}/statements/${segment(statementId)}/transactions`, 'Transaction', params, pagination);
+  }
+
+  iterateAccountStatementTransactions(accountId, statementId, params = {}, options = {}) {
+    return this.#items(`/accounts/${segment(accountId)}/statements/${segment(statementId)}/transactions`, 'Transaction', params, options);
+  }
+
+  // Streams the statement file (usually a PDF) without buffering it. `accept` picks the format;
+  // the bank may answer with another one, so check contentType. On failure the error body is
+  // read back into JSON so OB errors are reported as usual.
+  async getAccountStatementFile(accountId, statementId, { accept = 'application/pdf' } = {}) {
+    try {
+      const response = await this.#http.request({
+        method: 'get',
+        url: `/accounts/${segment(accountId)}/statements/${segment(statementId)}/file`,
+        headers: { 'Accept': accept },
+        responseType: 'stream'
+      });
+      const headers = { ...(response.headers?.toJSON ? response.headers.toJSON() : response.headers) };
+      return {
+        status: response.status,
+        headers,
+        contentType: headers['content-type'] || null,
+        contentLength: headers['content-length'] ? Number(headers['content-length']) : null,
+        stream: response.data
+      };
+    } catch (error) {
+      if (typeof error.response?.data?.pipe === 'function') {
+        const text = (await readStream(error.response.data)).toString('utf8');
+        try {
+          error.response.data = JSON.parse(text);
+        } catch {
+          error.response.data = text;
+        }
+      }
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Payment initiation (domestic and domestic scheduled)
+  // ============================================================
+
+  #idempotent(method, path, data, idempotencyKey) {
+    return this.request(method, path, { data, headers: { 'x-idempotency-key': idempotencyKey || crypto.randomUUID() } });
+  }
+
+  createDomesticPaymentConsent(data, { idempotencyKey } = {}) {
+    return this.#idempotent('post', '/domestic-payment-consents', data, idempotencyKey);
+  }
+
+  getDomesticPaymentConsent(consentId) {
+    return this.request('get', `/domestic-payment-consents/${segment(consentId)}`);
+  }
+
+  createDomesticPayment(data, { idempotencyKey } = {}) {
+    return this.#idempotent('post', '/domestic-payments', data, idempotencyKey);
+  }
+
+  getDomesticPayment(paymentId) {
+    return this.request('get', `/domestic-payments/${segment(paymentId)}`);
+  }
+
+  getDomesticPaymentDetails(paymentId) {
+    return this.request('get', `/domestic-payments/${segment(paymentId)}/payment-details`);
+  }
+
+  createDomesticScheduledPaymentConsent(data, { idempotencyKey } = {}) {
+    return this.#idempotent('post', '/domestic-scheduled-payment-consents', data, idempotencyKey);
+  }
+
+  getDomesticScheduledPaymentConsent(consentId) {
+    return this.request('get', `/domestic-scheduled-payment-consents/${segment(consentId)}`);
+  }
+
+  createDomesticScheduledPayment(data, { idempotencyKey } = {}) {
+    return this.#idempotent('post', '/domestic-scheduled-payments', data, idempotencyKey);
+  }
+
+  getDomesticScheduledPayment(paymentId) {
+    return this.request('get', `/domestic-scheduled-payments/${segment(paymentId)}`);
+  }
+
+  getDomesticScheduledPaymentDetails(paymentId) {
+    return this.request('get', `/domestic-scheduled-payments/${segment(paymentId)}/payment-details`);
+  }
+
+  // ============================================================
+  // Confirmation of funds (CBPII)
+  // ============================================================
+
+  createFundsConfirmationConsent(data) {
+    return this.request('post', '/funds-confirmation-consents', { data });
+  }
+
+  getFundsConfirmationConsent(consentId) {
+    return this.request('get', `/funds-confirmation-consents/${segment(consentId)}`);
+  }
+
+  deleteFundsConfirmationConsent(consentId) {
+    return this.request('delete', `/funds-confirmation-consents/${segment(consentId)}`);
+  }
+
+  createFundsConfirmation(data) {
+    return this.request('post', '/funds-confirmations', { data });
+  }
+
+  // ============================================================
+  // Party and sandbox
+  // ============================================================
+
+  getAccountParty(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/party`);
+  }
+
+  getAccountParties(accountId) {
+    return this.request('get', `/accounts/${segment(accountId)}/parties`);
+  }
+
+  // The party of the PSU who authorised the consent
+  getParty() {
+    return this.request('get', '/party');
+  }
+
+  createSandbox(data) {
+    return this.request('post', '/sandbox', { data });
+  }
+}
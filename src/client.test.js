@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { NbgClient } from './client.js';
+
+const BASE_URL = 'https://bank.example/uk/v3_1';
+
+// An adapter that answers each request with the next page, recording the URLs and auth it was sent with
+function pagesAdapter(pages) {
+  const requests = [];
+  const adapter = async (config) => {
+    requests.push({ url: axios.getUri(config), authorization: config.headers.Authorization });
+    return { data: pages[requests.length - 1], status: 200, statusText: 'OK', headers: {}, config, request: {} };
+  };
+  return { adapter, requests };
+}
+
+function page(n, next) {
+  return { Data: { Account: [{ AccountId: String(n) }] }, Links: { Self: `${BASE_URL}/accounts?page=${n}`, ...(next && { Next: next }) } };
+}
+
+async function readAll(client) {
+  const seen = [];
+  for await (const p of client.pages('/accounts')) seen.push(p.Data.Account[0].AccountId);
+  return seen;
+}
+
+test('pages follows absolute and relative Links.Next under the base URL', async () => {
+  const { adapter, requests } = pagesAdapter([
+    page(1, `${BASE_URL}/accounts?page=2`),
+    page(2, '/accounts?page=3'),
+    page(3)
+  ]);
+  const client = new NbgClient({ baseUrl: BASE_URL, accessToken: 'secret', adapter });
+  assert.deepEqual(await readAll(client), ['1', '2', '3']);
+  assert.deepEqual(requests.map(r => r.url), [
+    `${BASE_URL}/accounts`,
+    `${BASE_URL}/accounts?page=2`,
+    `${BASE_URL}/accounts?page=3`
+  ]);
+});
+
+test('pages refuses a Links.Next on another origin or outside the base path', async () => {
+  for (const next of [
+    'https://evil.example/uk/v3_1/accounts?page=2',
+    'https://bank.example.evil.example/uk/v3_1/accounts?page=2',
+    'http://bank.example/uk/v3_1/accounts?page=2',
+    'https://bank.example/other/accounts?page=2'
+  ]) {
+    const { adapter, requests } = pagesAdapter([page(1, next), page(2)]);
+    const client = new NbgClient({ baseUrl: BASE_URL, accessToken: 'secret', adapter });
+    await assert.rejects(readAll(client), (error) => error.type === 'server' && error.message.includes(next), next);
+    assert.equal(requests.length, 1, next);
+  }
+});
+
+// Fails every request with `status`, counting the attempts
+function failingAdapter(status) {
+  const attempts = [];
+  const adapter = async (config) => {
+    attempts.push(config.method);
+    const response = { data: {}, status, statusText: '', headers: {}, config, request: {} };
+    throw new axios.AxiosError(`Request failed with status code ${status}`, axios.AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+  };
+  return { adapter, attempts };
+}
+
+test('GETs are retried on 5xx, payment POSTs with an idempotency key are not', async () => {
+  const get = failingAdapter(503);
+  const reader = new NbgClient({ baseUrl: BASE_URL, adapter: get.adapter, retries: 2, delay: async () => {} });
+  await assert.rejects(reader.getAccounts());
+  assert.equal(get.attempts.length, 3);
+
+  const post = failingAdapter(503);
+  const writer = new NbgClient({ baseUrl: BASE_URL, adapter: post.adapter, retries: 2, delay: async () => {} });
+  await assert.rejects(writer.createDomesticPayment({ Data: {} }, { idempotencyKey: 'key-1' }));
+  assert.deepEqual(post.attempts, ['post']);
+});
@@ -1,17 +1,208 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
 import Conf from 'conf';
+import { deriveKey, isEncrypted, encryptSecret, decryptSecret } from './secrets.js';
+import { CliError } from './errors.js';
+
+export const DEFAULT_PROFILE = 'default';
+export const SECRET_KEYS = ['accessToken', 'refreshToken', 'clientSecret', 'paymentTokens'];
 
 const config = new Conf({
   projectName: 'ktmcp-nbg'
 });
 
+// Stores written before profiles existed keep their settings flat at the top
+// level; move them into the default profile the first time we load them.
+if (!config.has('profiles')) {
+  const legacy = { ...config.store };
+  delete legacy.activeProfile;
+  delete legacy.encryption;
+  config.clear();
+  config.set('profiles', { [DEFAULT_PROFILE]: legacy });
+}
+
+let profileOverride = null;
+let sessionKey = null;
+
+export function setProfileOverride(name) {
+  profileOverride = name || null;
+}
+
+export function getActiveProfile() {
+  return profileOverride || process.env.NBG_PROFILE || config.get('activeProfile') || DEFAULT_PROFILE;
+}
+
+export function isValidProfileName(name) {
+  return /^[A-Za-z0-9_-]+$/.test(name);
+}
+
+export function listProfiles() {
+  const names = Object.keys(config.get('profiles') || {});
+  return names.includes(DEFAULT_PROFILE) ? names : [DEFAULT_PROFILE, ...names];
+}
+
+export function profileExists(name) {
+  return name === DEFAULT_PROFILE || config.has(`profiles.${name}`);
+}
+
+export function getProfile(name) {
+  return config.get(`profiles.${name}`) || {};
+}
+
+export function createProfile(name, values = {}) {
+  if (!isValidProfileName(name)) {
+    throw new Error('Profile names may only contain letters, digits, "-" and "_"');
+  }
+  if (profileExists(name) && name !== DEFAULT_PROFILE) {
+    throw new Error(`Profile "${name}" already exists`);
+  }
+  const profile = { ...getProfile(name), ...values };
+  if (isLocked()) {
+    for (const key of SECRET_KEYS) {
+      if (profile[key] && !isEncrypted(profile[key])) {
+        profile[key] = encryptSecret(profile[key], getKey());
+      }
+    }
+  }
+  config.set(`profiles.${name}`, profile);
+}
+
+export function useProfile(name) {
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+  config.set('activeProfile', name);
+}
+
+export function deleteProfile(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be deleted');
+  }
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+  config.delete(`profiles.${name}`);
+  if (config.get('activeProfile') === name) {
+    config.delete('activeProfile');
+  }
+}
+
+// ============================================================
+// Encryption at rest
+// ============================================================
+
+export function isLocked() {
+  return config.has('encryption');
+}
+
+export function getLockInfo() {
+  const encryption = config.get('encryption');
+  if (!encryption) return { locked: false };
+  return { locked: true, method: encryption.keyFile ? 'key file' : 'passphrase', keyFile: encryption.keyFile || null };
+}
+
+function readKeyMaterial({ passphrase, keyFile }) {
+  if (keyFile) {
+    return fs.readFileSync(keyFile);
+  }
+  if (passphrase) {
+    return passphrase;
+  }
+  throw new Error('A passphrase or key file is required');
+}
+
+function forEachSecret(fn) {
+  for (const name of listProfiles()) {
+    for (const key of SECRET_KEYS) {
+      const keyPath = `profiles.${name}.${key}`;
+      if (config.has(keyPath)) fn(keyPath, config.get(keyPath));
+    }
+  }
+}
+
+function getKey() {
+  if (sessionKey) return sessionKey;
+
+  const encryption = config.get('encryption');
+  const keyFile = process.env.NBG_KEY_FILE || encryption.keyFile;
+  const passphrase = process.env.NBG_PASSPHRASE;
+  if (!keyFile && !passphrase) {
+    throw new CliError('Credentials are locked. Set NBG_PASSPHRASE or NBG_KEY_FILE, or run "nbg config unlock"', 'auth');
+  }
+
+  const key = deriveKey(readKeyMaterial({ passphrase, keyFile }), encryption.salt);
+  decryptSecret(encryption.verifier, key);
+  sessionKey = key;
+  return key;
+}
+
+export function lockStore(secret) {
+  if (isLocked()) {
+    throw new Error('Credentials are already locked');
+  }
+
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = deriveKey(readKeyMaterial(secret), salt);
+
+  forEachSecret((keyPath, value) => {
+    if (!isEncrypted(value)) config.set(keyPath, encryptSecret(value, key));
+  });
+
+  const encryption = { salt, verifier: encryptSecret('nbg', key) };
+  if (secret.keyFile) encryption.keyFile = path.resolve(secret.keyFile);
+  config.set('encryption', encryption);
+  sessionKey = key;
+}
+
+export function unlockStore(secret) {
+  if (!isLocked()) {
+    throw new Error('Credentials are not locked');
+  }
+
+  const encryption = config.get('encryption');
+  const key = deriveKey(readKeyMaterial(secret), encryption.salt);
+  decryptSecret(encryption.verifier, key);
+
+  forEachSecret((keyPath, value) => {
+    if (isEncrypted(value)) config.set(keyPath, decryptSecret(value, key));
+  });
+
+  config.delete('encryption');
+  sessionKey = null;
+}
+
+// ============================================================
+// Profile-scoped values
+// ============================================================
+
+function profileKey(key) {
+  return `profiles.${getActiveProfile()}.${key}`;
+}
+
+export function hasConfig(key) {
+  return config.has(profileKey(key));
+}
+
 export function getConfig(key) {
-  return config.get(key);
+  const value = config.get(profileKey(key));
+  return isEncrypted(value) ? decryptSecret(value, getKey()) : value;
 }
 
 export function setConfig(key, value) {
-  config.set(key, value);
+  const secret = SECRET_KEYS.includes(key) && isLocked() && value != null;
+  config.set(profileKey(key), secret ? encryptSecret(value, getKey()) : value);
+}
+
+export function deleteConfig(key) {
+  config.delete(profileKey(key));
 }
 
 export function isConfigured() {
   return !!getConfig('baseUrl');
 }
+
+// Directory of the config file and the per-profile stores
+export function getConfigDir() {
+  return path.dirname(config.path);
+}
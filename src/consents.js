@@ -0,0 +1,188 @@
+import { getConfig, setConfig, deleteConfig } from './config.js';
+import { CliError } from './errors.js';
+
+// OBReadConsent1 permission codes (Account & Transaction API v3.1.5)
+export const AIS_PERMISSIONS = [
+  'ReadAccountsBasic',
+  'ReadAccountsDetail',
+  'ReadBalances',
+  'ReadBeneficiariesBasic',
+  'ReadBeneficiariesDetail',
+  'ReadDirectDebits',
+  'ReadOffers',
+  'ReadPAN',
+  'ReadParty',
+  'ReadPartyPSU',
+  'ReadProducts',
+  'ReadScheduledPaymentsBasic',
+  'ReadScheduledPaymentsDetail',
+  'ReadStandingOrdersBasic',
+  'ReadStandingOrdersDetail',
+  'ReadStatementsBasic',
+  'ReadStatementsDetail',
+  'ReadTransactionsBasic',
+  'ReadTransactionsCredits',
+  'ReadTransactionsDebits',
+  'ReadTransactionsDetail'
+];
+
+export const EXPIRY_WARNING_DAYS = 7;
+
+const ACCOUNTS = ['ReadAccountsBasic', 'ReadAccountsDetail'];
+const BALANCES = ['ReadBalances'];
+const TRANSACTIONS = ['ReadTransactionsBasic', 'ReadTransactionsDetail'];
+const BENEFICIARIES = ['ReadBeneficiariesBasic', 'ReadBeneficiariesDetail'];
+const STANDING_ORDERS = ['ReadStandingOrdersBasic', 'ReadStandingOrdersDetail'];
+const SCHEDULED_PAYMENTS = ['ReadScheduledPaymentsBasic', 'ReadScheduledPaymentsDetail'];
+const STATEMENTS = ['ReadStatementsBasic', 'ReadStatementsDetail'];
+const PARTY = ['ReadParty', 'ReadPartyPSU'];
+const PARTY_PSU = ['ReadPartyPSU'];
+const DIRECT_DEBITS = ['ReadDirectDebits'];
+const PRODUCTS = ['ReadProducts'];
+const OFFERS = ['ReadOffers'];
+
+// Permissions each command needs: every group must be satisfied by at least one of its codes
+export const COMMAND_PERMISSIONS = {
+  'accounts list': [ACCOUNTS],
+  'accounts get': [ACCOUNTS],
+  'balances get': [BALANCES],
+  'balances list': [BALANCES],
+  'transactions get': [TRANSACTIONS],
+  'transactions list': [TRANSACTIONS],
+  'transactions export': [TRANSACTIONS],
+  'transactions watch': [TRANSACTIONS],
+  'beneficiaries get': [BENEFICIARIES],
+  'beneficiaries list': [BENEFICIARIES],
+  'standing-orders get': [STANDING_ORDERS],
+  'standing-orders list': [STANDING_ORDERS],
+  'scheduled-payments get': [SCHEDULED_PAYMENTS],
+  'scheduled-payments list': [SCHEDULED_PAYMENTS],
+  'direct-debits get': [DIRECT_DEBITS],
+  'products get': [PRODUCTS],
+  'offers get': [OFFERS],
+  'statements get': [STATEMENTS],
+  'statements show': [STATEMENTS],
+  'statements transactions': [STATEMENTS, TRANSACTIONS],
+  'statements download': [['ReadStatementsDetail']],
+  'party get': [PARTY],
+  'party list': [PARTY],
+  'party me': [PARTY_PSU],
+  'sync': [ACCOUNTS, TRANSACTIONS, BALANCES],
+  'report spending': [TRANSACTIONS],
+  'forecast': [BALANCES, STANDING_ORDERS, SCHEDULED_PAYMENTS],
+  'position': [ACCOUNTS, BALANCES],
+  'recurring': [TRANSACTIONS, STANDING_ORDERS, SCHEDULED_PAYMENTS]
+};
+
+export function validatePermissions(permissions) {
+  const unknown = permissions.filter(p => !AIS_PERMISSIONS.includes(p));
+  if (unknown.length) {
+    throw new CliError(`Unknown permission(s): ${unknown.join(', ')}. Valid permissions: ${AIS_PERMISSIONS.join(', ')}`, 'validation');
+  }
+
+  // OB rule: transaction detail levels and credit/debit scopes only make sense together
+  const hasLevel = permissions.some(p => TRANSACTIONS.includes(p));
+  const hasScope = permissions.includes('ReadTransactionsCredits') || permissions.includes('ReadTransactionsDebits');
+  if (hasLevel && !hasScope) {
+    throw new CliError('ReadTransactionsBasic/ReadTransactionsDetail also need ReadTransactionsCredits and/or ReadTransactionsDebits', 'validation');
+  }
+  if (hasScope && !hasLevel) {
+    throw new CliError('ReadTransactionsCredits/ReadTransactionsDebits also need ReadTransactionsBasic or ReadTransactionsDetail', 'validation');
+  }
+  if (permissions.includes('ReadPAN') && !permissions.includes('ReadAccountsDetail')) {
+    throw new CliError('ReadPAN is only meaningful together with ReadAccountsDetail', 'validation');
+  }
+}
+
+// ============================================================
+// Local registry (per profile)
+// ============================================================
+
+export function listTrackedConsents() {
+  return Object.values(getConfig('consents') || {})
+    .sort((a, b) => String(b.CreationDateTime).localeCompare(String(a.CreationDateTime)));
+}
+
+export function getTrackedConsent(consentId) {
+  return (getConfig('consents') || {})[consentId] || null;
+}
+
+export function trackConsent(consent, extra = {}) {
+  if (!consent?.ConsentId) return null;
+
+  const consents = getConfig('consents') || {};
+  const entry = {
+    ...consents[consent.ConsentId],
+    ConsentId: consent.ConsentId,
+    Status: consent.Status,
+    Permissions: consent.Permissions,
+    CreationDateTime: consent.CreationDateTime,
+    ExpirationDateTime: consent.ExpirationDateTime || null,
+    TransactionFromDateTime: consent.TransactionFromDateTime || null,
+    TransactionToDateTime: consent.TransactionToDateTime || null,
+    CheckedAt: new Date().toISOString(),
+    ...extra
+  };
+  consents[consent.ConsentId] = entry;
+  setConfig('consents', consents);
+  return entry;
+}
+
+export function updateTrackedConsent(consentId, changes) {
+  const consents = getConfig('consents') || {};
+  if (!consents[consentId]) return;
+  consents[consentId] = { ...consents[consentId], ...changes };
+  setConfig('consents', consents);
+}
+
+export function getActiveConsent() {
+  const consentId = getConfig('activeConsentId');
+  return consentId ? getTrackedConsent(consentId) : null;
+}
+
+export function setActiveConsent(consentId) {
+  if (!getTrackedConsent(consentId)) {
+    throw new CliError(`Consent ${consentId} is not tracked. Fetch it first with "nbg consents get ${consentId}"`, 'consent');
+  }
+  setConfig('activeConsentId', consentId);
+}
+
+export function clearActiveConsent(consentId) {
+  if (!consentId || getConfig('activeConsentId') === consentId) {
+    deleteConfig('activeConsentId');
+  }
+}
+
+// ============================================================
+// Checks
+// ============================================================
+
+export function getConsentWarnings(consent, { now = new Date(), days = EXPIRY_WARNING_DAYS } = {}) {
+  if (!consent) return [];
+
+  const warnings = [];
+  if (['Rejected', 'Revoked'].includes(consent.Status)) {
+    warnings.push(`Active consent ${consent.ConsentId} is ${consent.Status}. Create a new one with "nbg consents create"`);
+  } else if (consent.Status === 'AwaitingAuthorisation') {
+    warnings.push(`Active consent ${consent.ConsentId} is still awaiting authorisation`);
+  }
+
+  if (consent.ExpirationDateTime) {
+    const remaining = new Date(consent.ExpirationDateTime) - now;
+    if (remaining <= 0) {
+      warnings.push(`Active consent ${consent.ConsentId} expired on ${consent.ExpirationDateTime}. Run "nbg consents renew"`);
+    } else if (remaining <= days * 24 * 60 * 60 * 1000) {
+      const left = Math.ceil(remaining / (24 * 60 * 60 * 1000));
+      warnings.push(`Active consent ${consent.ConsentId} expires in ${left} day(s) (${consent.ExpirationDateTime}). Run "nbg consents renew"`);
+    }
+  }
+
+  return warnings;
+}
+
+// Returns the permission groups a command needs that the consent does not grant
+export function getMissingPermissions(commandPath, consent) {
+  const required = COMMAND_PERMISSIONS[commandPath];
+  if (!required || !consent?.Permissions) return [];
+  return required.filter(group => !group.some(p => consent.Permissions.includes(p)));
+}
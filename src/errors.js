@@ -0,0 +1,76 @@
+// Exit codes are part of the CLI contract: scripts rely on them, so only ever add new ones
+export const EXIT_CODES = {
+  general: 1,
+  validation: 2,
+  auth: 3,
+  consent: 4,
+  not_found: 5,
+  rate_limited: 6,
+  network: 7,
+  server: 8,
+  insufficient_funds: 9,
+  alert: 10
+};
+
+const NETWORK_CODES = ['ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'];
+
+// An error raised by the CLI itself, tagged with one of the EXIT_CODES types
+export class CliError extends Error {
+  constructor(message, type = 'general') {
+    super(message);
+    this.name = 'CliError';
+    this.type = type;
+  }
+}
+
+export function getInteractionId(error) {
+  return error?.response?.headers?.['x-fapi-interaction-id']
+    || error?.config?.headers?.['x-fapi-interaction-id']
+    || null;
+}
+
+function classify(error, data, obErrors) {
+  if (error instanceof CliError) return error.type;
+
+  const status = error.response?.status;
+  if (!error.response) {
+    return error.request || NETWORK_CODES.includes(error.code) ? 'network' : 'general';
+  }
+
+  // OAuth token endpoint errors ({ error: 'invalid_grant', ... })
+  if (typeof data?.error === 'string') return 'auth';
+  if (obErrors.some(e => /Consent/i.test(e.ErrorCode || ''))) return 'consent';
+
+  if (status === 401) return 'auth';
+  if (status === 403) return 'consent';
+  if (status === 404) return 'not_found';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'validation';
+  return 'general';
+}
+
+// Flattens an axios error, an OB error envelope ({ Code, Id, Message, Errors[] }) or a
+// plain Error into one stable shape shared by the human and JSON renderings
+export function describeError(error) {
+  const data = error?.response?.data && typeof error.response.data === 'object' ? error.response.data : null;
+  const obErrors = Array.isArray(data?.Errors) ? data.Errors : [];
+  const type = classify(error, data, obErrors);
+
+  return {
+    type,
+    exitCode: EXIT_CODES[type],
+    message: data?.Message || data?.message || data?.error_description || data?.error || error?.message || String(error),
+    status: error?.response?.status || null,
+    code: data?.Code || null,
+    id: data?.Id || null,
+    errors: obErrors.map(e => ({
+      errorCode: e.ErrorCode || null,
+      message: e.Message || null,
+      path: e.Path || null,
+      url: e.Url || null
+    })),
+    retryAfter: error?.response?.headers?.['retry-after'] || null,
+    interactionId: getInteractionId(error)
+  };
+}
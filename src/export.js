@@ -0,0 +1,324 @@
+import { CliError } from './errors.js';
+
+export const EXPORT_FORMATS = ['csv', 'ofx', 'qif', 'camt053'];
+
+// ============================================================
+// Field mapping
+// ============================================================
+
+function signedAmount(amount, indicator) {
+  const value = Number(amount?.Amount ?? amount ?? 0);
+  return indicator === 'Debit' ? -value : value;
+}
+
+function fixed(value) {
+  return value.toFixed(2);
+}
+
+function counterparty(t) {
+  return t.MerchantDetails?.MerchantName
+    || (t.CreditDebitIndicator === 'Debit' ? t.CreditorAccount?.Name : t.DebtorAccount?.Name)
+    || '';
+}
+
+function bankCode(t) {
+  const code = t.BankTransactionCode;
+  if (code?.Code) return code.SubCode ? `${code.Code}/${code.SubCode}` : code.Code;
+  return t.ProprietaryBankTransactionCode?.Code || '';
+}
+
+export function normalizeTransaction(t) {
+  return {
+    id: t.TransactionId || t.TransactionReference || '',
+    reference: t.TransactionReference || '',
+    bookingDate: t.BookingDateTime || '',
+    valueDate: t.ValueDateTime || t.BookingDateTime || '',
+    amount: signedAmount(t.Amount, t.CreditDebitIndicator),
+    currency: t.Amount?.Currency || '',
+    indicator: t.CreditDebitIndicator || '',
+    status: t.Status || '',
+    description: t.TransactionInformation || '',
+    counterparty: counterparty(t),
+    merchantCategory: t.MerchantDetails?.MerchantCategoryCode || '',
+    bankTransactionCode: bankCode(t),
+    balance: t.Balance ? signedAmount(t.Balance.Amount, t.Balance.CreditDebitIndicator) : null,
+    balanceCurrency: t.Balance?.Amount?.Currency || ''
+  };
+}
+
+function sortByBookingDate(transactions) {
+  return [...transactions].sort((a, b) => String(a.BookingDateTime).localeCompare(String(b.BookingDateTime)));
+}
+
+function accountIdentity(accountId, account) {
+  const primary = account?.Account?.[0] || {};
+  const scheme = primary.SchemeName || '';
+  const identification = primary.Identification || accountId;
+  return {
+    id: accountId,
+    name: account?.Nickname || primary.Name || '',
+    currency: account?.Currency || '',
+    scheme,
+    identification,
+    iban: /IBAN/i.test(scheme) ? identification : null,
+    sortCode: /SortCode/i.test(scheme) ? identification.slice(0, 6) : null,
+    accountNumber: /SortCode/i.test(scheme) ? identification.slice(6) : identification
+  };
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+export function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas; signed numbers are left alone
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(transactions) {
+  const header = [
+    'TransactionId', 'BookingDateTime', 'ValueDateTime', 'Amount', 'Currency', 'CreditDebitIndicator',
+    'Status', 'Description', 'Counterparty', 'MerchantCategoryCode', 'BankTransactionCode', 'Balance', 'BalanceCurrency'
+  ];
+  const rows = sortByBookingDate(transactions).map(normalizeTransaction).map(t => [
+    t.id, t.bookingDate, t.valueDate, fixed(t.amount), t.currency, t.indicator, t.status, t.description,
+    t.counterparty, t.merchantCategory, t.bankTransactionCode, t.balance == null ? '' : fixed(t.balance), t.balanceCurrency
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================================
+// OFX (1.0.2 SGML, as imported by GnuCash and Xero)
+// ============================================================
+
+function ofxDate(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+function ofxText(value, max = 255) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').slice(0, max)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function toOfx(transactions, { accountId, account } = {}) {
+  const sorted = sortByBookingDate(transactions);
+  const rows = sorted.map(normalizeTransaction);
+  const identity = accountIdentity(accountId, account);
+  const currency = identity.currency || rows[0]?.currency || 'GBP';
+  const now = ofxDate(new Date().toISOString());
+  const lastBalance = [...rows].reverse().find(t => t.balance != null);
+
+  const lines = [
+    'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:USASCII',
+    'CHARSET:1252', 'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE', '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${now}`,
+    '<LANGUAGE>ENG',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>1',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${currency}`,
+    '<BANKACCTFROM>',
+    `<BANKID>${ofxText(identity.sortCode || 'NBG', 9)}`,
+    `<ACCTID>${ofxText(identity.iban || identity.accountNumber, 22)}`,
+    '<ACCTTYPE>CHECKING',
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(rows[0]?.bookingDate) || now}`,
+    `<DTEND>${ofxDate(rows[rows.length - 1]?.bookingDate) || now}`
+  ];
+
+  rows.forEach(t => {
+    lines.push(
+      '<STMTTRN>',
+      `<TRNTYPE>${t.amount < 0 ? 'DEBIT' : 'CREDIT'}`,
+      `<DTPOSTED>${ofxDate(t.bookingDate)}`,
+      `<DTUSER>${ofxDate(t.valueDate)}`,
+      `<TRNAMT>${fixed(t.amount)}`,
+      `<FITID>${ofxText(t.id, 255)}`
+    );
+    if (t.merchantCategory) lines.push(`<SIC>${ofxText(t.merchantCategory, 6)}`);
+    lines.push(`<NAME>${ofxText(t.counterparty || t.description, 32)}`);
+    if (t.description) lines.push(`<MEMO>${ofxText(t.description)}`);
+    lines.push('</STMTTRN>');
+  });
+
+  lines.push('</BANKTRANLIST>');
+  if (lastBalance) {
+    lines.push('<LEDGERBAL>', `<BALAMT>${fixed(lastBalance.balance)}`, `<DTASOF>${ofxDate(lastBalance.bookingDate)}`, '</LEDGERBAL>');
+  }
+  lines.push('</STMTRS>', '</STMTTRNRS></BANKMSGSRSV1>', '</OFX>');
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ============================================================
+// QIF
+// ============================================================
+
+function qifDate(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+function qifText(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ');
+}
+
+export function toQif(transactions) {
+  const lines = ['!Type:Bank'];
+
+  sortByBookingDate(transactions).map(normalizeTransaction).forEach(t => {
+    lines.push(`D${qifDate(t.bookingDate)}`, `T${fixed(t.amount)}`);
+    if (t.status === 'Booked') lines.push('CX');
+    if (t.reference) lines.push(`N${qifText(t.reference)}`);
+    if (t.counterparty) lines.push(`P${qifText(t.counterparty)}`);
+    if (t.description) lines.push(`M${qifText(t.description)}`);
+    lines.push('^');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================
+// ISO 20022 camt.053 (bank-to-customer statement)
+// ============================================================
+
+function xml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isoDate(iso) {
+  return String(iso || '').slice(0, 10);
+}
+
+function camtBalance(code, amount, currency, date) {
+  return [
+    '      <Bal>',
+    `        <Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>`,
+    `        <Amt Ccy="${xml(currency)}">${fixed(Math.abs(amount))}</Amt>`,
+    `        <CdtDbtInd>${amount < 0 ? 'DBIT' : 'CRDT'}</CdtDbtInd>`,
+    `        <Dt><Dt>${isoDate(date)}</Dt></Dt>`,
+    '      </Bal>'
+  ];
+}
+
+// camt.053.001.02 requires an opening and a closing balance. They come from the running balances on the
+// entries, or else are worked back from the account's booked balance at the end of the period.
+function statementBalances(rows, bookedBalance, accountId) {
+  const withBalance = rows.filter(t => t.balance != null);
+  const first = withBalance[0];
+  const last = withBalance[withBalance.length - 1];
+  if (first) {
+    return {
+      // The opening balance is the one in force before the first entry was booked
+      opening: { amount: first.balance - first.amount, currency: first.balanceCurrency, date: first.bookingDate },
+      closing: { amount: last.balance, currency: last.balanceCurrency, date: last.bookingDate }
+    };
+  }
+  if (bookedBalance) {
+    // Pending entries are not in the booked balance
+    const booked = rows.filter(t => t.status !== 'Pending').reduce((sum, t) => sum + t.amount, 0);
+    return {
+      opening: { amount: bookedBalance.amount - booked, currency: bookedBalance.currency, date: rows[0]?.bookingDate || bookedBalance.dateTime },
+      closing: { amount: bookedBalance.amount, currency: bookedBalance.currency, date: bookedBalance.dateTime }
+    };
+  }
+  throw new CliError(
+    `camt.053 needs opening and closing balances, but the transactions for account ${accountId} carry no running balance `
+    + 'and no booked balance closes the exported period. Export up to today without --to or --max-pages, or use another format',
+    'validation'
+  );
+}
+
+export function toCamt053(transactions, { accountId, account, bookedBalance } = {}) {
+  const rows = sortByBookingDate(transactions).map(normalizeTransaction);
+  const identity = accountIdentity(accountId, account);
+  const currency = identity.currency || rows[0]?.currency || 'GBP';
+  const created = new Date().toISOString().slice(0, 19);
+  const messageId = `NBG-${accountId}-${Date.now()}`;
+
+  const { opening, closing } = statementBalances(rows, bookedBalance, accountId);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">',
+    '  <BkToCstmrStmt>',
+    '    <GrpHdr>',
+    `      <MsgId>${xml(messageId)}</MsgId>`,
+    `      <CreDtTm>${created}</CreDtTm>`,
+    '    </GrpHdr>',
+    '    <Stmt>',
+    `      <Id>${xml(messageId)}</Id>`,
+    `      <CreDtTm>${created}</CreDtTm>`
+  ];
+
+  if (rows.length) {
+    lines.push(`      <FrToDt><FrDtTm>${xml(rows[0].bookingDate)}</FrDtTm><ToDtTm>${xml(rows[rows.length - 1].bookingDate)}</ToDtTm></FrToDt>`);
+  }
+
+  lines.push(
+    '      <Acct>',
+    identity.iban
+      ? `        <Id><IBAN>${xml(identity.iban)}</IBAN></Id>`
+      : `        <Id><Othr><Id>${xml(identity.identification)}</Id></Othr></Id>`,
+    `        <Ccy>${xml(currency)}</Ccy>`
+  );
+  if (identity.name) lines.push(`        <Nm>${xml(identity.name)}</Nm>`);
+  lines.push('      </Acct>');
+
+  lines.push(...camtBalance('OPBD', opening.amount, opening.currency || currency, opening.date));
+  lines.push(...camtBalance('CLBD', closing.amount, closing.currency || currency, closing.date));
+
+  rows.forEach(t => {
+    lines.push(
+      '      <Ntry>',
+      `        <NtryRef>${xml(t.id)}</NtryRef>`,
+      `        <Amt Ccy="${xml(t.currency || currency)}">${fixed(Math.abs(t.amount))}</Amt>`,
+      `        <CdtDbtInd>${t.amount < 0 ? 'DBIT' : 'CRDT'}</CdtDbtInd>`,
+      `        <Sts>${t.status === 'Pending' ? 'PDNG' : 'BOOK'}</Sts>`,
+      `        <BookgDt><Dt>${isoDate(t.bookingDate)}</Dt></BookgDt>`,
+      `        <ValDt><Dt>${isoDate(t.valueDate)}</Dt></ValDt>`,
+      `        <AcctSvcrRef>${xml(t.id)}</AcctSvcrRef>`
+    );
+    // BkTxCd is mandatory in camt.053.001.02 even when the bank sent no code
+    lines.push(`        <BkTxCd><Prtry><Cd>${xml(t.bankTransactionCode || 'NOTPROVIDED')}</Cd><Issr>UK.OBIE</Issr></Prtry></BkTxCd>`);
+    lines.push('        <NtryDtls><TxDtls>');
+    lines.push(`          <Refs><AcctSvcrRef>${xml(t.id)}</AcctSvcrRef>${t.reference ? `<EndToEndId>${xml(t.reference)}</EndToEndId>` : ''}</Refs>`);
+    if (t.counterparty) {
+      const party = t.amount < 0 ? 'Cdtr' : 'Dbtr';
+      lines.push(`          <RltdPties><${party}><Nm>${xml(t.counterparty)}</Nm></${party}></RltdPties>`);
+    }
+    if (t.description) lines.push(`          <RmtInf><Ustrd>${xml(t.description.slice(0, 140))}</Ustrd></RmtInf>`);
+    lines.push('        </TxDtls></NtryDtls>');
+    if (t.description) lines.push(`        <AddtlNtryInf>${xml(t.description)}</AddtlNtryInf>`);
+    lines.push('      </Ntry>');
+  });
+
+  lines.push('    </Stmt>', '  </BkToCstmrStmt>', '</Document>');
+  return lines.join('\n') + '\n';
+}
+
+export function exportTransactions(format, transactions, context = {}) {
+  switch (format) {
+    case 'csv': return toCsv(transactions);
+    case 'ofx': return toOfx(transactions, context);
+    case 'qif': return toQif(transactions);
+    case 'camt053': return toCamt053(transactions, context);
+    default: throw new CliError(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`, 'validation');
+  }
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCamt053 } from './export.js';
+
+function transaction(id, date, amount, balance) {
+  return {
+    TransactionId: id,
+    BookingDateTime: date,
+    Status: 'Booked',
+    CreditDebitIndicator: amount < 0 ? 'Debit' : 'Credit',
+    Amount: { Amount: Math.abs(amount).toFixed(2), Currency: 'EUR' },
+    ...(balance !== undefined && {
+      Balance: { CreditDebitIndicator: 'Credit', Type: 'InterimBooked', Amount: { Amount: balance.toFixed(2), Currency: 'EUR' } }
+    })
+  };
+}
+
+// [code, amount, indicator, date] for each <Bal> in the document
+function balances(xml) {
+  return [...xml.matchAll(/<Cd>(\w+)<\/Cd>.*\n.*>([\d.]+)<\/Amt>\n.*<CdtDbtInd>(\w+)<.*\n.*<Dt><Dt>([\d-]+)</g)]
+    .map(match => match.slice(1));
+}
+
+test('camt053 takes the opening and closing balances from the running balances', () => {
+  const xml = toCamt053([
+    transaction('t2', '2026-03-05T10:00:00Z', 50, 1030),
+    transaction('t1', '2026-03-01T10:00:00Z', -20, 980)
+  ], { accountId: 'acc-1' });
+  assert.deepEqual(balances(xml), [
+    ['OPBD', '1000.00', 'CRDT', '2026-03-01'],
+    ['CLBD', '1030.00', 'CRDT', '2026-03-05']
+  ]);
+});
+
+test('camt053 works the opening balance back from the booked balance when entries have none', () => {
+  const pending = { ...transaction('t3', '2026-03-06T10:00:00Z', -500), Status: 'Pending' };
+  const xml = toCamt053([
+    transaction('t1', '2026-03-01T10:00:00Z', -20),
+    transaction('t2', '2026-03-05T10:00:00Z', 50),
+    pending
+  ], { accountId: 'acc-1', bookedBalance: { amount: 10, currency: 'EUR', dateTime: '2026-03-07T00:00:00Z' } });
+  assert.deepEqual(balances(xml), [
+    ['OPBD', '20.00', 'DBIT', '2026-03-01'],
+    ['CLBD', '10.00', 'CRDT', '2026-03-07']
+  ]);
+});
+
+test('camt053 is refused when no balance is available', () => {
+  assert.throws(
+    () => toCamt053([transaction('t1', '2026-03-01T10:00:00Z', -20)], { accountId: 'acc-1' }),
+    (error) => error.type === 'validation' && /acc-1/.test(error.message)
+  );
+});
@@ -0,0 +1,98 @@
+import { CliError } from './errors.js';
+
+export const TRANSACTION_STATUSES = ['Booked', 'Pending'];
+
+// Short names accepted by --sort, mapped to OB transaction paths
+const SORT_ALIASES = {
+  date: 'BookingDateTime',
+  bookingDate: 'BookingDateTime',
+  valueDate: 'ValueDateTime',
+  amount: 'Amount.Amount',
+  currency: 'Amount.Currency',
+  status: 'Status',
+  description: 'TransactionInformation',
+  merchant: 'MerchantDetails.MerchantName',
+  id: 'TransactionId'
+};
+
+export function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function parseAmount(value, flag) {
+  const amount = Number(value);
+  if (value == null || value === '' || Number.isNaN(amount)) {
+    throw new CliError(`${flag} must be a number`, 'validation');
+  }
+  return amount;
+}
+
+export function hasTransactionFilters(options) {
+  return ['minAmount', 'maxAmount', 'credit', 'debit', 'status', 'search', 'merchantCategory'].some(key => options[key] != null);
+}
+
+export function filterTransactions(transactions, options = {}) {
+  const min = options.minAmount != null ? parseAmount(options.minAmount, '--min-amount') : null;
+  const max = options.maxAmount != null ? parseAmount(options.maxAmount, '--max-amount') : null;
+  const search = options.search ? options.search.toLowerCase() : null;
+
+  if (options.status && !TRANSACTION_STATUSES.includes(options.status)) {
+    throw new CliError(`--status must be one of: ${TRANSACTION_STATUSES.join(', ')}`, 'validation');
+  }
+  if (options.credit && options.debit) {
+    throw new CliError('Use either --credit or --debit, not both', 'validation');
+  }
+
+  return transactions.filter(t => {
+    const amount = Number(t.Amount?.Amount);
+    if (min != null && !(amount >= min)) return false;
+    if (max != null && !(amount <= max)) return false;
+    if (options.credit && t.CreditDebitIndicator !== 'Credit') return false;
+    if (options.debit && t.CreditDebitIndicator !== 'Debit') return false;
+    if (options.status && t.Status !== options.status) return false;
+    if (options.merchantCategory && t.MerchantDetails?.MerchantCategoryCode !== options.merchantCategory) return false;
+    if (search) {
+      const haystack = [t.TransactionInformation, t.MerchantDetails?.MerchantName].filter(Boolean).join(' ').toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    return true;
+  });
+}
+
+export function sortTransactions(transactions, spec) {
+  if (!spec) return transactions;
+
+  const [field, direction = 'asc'] = spec.split(':');
+  if (!['asc', 'desc'].includes(direction)) {
+    throw new CliError('--sort direction must be "asc" or "desc"', 'validation');
+  }
+  const path = SORT_ALIASES[field] || field;
+  const order = direction === 'desc' ? -1 : 1;
+
+  return [...transactions].sort((a, b) => {
+    const left = getPath(a, path);
+    const right = getPath(b, path);
+    if (left == null && right == null) return 0;
+    if (left == null) return 1;
+    if (right == null) return -1;
+
+    const leftNumber = Number(left);
+    const rightNumber = Number(right);
+    if (left !== '' && right !== '' && !Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) {
+      return (leftNumber - rightNumber) * order;
+    }
+    return String(left).localeCompare(String(right)) * order;
+  });
+}
+
+export function applyTransactionQuery(transactions, options = {}) {
+  let result = sortTransactions(filterTransactions(transactions, options), options.sort);
+  if (options.limit != null) {
+    const limit = parseInt(options.limit, 10);
+    if (Number.isNaN(limit) || limit < 0) {
+      throw new CliError('--limit must be a non-negative integer', 'validation');
+    }
+    result = result.slice(0, limit);
+  }
+  return result;
+}
@@ -0,0 +1,294 @@
+import { CliError } from './errors.js';
+
+export const BALANCE_PREFERENCE = ['InterimAvailable', 'InterimBooked', 'ClosingAvailable', 'ClosingBooked', 'Expected', 'OpeningAvailable', 'OpeningBooked'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UK quarter days per QtrDay variant, as [month (0-based), day]
+const QUARTER_DAYS = {
+  ENGLISH: [[2, 25], [5, 24], [8, 29], [11, 25]],
+  SCOTTISH: [[1, 2], [4, 15], [7, 1], [10, 11]],
+  RECEIVED: [[2, 20], [5, 19], [8, 24], [11, 23]]
+};
+
+// ============================================================
+// Dates (all UTC, day precision)
+// ============================================================
+
+export function startOfDay(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+export function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// OB weekday numbers run 1 (Monday) to 7 (Sunday)
+function obWeekday(date) {
+  return date.getUTCDay() || 7;
+}
+
+function isWorkingDay(date) {
+  return obWeekday(date) <= 5;
+}
+
+// ============================================================
+// Frequency codes
+// ============================================================
+
+function everyNDays(interval, filter = () => true) {
+  return (start, until) => {
+    const dates = [];
+    for (let date = start; date <= until; date = addDays(date, interval)) {
+      if (filter(date)) dates.push(date);
+    }
+    return dates;
+  };
+}
+
+function weeklyOn(interval, weekday) {
+  return (start, until) => {
+    const offset = (weekday - obWeekday(start) + 7) % 7;
+    return everyNDays(7 * interval)(addDays(start, offset), until);
+  };
+}
+
+function monthly(interval, pickDay) {
+  return (start, until) => {
+    const dates = [];
+    let year = start.getUTCFullYear();
+    let month = start.getUTCMonth();
+    while (Date.UTC(year, month, 1) <= until.getTime()) {
+      const day = pickDay(year, month);
+      if (day) {
+        const date = new Date(Date.UTC(year, month, day));
+        if (date >= start && date <= until) dates.push(date);
+      }
+      month += interval;
+      year += Math.floor(month / 12);
+      month %= 12;
+    }
+    return dates;
+  };
+}
+
+function quarterly(variant) {
+  const days = QUARTER_DAYS[variant];
+  return (start, until) => {
+    const dates = [];
+    for (let year = start.getUTCFullYear(); year <= until.getUTCFullYear(); year++) {
+      for (const [month, day] of days) {
+        const date = new Date(Date.UTC(year, month, day));
+        if (date >= start && date <= until) dates.push(date);
+      }
+    }
+    return dates;
+  };
+}
+
+const FREQUENCY_CODES = 'EvryDay, EvryWorkgDay, IntrvlDay:NN, IntrvlWkDay:II:DD, WkInMnthDay:WW:DD, IntrvlMnthDay:MM:DD, QtrDay:ENGLISH|SCOTTISH|RECEIVED';
+
+function frequencyFor(code) {
+  const [type, first, second] = String(code || '').split(':');
+  const a = parseInt(first, 10);
+  const b = parseInt(second, 10);
+
+  switch (type) {
+    case 'EvryDay':
+      return everyNDays(1);
+    case 'EvryWorkgDay':
+      return everyNDays(1, isWorkingDay);
+    case 'IntrvlDay':
+      return a > 0 ? everyNDays(a) : null;
+    case 'IntrvlWkDay':
+      return a > 0 && b >= 1 && b <= 7 ? weeklyOn(a, b) : null;
+    case 'WkInMnthDay':
+      if (!(a >= 1 && a <= 5 && b >= 1 && b <= 7)) return null;
+      return monthly(1, (year, month) => {
+        const firstWeekday = obWeekday(new Date(Date.UTC(year, month, 1)));
+        const day = 1 + ((b - firstWeekday + 7) % 7) + (a - 1) * 7;
+        return day <= daysInMonth(year, month) ? day : null;
+      });
+    case 'IntrvlMnthDay':
+      if (!(a > 0 && b !== 0 && b >= -5 && b <= 31)) return null;
+      return monthly(a, (year, month) => {
+        const length = daysInMonth(year, month);
+        return b > 0 ? Math.min(b, length) : length + b + 1;
+      });
+    case 'QtrDay':
+      return QUARTER_DAYS[first] ? quarterly(first) : null;
+    default:
+      return null;
+  }
+}
+
+// Returns a generator `(start, until) => Date[]` for an OB Frequency code (see FREQUENCY_CODES; a negative
+// IntrvlMnthDay DD counts back from the month end). Calendar generators count their interval from the month of `start`.
+export function parseFrequency(code) {
+  const generate = frequencyFor(code);
+  if (!generate) {
+    throw new CliError(`Unsupported standing order frequency "${code ?? ''}". Supported codes: ${FREQUENCY_CODES}`, 'validation');
+  }
+  return generate;
+}
+
+// The rule date of a calendar code nearest to `date`, if one is within `days` of it. A calendar generator
+// covering a single month yields that month's rule date whatever its interval.
+function nearestRuleDate(generate, date, days) {
+  const months = [addDays(date, -days), addDays(date, days)].map(d => [d.getUTCFullYear(), d.getUTCMonth()]);
+  return months
+    .flatMap(([year, month]) => generate(new Date(Date.UTC(year, month, 1)), new Date(Date.UTC(year, month, daysInMonth(year, month)))))
+    .filter(rule => Math.abs(rule - date) <= days * DAY_MS)
+    .sort((x, y) => Math.abs(x - date) - Math.abs(y - date))[0] || null;
+}
+
+// ============================================================
+// Projection
+// ============================================================
+
+function amountOf(value) {
+  return value ? { amount: Number(value.Amount), currency: value.Currency } : null;
+}
+
+export function pickBalance(balances, preference = BALANCE_PREFERENCE) {
+  for (const type of preference) {
+    const balance = balances.find(b => b.Type === type);
+    if (balance) {
+      const amount = Number(balance.Amount?.Amount || 0);
+      return {
+        type,
+        amount: balance.CreditDebitIndicator === 'Debit' ? -amount : amount,
+        currency: balance.Amount?.Currency,
+        dateTime: balance.DateTime
+      };
+    }
+  }
+  return null;
+}
+
+export function expandStandingOrder(order, from, until) {
+  if (order.StandingOrderStatusCode && order.StandingOrderStatusCode !== 'Active') {
+    return { events: [] };
+  }
+
+  const nextDate = order.NextPaymentDateTime ? startOfDay(order.NextPaymentDateTime) : null;
+  const finalDate = order.FinalPaymentDateTime ? startOfDay(order.FinalPaymentDateTime) : null;
+  const amount = amountOf(order.NextPaymentAmount || order.FirstPaymentAmount || order.FinalPaymentAmount);
+  if (!nextDate || !amount) {
+    return { events: [], warning: `Standing order ${order.StandingOrderId}: no next payment date or amount` };
+  }
+  const generate = parseFrequency(order.Frequency);
+
+  const end = finalDate && finalDate < until ? finalDate : until;
+  const dates = nextDate >= from && nextDate <= end ? [nextDate] : [];
+
+  // Day- and week-interval codes count from the next payment: its weekday alone doesn't say which
+  // week of an every-N-weeks cycle it is in. Calendar codes step their interval from the rule date the
+  // next payment stands for, which the bank may have moved a few days off (e.g. past a weekend).
+  const weeks = /^IntrvlWkDay:/.test(order.Frequency) ? parseInt(order.Frequency.split(':')[1], 10) : 0;
+  const calendar = !weeks && !/^(EvryDay|EvryWorkgDay|IntrvlDay)(:|$)/.test(order.Frequency);
+  const anchor = (calendar && nearestRuleDate(generate, nextDate, 4)) || nextDate;
+  const following = weeks ? everyNDays(7 * weeks)(nextDate, end) : generate(anchor, end);
+  dates.push(...following.filter(date => date > anchor && date > nextDate && date >= from));
+
+  const finalAmount = amountOf(order.FinalPaymentAmount);
+  const isFinal = (date) => finalDate && finalAmount && date.getTime() === finalDate.getTime();
+  const events = dates.map(date => {
+    const value = isFinal(date) ? finalAmount : amount;
+    return {
+      date: dayKey(date),
+      source: 'standing-order',
+      id: order.StandingOrderId,
+      reference: order.Reference || order.CreditorAccount?.Name || '',
+      amount: -value.amount,
+      currency: value.currency
+    };
+  });
+
+  return { events };
+}
+
+export function expandScheduledPayment(payment, from, until) {
+  const date = payment.ScheduledPaymentDateTime ? startOfDay(payment.ScheduledPaymentDateTime) : null;
+  const amount = amountOf(payment.InstructedAmount);
+  if (!date || !amount || date < from || date > until) {
+    return { events: [] };
+  }
+  return {
+    events: [{
+      date: dayKey(date),
+      source: 'scheduled-payment',
+      id: payment.ScheduledPaymentId,
+      reference: payment.Reference || payment.CreditorAccount?.Name || '',
+      amount: -amount.amount,
+      currency: amount.currency
+    }]
+  };
+}
+
+export function buildForecast({ balances = [], standingOrders = [], scheduledPayments = [], days = 30, balanceType, today = new Date() }) {
+  const start = pickBalance(balances, balanceType ? [balanceType] : BALANCE_PREFERENCE);
+  if (!start) {
+    throw new Error(balanceType ? `No ${balanceType} balance returned for this account` : 'No balance returned for this account');
+  }
+
+  const from = startOfDay(today);
+  const until = addDays(from, days);
+  const warnings = [];
+  let events = [];
+
+  for (const order of standingOrders) {
+    const result = expandStandingOrder(order, from, until);
+    events.push(...result.events);
+    if (result.warning) warnings.push(result.warning);
+  }
+  for (const payment of scheduledPayments) {
+    events.push(...expandScheduledPayment(payment, from, until).events);
+  }
+
+  const skipped = events.filter(e => e.currency && start.currency && e.currency !== start.currency);
+  if (skipped.length) {
+    warnings.push(`${skipped.length} payment(s) not in ${start.currency} were left out of the projection`);
+    events = events.filter(e => !skipped.includes(e));
+  }
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.amount - b.amount);
+
+  const byDay = new Map();
+  for (const event of events) {
+    byDay.set(event.date, (byDay.get(event.date) || 0) + event.amount);
+  }
+
+  const curve = [];
+  let balance = start.amount;
+  let lowest = null;
+  let firstNegative = null;
+  for (let i = 0; i <= days; i++) {
+    const date = dayKey(addDays(from, i));
+    const change = byDay.get(date) || 0;
+    balance = Math.round((balance + change) * 100) / 100;
+    curve.push({ date, change: Math.round(change * 100) / 100, balance });
+    if (!lowest || balance < lowest.balance) lowest = { date, balance };
+    if (balance < 0 && !firstNegative) firstNegative = { date, balance };
+  }
+
+  return {
+    currency: start.currency,
+    startingBalance: start,
+    days,
+    events,
+    curve,
+    endingBalance: balance,
+    lowest,
+    firstNegative,
+    warnings
+  };
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrequency, expandStandingOrder, dayKey } from './forecast.js';
+
+const FROM = new Date('2026-01-01T00:00:00Z');
+const UNTIL = new Date('2026-12-31T00:00:00Z');
+
+function expand(frequency, next) {
+  return parseFrequency(frequency)(new Date(`${next}T00:00:00Z`), UNTIL).map(dayKey);
+}
+
+function projected(frequency, next) {
+  const order = {
+    StandingOrderId: 'so-1',
+    StandingOrderStatusCode: 'Active',
+    Frequency: frequency,
+    NextPaymentDateTime: `${next}T00:00:00Z`,
+    NextPaymentAmount: { Amount: '10.00', Currency: 'EUR' }
+  };
+  return expandStandingOrder(order, FROM, UNTIL).events.map(event => event.date);
+}
+
+test('parseFrequency expands day and week codes', () => {
+  assert.deepEqual(expand('EvryDay', '2026-12-28'), ['2026-12-28', '2026-12-29', '2026-12-30', '2026-12-31']);
+  // 2026-12-24 is a Thursday
+  assert.deepEqual(expand('EvryWorkgDay', '2026-12-24'), ['2026-12-24', '2026-12-25', '2026-12-28', '2026-12-29', '2026-12-30', '2026-12-31']);
+  assert.deepEqual(expand('IntrvlDay:10', '2026-12-01'), ['2026-12-01', '2026-12-11', '2026-12-21', '2026-12-31']);
+  // Every other Friday (5), from a Tuesday
+  assert.deepEqual(expand('IntrvlWkDay:02:05', '2026-11-24'), ['2026-11-27', '2026-12-11', '2026-12-25']);
+});
+
+test('parseFrequency expands calendar codes', () => {
+  // Second Monday (1) of each month
+  assert.deepEqual(expand('WkInMnthDay:02:01', '2026-10-01'), ['2026-10-12', '2026-11-09', '2026-12-14']);
+  assert.deepEqual(expand('IntrvlMnthDay:03:15', '2026-03-01'), ['2026-03-15', '2026-06-15', '2026-09-15', '2026-12-15']);
+  // 31 is clamped to the month end, -1 is the last day
+  assert.deepEqual(expand('IntrvlMnthDay:01:31', '2026-09-01'), ['2026-09-30', '2026-10-31', '2026-11-30', '2026-12-31']);
+  assert.deepEqual(expand('IntrvlMnthDay:06:-1', '2026-02-01'), ['2026-02-28', '2026-08-31']);
+  assert.deepEqual(expand('QtrDay:ENGLISH', '2026-04-01'), ['2026-06-24', '2026-09-29', '2026-12-25']);
+});
+
+test('parseFrequency refuses unsupported codes with a validation error', () => {
+  for (const code of ['Monthly', 'IntrvlDay:0', 'IntrvlWkDay:01:08', 'IntrvlMnthDay:01:00', 'QtrDay:WELSH', '', undefined]) {
+    assert.throws(() => parseFrequency(code), (error) => error.type === 'validation', String(code));
+  }
+});
+
+test('standing orders step calendar intervals from the next payment', () => {
+  assert.deepEqual(projected('IntrvlMnthDay:03:15', '2026-03-15'), ['2026-03-15', '2026-06-15', '2026-09-15', '2026-12-15']);
+  assert.deepEqual(projected('IntrvlMnthDay:02:30', '2026-01-30'), ['2026-01-30', '2026-03-30', '2026-05-30', '2026-07-30', '2026-09-30', '2026-11-30']);
+  assert.deepEqual(projected('IntrvlMnthDay:03:-1', '2026-03-31'), ['2026-03-31', '2026-06-30', '2026-09-30', '2026-12-31']);
+});
+
+test('standing orders moved off their rule date keep the cycle of the rule date', () => {
+  // The 31 January 2026 payment falls on a Saturday and was moved to Monday 2 February
+  assert.deepEqual(projected('IntrvlMnthDay:03:-1', '2026-02-02'), ['2026-02-02', '2026-04-30', '2026-07-31', '2026-10-31']);
+  // Moved back from Sunday 15 March to Friday 13 March
+  assert.deepEqual(projected('IntrvlMnthDay:03:15', '2026-03-13'), ['2026-03-13', '2026-06-15', '2026-09-15', '2026-12-15']);
+});
+
+test('standing orders with an unsupported frequency are refused', () => {
+  assert.throws(() => projected('Fortnightly', '2026-03-01'), (error) => error.type === 'validation' && /Fortnightly/.test(error.message));
+});
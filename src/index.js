@@ -1,7 +1,94 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import readline from 'node:readline/promises';
+import { pipeline } from 'node:stream/promises';
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { getConfig, setConfig } from './config.js';
+import {
+  getConfig,
+  setConfig,
+  hasConfig,
+  isLocked,
+  getLockInfo,
+  lockStore,
+  unlockStore,
+  getActiveProfile,
+  setProfileOverride,
+  listProfiles,
+  profileExists,
+  getProfile,
+  createProfile,
+  useProfile,
+  deleteProfile
+} from './config.js';
+import { login, logout, getAuthStatus, getPaymentToken, deletePaymentToken, DEFAULT_CALLBACK_PORT } from './auth.js';
+import { redact } from './secrets.js';
+import { exportTransactions, EXPORT_FORMATS } from './export.js';
+import {
+  sync,
+  getStoredAccounts,
+  getStoredAccount,
+  getStoredAccountBalances,
+  getStoredAllBalances,
+  getStoredAccountTransactions,
+  getStoredAllTransactions
+} from './store.js';
+import { buildForecast, pickBalance, BALANCE_PREFERENCE } from './forecast.js';
+import { detectRecurring } from './recurring.js';
+import {
+  parseCurrency,
+  parseBalanceTypes,
+  getBalancePreference,
+  loadRatesFile,
+  getStoredRates,
+  setStoredRate,
+  importRates,
+  clearStoredRates,
+  buildPosition
+} from './position.js';
+import { ALERT_RULE_TYPES, getDefaultRulesFile, loadRules, checkAlerts, resetAlertState } from './alerts.js';
+import {
+  AIS_PERMISSIONS,
+  validatePermissions,
+  listTrackedConsents,
+  getTrackedConsent,
+  trackConsent,
+  updateTrackedConsent,
+  getActiveConsent,
+  setActiveConsent,
+  clearActiveConsent,
+  getConsentWarnings,
+  getMissingPermissions
+} from './consents.js';
+import { buildSpendingReport, monthRange, dateRange, GROUP_BY } from './report.js';
+import { applyTransactionQuery, filterTransactions, hasTransactionFilters } from './filters.js';
+import { CliError, EXIT_CODES, describeError } from './errors.js';
+import {
+  PAYMENT_CONTEXT_CODES,
+  FINAL_PAYMENT_STATUSES,
+  buildDomesticInitiation,
+  buildRisk,
+  isScheduled,
+  buildPaymentConsentRequest,
+  buildPaymentRequest,
+  buildInstructedAmount,
+  describeInitiation
+} from './payments.js';
+import { setRecordingOverrides } from './recorder.js';
+import { OUTPUT_FORMATS, configureOutput, printTable, printJson, printData, printDataLine, applyQuery } from './output.js';
+import {
+  DEFAULT_WATCH_INTERVAL,
+  parseInterval,
+  formatInterval,
+  resetWatchState,
+  watchTransactions,
+  runExecHook,
+  validateWebhookUrl,
+  postWebhook
+} from './watch.js';
+import { createMockServer, MOCK_SCENARIOS, DEFAULT_MOCK_PORT, DEFAULT_MOCK_PAGE_SIZE } from './mock.js';
 import {
   createConsent,
   getConsent,
@@ -13,11 +100,40 @@ import {
   getAccountTransactions,
   getAllTransactions,
   getAccountBeneficiaries,
+  getBeneficiaries,
   getAccountStandingOrders,
+  getStandingOrders,
   getAccountScheduledPayments,
+  getScheduledPayments,
+  getAccountDirectDebits,
+  getAccountProduct,
+  getAccountOffers,
   getAccountStatements,
+  getAccountStatement,
+  getAccountStatementTransactions,
+  getAccountStatementFile,
   getAccountParty,
-  createSandbox
+  getAccountParties,
+  getParty,
+  createSandbox,
+  createDomesticPaymentConsent,
+  getDomesticPaymentConsent,
+  createDomesticPayment,
+  getDomesticPayment,
+  getDomesticPaymentDetails,
+  createDomesticScheduledPaymentConsent,
+  getDomesticScheduledPaymentConsent,
+  createDomesticScheduledPayment,
+  getDomesticScheduledPayment,
+  getDomesticScheduledPaymentDetails,
+  createFundsConfirmationConsent,
+  getFundsConfirmationConsent,
+  deleteFundsConfirmationConsent,
+  createFundsConfirmation,
+  sendRequest,
+  DEFAULT_BASE_URL,
+  DEFAULT_TIMEOUT,
+  DEFAULT_RETRIES
 } from './api.js';
 
 const program = new Command();
@@ -34,39 +150,36 @@ function printError(message) {
   console.error(chalk.red('✗') + ' ' + message);
 }
 
-function printTable(data, columns) {
-  if (!data || data.length === 0) {
-    console.log(chalk.yellow('No results found.'));
-    return;
-  }
-
-  const widths = {};
-  columns.forEach(col => {
-    widths[col.key] = col.label.length;
-    data.forEach(row => {
-      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
-      if (val.length > widths[col.key]) widths[col.key] = val.length;
-    });
-    widths[col.key] = Math.min(widths[col.key], 50);
-  });
+// Reports any failure and exits with the code for its type (see EXIT_CODES). With --json the
+// error object goes to stderr so stdout stays parseable.
+function handleError(error, options = {}) {
+  const details = describeError(error);
 
-  const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
-  console.log(chalk.bold(chalk.cyan(header)));
-  console.log(chalk.dim('─'.repeat(header.length)));
+  if (options.json) {
+    console.error(JSON.stringify({ error: details }, null, 2));
+    process.exit(details.exitCode);
+  }
 
-  data.forEach(row => {
-    const line = columns.map(col => {
-      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
-      return val.substring(0, widths[col.key]).padEnd(widths[col.key]);
-    }).join('  ');
-    console.log(line);
+  printError(details.message);
+  details.errors.forEach(e => {
+    const location = e.path ? chalk.dim(` (${e.path})`) : '';
+    console.error(`  ${chalk.yellow(e.errorCode || 'Error')}: ${e.message || ''}${location}`);
   });
-
-  console.log(chalk.dim(`\n${data.length} result(s)`));
-}
-
-function printJson(data) {
-  console.log(JSON.stringify(data, null, 2));
+  if (details.status) {
+    // OB codes usually repeat the status ("400 BadRequest")
+    const status = details.code?.startsWith(String(details.status)) ? details.code : [details.status, details.code].filter(Boolean).join(' ');
+    console.error(chalk.dim(`  Status:         ${status}`));
+  }
+  if (details.retryAfter) {
+    console.error(chalk.dim(`  Retry after:    ${details.retryAfter}`));
+  }
+  if (details.id) {
+    console.error(chalk.dim(`  Error ID:       ${details.id}`));
+  }
+  if (details.interactionId) {
+    console.error(chalk.dim(`  Interaction ID: ${details.interactionId} (quote this to NBG support)`));
+  }
+  process.exit(details.exitCode);
 }
 
 async function withSpinner(message, fn) {
@@ -81,6 +194,129 @@ async function withSpinner(message, fn) {
   }
 }
 
+function promptHidden(question) {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    let input = '';
+
+    const cleanup = () => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+    };
+
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n' || ch === '\u0004') {
+          cleanup();
+          resolve(input);
+          return;
+        }
+        if (ch === '\u0003') {
+          cleanup();
+          reject(new Error('Cancelled'));
+          return;
+        }
+        input = ch === '\u007f' || ch === '\b' ? input.slice(0, -1) : input + ch;
+      }
+    };
+
+    process.stderr.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+async function promptConfirm(question) {
+  if (!process.stdin.isTTY) {
+    throw new CliError('Confirmation needed but stdin is not a terminal. Pass --yes to go ahead without asking', 'validation');
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(question)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function getKeySource(options, { confirm = false, storedKeyFile } = {}) {
+  const keyFile = options.keyFile || process.env.NBG_KEY_FILE || storedKeyFile;
+  if (keyFile) return { keyFile };
+  if (process.env.NBG_PASSPHRASE) return { passphrase: process.env.NBG_PASSPHRASE };
+  if (!process.stdin.isTTY) {
+    throw new CliError('No passphrase available. Use --key-file, NBG_KEY_FILE or NBG_PASSPHRASE', 'auth');
+  }
+
+  const passphrase = await promptHidden('Passphrase: ');
+  if (!passphrase) throw new CliError('Passphrase must not be empty', 'validation');
+  if (confirm && passphrase !== await promptHidden('Confirm passphrase: ')) {
+    throw new CliError('Passphrases do not match', 'validation');
+  }
+  return { passphrase };
+}
+
+function printWarning(message) {
+  console.error(chalk.yellow('!') + ' ' + message);
+}
+
+function commandPath(command) {
+  return command.parent && command.parent !== program
+    ? `${command.parent.name()} ${command.name()}`
+    : command.name();
+}
+
+function isOffline() {
+  return !!program.opts().offline;
+}
+
+// The local store holds accounts, balances and transactions only
+function requireStandingOrdersOnline(command) {
+  if (isOffline()) {
+    throw new CliError(`"nbg ${command}" needs standing orders and scheduled payments, which are not in the local store. Run it without --offline`, 'validation');
+  }
+}
+
+function getPagination(options, transform = (page) => page) {
+  const pagination = {
+    all: !!options.all,
+    maxPages: options.maxPages,
+    pageSize: options.pageSize
+  };
+  if (options.json && options.stream) {
+    pagination.onPage = (page) => printDataLine(transform(page));
+  }
+  return pagination;
+}
+
+// Streamed pages were printed as they arrived. The local store has no pages, so offline its whole
+// document is printed as the one line.
+function printPaged(data, options) {
+  if (!options.stream) printData(data);
+  else if (isOffline()) printDataLine(data);
+}
+
+// Applies the client-side --min-amount/--search/--sort/... options to a transactions document.
+// Streamed pages are only filtered: sorting and --limit need the whole result.
+function queryTransactions(data, options) {
+  return { ...data, Data: { ...data.Data, Transaction: applyTransactionQuery(data.Data?.Transaction || [], options) } };
+}
+
+function filterTransactionPage(options) {
+  return (page) => hasTransactionFilters(options)
+    ? { ...page, Data: { ...page.Data, Transaction: filterTransactions(page.Data?.Transaction || [], options) } }
+    : page;
+}
+
+function warnIfMorePages(data) {
+  if (data.Links?.Next) {
+    const total = data.Meta?.TotalPages ? ` of ${data.Meta.TotalPages}` : '';
+    console.error(chalk.yellow(`\nShowing ${data.Meta?.PagesFetched || 1}${total} page(s); more results are available. Use --all to fetch every page.`));
+  }
+}
+
 // ============================================================
 // Program metadata
 // ============================================================
@@ -88,7 +324,63 @@ async function withSpinner(message, fn) {
 program
   .name('nbg')
   .description(chalk.bold('NBG CLI') + ' - UK Open Banking Account & Transaction API')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--profile <name>', 'Configuration profile to use (default: $NBG_PROFILE or the active profile)')
+  .option('--offline', 'Answer accounts, balances and transactions commands from the local store (see "nbg sync")')
+  .option('--record <dir>', 'Save every API request and response to this directory, secrets redacted (or $NBG_RECORD)')
+  .option('--replay <dir>', 'Answer API requests from a recorded directory without touching the network (or $NBG_REPLAY)')
+  .option('-o, --output <format>', `Output format: ${OUTPUT_FORMATS.join(', ')} (default: table; --json is short for --output json)`)
+  .option('--fields <paths>', 'Comma-separated fields to show, OB paths allowed (e.g. TransactionId,Amount.Amount)')
+  .option('--query <expression>', 'Filter and reshape the JSON with a jq-like expression (e.g. \'.Data.Transaction[] | select(.Amount.Amount > 100)\'); on "nbg api" it adds query string parameters instead', collect, [])
+  .option('--no-truncate', 'Do not cut long table cells')
+  .option('--no-color', 'Disable colours (also off when stdout is not a terminal or NO_COLOR is set)');
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  setProfileOverride(program.opts().profile);
+  setRecordingOverrides({ record: program.opts().record, replay: program.opts().replay });
+  if (program.opts().record && program.opts().replay) {
+    printError('Use either --record or --replay, not both');
+    process.exit(EXIT_CODES.validation);
+  }
+
+  // --output, --fields and --query apply to every command that prints data: it takes its --json path
+  // and printData renders the result
+  try {
+    const { output, fields, truncate, color } = program.opts();
+    // The global option takes --query wherever it appears, so a command with its own --query ("nbg api")
+    // gets the values back
+    let query = program.opts().query;
+    if (actionCommand.options.some(o => o.long === '--query')) {
+      actionCommand.setOptionValue('query', [...(actionCommand.opts().query || []), ...query]);
+      query = [];
+    }
+    if (query.length > 1) throw new CliError('--query can only be given once; combine expressions with "|"', 'validation');
+    if (configureOutput({ output, json: actionCommand.opts().json, fields, query: query[0], truncate, color })) {
+      if (!actionCommand.options.some(o => o.long === '--json')) {
+        throw new CliError(`"nbg ${commandPath(actionCommand)}" does not print data, so --output, --fields and --query do not apply`, 'validation');
+      }
+      actionCommand.setOptionValue('json', true);
+    }
+  } catch (error) {
+    handleError(error);
+  }
+
+  // The profile commands are how a missing profile gets created or switched away from
+  const path = commandPath(actionCommand);
+  const profile = getActiveProfile();
+  if (!/^profile (create|list|use)$/.test(path) && !profileExists(profile)) {
+    printError(`Profile "${profile}" does not exist. Create it with "nbg profile create ${profile}"`);
+    process.exit(EXIT_CODES.validation);
+  }
+
+  if (/^(config|profile|auth|consents|mock|payments|funds|rates)\b/.test(path) || isOffline()) return;
+
+  const consent = getActiveConsent();
+  getConsentWarnings(consent).forEach(printWarning);
+  getMissingPermissions(path, consent).forEach(group => {
+    printWarning(`Active consent ${consent.ConsentId} lacks ${group.join(' or ')}; "nbg ${path}" will likely be refused (403)`);
+  });
+});
 
 // ============================================================
 // CONFIG
@@ -102,6 +394,16 @@ configCmd
   .option('--base-url <url>', 'API base URL (default: https://apis.nbg.gr/uk/v3_1)')
   .option('--access-token <token>', 'OAuth access token')
   .option('--sandbox-id <id>', 'Sandbox ID for testing')
+  .option('--client-id <id>', 'OAuth client ID (for "nbg auth login")')
+  .option('--client-secret <secret>', 'OAuth client secret (confidential clients only)')
+  .option('--authorize-url <url>', 'OAuth authorization endpoint')
+  .option('--token-url <url>', 'OAuth token endpoint')
+  .option('--scope <scope>', 'OAuth scopes requested at login')
+  .option('--timeout <ms>', `Request timeout in milliseconds (default: ${DEFAULT_TIMEOUT})`)
+  .option('--retries <n>', `Retries for GET requests on 429, 5xx and network errors (default: ${DEFAULT_RETRIES})`)
+  .option('--customer-ip <address>', 'PSU IP address sent as x-fapi-customer-ip-address')
+  .option('--customer-user-agent <agent>', 'PSU user agent sent as x-customer-user-agent')
+  .option('--balance-types <types>', `Balance type preference for "nbg position", comma-separated (default: ${BALANCE_PREFERENCE.join(',')})`)
   .action((options) => {
     if (options.baseUrl) {
       setConfig('baseUrl', options.baseUrl);
@@ -115,23 +417,302 @@ configCmd
       setConfig('sandboxId', options.sandboxId);
       printSuccess('Sandbox ID set');
     }
-    if (!options.baseUrl && !options.accessToken && !options.sandboxId) {
-      printError('No options provided. Use --base-url, --access-token, or --sandbox-id');
+    if (options.clientId) {
+      setConfig('clientId', options.clientId);
+      printSuccess('Client ID set');
+    }
+    if (options.clientSecret) {
+      setConfig('clientSecret', options.clientSecret);
+      printSuccess('Client secret set');
+    }
+    if (options.authorizeUrl) {
+      setConfig('authorizeUrl', options.authorizeUrl);
+      printSuccess('Authorize URL set');
+    }
+    if (options.tokenUrl) {
+      setConfig('tokenUrl', options.tokenUrl);
+      printSuccess('Token URL set');
+    }
+    if (options.scope) {
+      setConfig('scope', options.scope);
+      printSuccess('Scope set');
+    }
+    if (options.timeout) {
+      const timeout = parseInt(options.timeout, 10);
+      if (Number.isNaN(timeout) || timeout <= 0) {
+        printError('--timeout must be a positive number of milliseconds');
+        process.exit(EXIT_CODES.validation);
+      }
+      setConfig('timeout', timeout);
+      printSuccess('Timeout set');
+    }
+    if (options.retries) {
+      const retries = parseInt(options.retries, 10);
+      if (Number.isNaN(retries) || retries < 0) {
+        printError('--retries must be a non-negative integer');
+        process.exit(EXIT_CODES.validation);
+      }
+      setConfig('retries', retries);
+      printSuccess('Retries set');
+    }
+    if (options.customerIp) {
+      setConfig('customerIpAddress', options.customerIp);
+      printSuccess('Customer IP address set');
+    }
+    if (options.customerUserAgent) {
+      setConfig('customerUserAgent', options.customerUserAgent);
+      printSuccess('Customer user agent set');
+    }
+    if (options.balanceTypes) {
+      try {
+        setConfig('balanceTypes', parseBalanceTypes(options.balanceTypes));
+      } catch (error) {
+        handleError(error);
+      }
+      printSuccess('Balance types set');
+    }
+    const keys = ['baseUrl', 'accessToken', 'sandboxId', 'clientId', 'clientSecret', 'authorizeUrl', 'tokenUrl', 'scope', 'timeout', 'retries', 'customerIp', 'customerUserAgent', 'balanceTypes'];
+    if (!keys.some(key => options[key])) {
+      printError('No options provided. Use --base-url, --access-token, --sandbox-id, --client-id, --client-secret, --authorize-url, --token-url, --scope, --timeout, --retries, --customer-ip, --customer-user-agent, or --balance-types');
     }
   });
 
 configCmd
   .command('show')
   .description('Show current configuration')
-  .action(() => {
+  .option('--json', 'Output as JSON (secrets redacted)')
+  .action((options) => {
+    if (options.json) {
+      printData(redact({ profile: getActiveProfile(), encryption: getLockInfo(), ...getProfile(getActiveProfile()) }));
+      return;
+    }
+
     const baseUrl = getConfig('baseUrl') || 'https://apis.nbg.gr/uk/v3_1 (default)';
-    const accessToken = getConfig('accessToken') || 'Not set';
+    const accessToken = hasConfig('accessToken') ? 'Set' : 'Not set';
     const sandboxId = getConfig('sandboxId') || 'Not set';
+    const clientId = getConfig('clientId') || 'Not set';
+    const refreshToken = hasConfig('refreshToken') ? 'Set' : 'Not set';
+    const lock = getLockInfo();
 
     console.log(chalk.bold('\nNBG CLI Configuration\n'));
+    console.log('Profile:       ', chalk.cyan(getActiveProfile()));
     console.log('Base URL:      ', chalk.cyan(baseUrl));
     console.log('Access Token:  ', accessToken === 'Not set' ? chalk.yellow(accessToken) : chalk.green('Set'));
+    console.log('Refresh Token: ', refreshToken === 'Not set' ? chalk.yellow(refreshToken) : chalk.green(refreshToken));
     console.log('Sandbox ID:    ', sandboxId === 'Not set' ? chalk.yellow(sandboxId) : chalk.cyan(sandboxId));
+    console.log('Client ID:     ', clientId === 'Not set' ? chalk.yellow(clientId) : chalk.cyan(clientId));
+    console.log('Client Secret: ', hasConfig('clientSecret') ? chalk.green('Set') : chalk.yellow('Not set'));
+    console.log('Timeout:       ', chalk.cyan(`${getConfig('timeout') ?? DEFAULT_TIMEOUT} ms`));
+    console.log('Retries:       ', chalk.cyan(getConfig('retries') ?? DEFAULT_RETRIES));
+    console.log('Balance Types: ', chalk.cyan(getBalancePreference().join(', ')));
+    console.log('Credentials:   ', lock.locked ? chalk.green(`Encrypted (${lock.method})`) : chalk.yellow('Plaintext'));
+    console.log('');
+  });
+
+configCmd
+  .command('lock')
+  .description('Encrypt stored tokens and client secrets with a passphrase or key file')
+  .option('--key-file <path>', 'Derive the encryption key from this file instead of a passphrase')
+  .action(async (options) => {
+    try {
+      if (isLocked()) {
+        throw new Error('Credentials are already locked');
+      }
+      lockStore(await getKeySource(options, { confirm: true }));
+      printSuccess('Credentials encrypted. Set NBG_PASSPHRASE (or keep the key file in place) to use them.');
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+configCmd
+  .command('unlock')
+  .description('Decrypt stored credentials back to plaintext')
+  .option('--key-file <path>', 'Key file used when locking')
+  .action(async (options) => {
+    try {
+      if (!isLocked()) {
+        throw new Error('Credentials are not locked');
+      }
+      unlockStore(await getKeySource(options, { storedKeyFile: getLockInfo().keyFile }));
+      printSuccess('Credentials decrypted');
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// PROFILES
+// ============================================================
+
+const profileCmd = program.command('profile').description('Manage named configuration profiles');
+
+profileCmd
+  .command('create <name>')
+  .description('Create a new profile')
+  .option('--base-url <url>', 'API base URL')
+  .option('--access-token <token>', 'OAuth access token')
+  .option('--sandbox-id <id>', 'Sandbox ID for testing')
+  .option('--client-id <id>', 'OAuth client ID')
+  .option('--copy-from <profile>', 'Start from the settings of an existing profile')
+  .option('--use', 'Make the new profile active')
+  .action((name, options) => {
+    try {
+      if (options.copyFrom && !profileExists(options.copyFrom)) {
+        throw new Error(`Profile "${options.copyFrom}" does not exist`);
+      }
+
+      const values = options.copyFrom ? { ...getProfile(options.copyFrom) } : {};
+      if (options.baseUrl) values.baseUrl = options.baseUrl;
+      if (options.accessToken) values.accessToken = options.accessToken;
+      if (options.sandboxId) values.sandboxId = options.sandboxId;
+      if (options.clientId) values.clientId = options.clientId;
+
+      createProfile(name, values);
+      printSuccess(`Profile "${name}" created`);
+
+      if (options.use) {
+        useProfile(name);
+        printSuccess(`Now using profile "${name}"`);
+      }
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+profileCmd
+  .command('use <name>')
+  .description('Set the active profile')
+  .action((name) => {
+    try {
+      useProfile(name);
+      printSuccess(`Now using profile "${name}"`);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+profileCmd
+  .command('list')
+  .description('List profiles')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const active = getActiveProfile();
+    const profiles = listProfiles().map(name => {
+      const profile = getProfile(name);
+      return {
+        name,
+        active: name === active,
+        baseUrl: profile.baseUrl || null,
+        sandboxId: profile.sandboxId || null
+      };
+    });
+
+    if (options.json) {
+      printData(profiles);
+      return;
+    }
+
+    printTable(profiles, [
+      { key: 'active', label: ' ', format: (v) => v ? '*' : '' },
+      { key: 'name', label: 'Profile' },
+      { key: 'baseUrl', label: 'Base URL', format: (v) => v || '(default)' },
+      { key: 'sandboxId', label: 'Sandbox ID', format: (v) => v || 'Not set' }
+    ]);
+  });
+
+profileCmd
+  .command('delete <name>')
+  .description('Delete a profile and its stored credentials')
+  .action((name) => {
+    try {
+      deleteProfile(name);
+      printSuccess(`Profile "${name}" deleted`);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// ============================================================
+// AUTH
+// ============================================================
+
+const authCmd = program.command('auth').description('Log in with OAuth 2.0 (authorization code + PKCE)');
+
+authCmd
+  .command('login')
+  .description('Log in through the browser and store access and refresh tokens')
+  .option('--port <port>', 'Loopback port for the OAuth callback', String(DEFAULT_CALLBACK_PORT))
+  .option('--scope <scope>', 'OAuth scopes to request')
+  .option('--consent <consentId>', 'Authorise this consent as part of the login; a payment consent gets its own token for "nbg payments submit"')
+  .option('--no-browser', 'Print the authorization URL instead of opening a browser')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const spinner = ora('Waiting for authorization in the browser...');
+      // Account access consents are in the registry; any other consent is taken to be a payment consent
+      const payment = !!options.consent && !getTrackedConsent(options.consent);
+      await login({
+        port: parseInt(options.port, 10),
+        scope: options.scope,
+        consentId: options.consent,
+        payment,
+        openUrl: options.browser,
+        onAuthorizeUrl: (url) => {
+          console.error(chalk.bold('\nOpen this URL to authorize the CLI:\n'));
+          console.error(chalk.cyan(url) + '\n');
+          spinner.start();
+        }
+      }).finally(() => spinner.stop());
+
+      const status = getAuthStatus();
+
+      if (options.json) {
+        printData(status);
+        return;
+      }
+
+      if (payment) {
+        printSuccess(`Payment consent ${options.consent} authorised. Its token is kept for "nbg payments submit ${options.consent}"; the account access login is unchanged`);
+        return;
+      }
+      printSuccess('Logged in successfully');
+      if (status.expiresAt) {
+        console.log('Token expires: ', status.expiresAt);
+      }
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+authCmd
+  .command('logout')
+  .description('Remove stored access and refresh tokens')
+  .action(() => {
+    logout();
+    printSuccess('Logged out');
+  });
+
+authCmd
+  .command('status')
+  .description('Show the current login state')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const status = getAuthStatus();
+
+    if (options.json) {
+      printData(status);
+      return;
+    }
+
+    console.log(chalk.bold('\nAuthentication Status\n'));
+    console.log('Logged In:     ', status.loggedIn ? chalk.green('Yes') : chalk.yellow('No'));
+    console.log('Client ID:     ', status.clientId ? chalk.cyan(status.clientId) : chalk.yellow('Not set'));
+    console.log('Refresh Token: ', status.hasRefreshToken ? chalk.green('Set') : chalk.yellow('Not set'));
+    console.log('Expires:       ', status.expiresAt ? (status.expired ? chalk.red(`${status.expiresAt} (expired)`) : status.expiresAt) : 'N/A');
+    if (status.paymentConsents.length) {
+      console.log('Payment Logins:', status.paymentConsents.join(', '));
+    }
     console.log('');
   });
 
@@ -144,11 +725,14 @@ const consentsCmd = program.command('consents').description('Manage account acce
 consentsCmd
   .command('create')
   .description('Create a new account access consent')
-  .option('--permissions <permissions...>', 'Permissions (e.g., ReadAccountsBasic ReadBalances)', ['ReadAccountsBasic', 'ReadBalances'])
+  .option('--permissions <permissions...>', `Permissions, any of: ${AIS_PERMISSIONS.join(', ')}`, ['ReadAccountsBasic', 'ReadBalances'])
   .option('--expiration <date>', 'Expiration date (ISO 8601)')
+  .option('--no-use', 'Do not make the new consent the active one')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
     try {
+      validatePermissions(options.permissions);
+
       const payload = {
         Data: {
           Permissions: options.permissions
@@ -160,9 +744,13 @@ consentsCmd
       }
 
       const data = await withSpinner('Creating consent...', () => createConsent(payload));
+      const tracked = trackConsent(data.Data);
+      if (tracked && options.use) {
+        setActiveConsent(tracked.ConsentId);
+      }
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
@@ -174,8 +762,7 @@ consentsCmd
       console.log('');
       printSuccess('Consent created successfully');
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -186,9 +773,10 @@ consentsCmd
   .action(async (consentId, options) => {
     try {
       const data = await withSpinner(`Fetching consent ${consentId}...`, () => getConsent(consentId));
+      trackConsent(data.Data);
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
@@ -201,8 +789,7 @@ consentsCmd
       console.log('Expires:       ', consent.ExpirationDateTime || 'N/A');
       console.log('');
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -213,16 +800,124 @@ consentsCmd
   .action(async (consentId, options) => {
     try {
       const data = await withSpinner(`Deleting consent ${consentId}...`, () => deleteConsent(consentId));
+      updateTrackedConsent(consentId, { Status: 'Revoked', CheckedAt: new Date().toISOString() });
+      clearActiveConsent(consentId);
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
       printSuccess(`Consent ${consentId} deleted successfully`);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
+    }
+  });
+
+consentsCmd
+  .command('list')
+  .description('List consents tracked by this profile')
+  .option('--refresh', 'Fetch the current status of each consent from the API')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      if (options.refresh) {
+        await withSpinner('Refreshing consents...', async () => {
+          for (const consent of listTrackedConsents()) {
+            try {
+              trackConsent((await getConsent(consent.ConsentId)).Data);
+            } catch (error) {
+              if (error.response?.status !== 404) throw error;
+              updateTrackedConsent(consent.ConsentId, { Status: 'NotFound', CheckedAt: new Date().toISOString() });
+            }
+          }
+        });
+      }
+
+      const activeId = getActiveConsent()?.ConsentId;
+      const consents = listTrackedConsents().map(c => ({ ...c, Active: c.ConsentId === activeId }));
+
+      if (options.json) {
+        printData(consents);
+        return;
+      }
+
+      printTable(consents, [
+        { key: 'Active', label: ' ', format: (v) => (v ? '*' : '') },
+        { key: 'ConsentId', label: 'Consent ID' },
+        { key: 'Status', label: 'Status' },
+        { key: 'ExpirationDateTime', label: 'Expires', format: (v) => v || 'Never' },
+        { key: 'Permissions', label: 'Permissions', format: (v) => v?.join(', ') || 'N/A' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+consentsCmd
+  .command('use <consentId>')
+  .description('Set the consent used for expiry warnings and permission checks')
+  .action((consentId) => {
+    try {
+      setActiveConsent(consentId);
+      printSuccess(`Now using consent ${consentId}`);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+consentsCmd
+  .command('renew [consentId]')
+  .description('Create a replacement for a consent with the same permissions (default: the active consent)')
+  .option('--expiration <date>', 'Expiration date for the new consent (ISO 8601)')
+  .option('--days <n>', 'Expire the new consent after n days', (v) => parseInt(v, 10))
+  .option('--revoke', 'Delete the old consent once the new one is created')
+  .option('--json', 'Output as JSON')
+  .action(async (consentId, options) => {
+    try {
+      const old = consentId ? getTrackedConsent(consentId) : getActiveConsent();
+      if (!old) {
+        throw new CliError(consentId
+          ? `Consent ${consentId} is not tracked. Fetch it first with "nbg consents get ${consentId}"`
+          : 'No active consent. Pass a consent ID or run "nbg consents use <consentId>"', 'consent');
+      }
+
+      const payload = { Data: { Permissions: old.Permissions } };
+      if (options.expiration) {
+        payload.Data.ExpirationDateTime = options.expiration;
+      } else if (options.days) {
+        payload.Data.ExpirationDateTime = new Date(Date.now() + options.days * 24 * 60 * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+      }
+      if (old.TransactionFromDateTime) payload.Data.TransactionFromDateTime = old.TransactionFromDateTime;
+      if (old.TransactionToDateTime) payload.Data.TransactionToDateTime = old.TransactionToDateTime;
+
+      const data = await withSpinner(`Renewing consent ${old.ConsentId}...`, () => createConsent(payload));
+      const renewed = trackConsent(data.Data, { Replaces: old.ConsentId });
+      updateTrackedConsent(old.ConsentId, { ReplacedBy: renewed?.ConsentId });
+      if (renewed && (!getActiveConsent() || getActiveConsent().ConsentId === old.ConsentId)) {
+        setActiveConsent(renewed.ConsentId);
+      }
+
+      if (options.revoke) {
+        await withSpinner(`Deleting consent ${old.ConsentId}...`, () => deleteConsent(old.ConsentId));
+        updateTrackedConsent(old.ConsentId, { Status: 'Revoked' });
+      }
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const consent = data.Data || {};
+      console.log(chalk.bold('\nConsent Renewed\n'));
+      console.log('Replaces:      ', old.ConsentId);
+      console.log('Consent ID:    ', chalk.cyan(consent.ConsentId || 'N/A'));
+      console.log('Status:        ', chalk.green(consent.Status || 'N/A'));
+      console.log('Expires:       ', consent.ExpirationDateTime || 'N/A');
+      console.log('');
+      printSuccess('Consent renewed. Authorise the new consent before using it.');
+    } catch (error) {
+      handleError(error, options);
     }
   });
 
@@ -238,10 +933,10 @@ accountsCmd
   .option('--json', 'Output as JSON')
   .action(async (options) => {
     try {
-      const data = await withSpinner('Fetching accounts...', () => getAccounts());
+      const data = await withSpinner('Fetching accounts...', () => isOffline() ? getStoredAccounts() : getAccounts());
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
@@ -260,8 +955,7 @@ accountsCmd
         { key: 'subtype', label: 'Subtype' }
       ]);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -271,10 +965,10 @@ accountsCmd
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
     try {
-      const data = await withSpinner(`Fetching account ${accountId}...`, () => getAccount(accountId));
+      const data = await withSpinner(`Fetching account ${accountId}...`, () => isOffline() ? getStoredAccount(accountId) : getAccount(accountId));
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
@@ -287,8 +981,7 @@ accountsCmd
       console.log('Currency:      ', account.Currency || 'N/A');
       console.log('');
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -302,12 +995,16 @@ balancesCmd
   .command('get <accountId>')
   .description('Get balances for a specific account')
   .option('--json', 'Output as JSON')
+  .option('--all', 'Follow Links.Next and fetch every page')
+  .option('--max-pages <n>', 'Fetch at most this many pages', (v) => parseInt(v, 10))
+  .option('--page-size <n>', 'Requested page size (sent as pageSize)', (v) => parseInt(v, 10))
+  .option('--stream', 'With --json, print each page as a JSON line instead of one merged document')
   .action(async (accountId, options) => {
     try {
-      const data = await withSpinner(`Fetching balances for account ${accountId}...`, () => getAccountBalances(accountId));
+      const data = await withSpinner(`Fetching balances for account ${accountId}...`, () => isOffline() ? getStoredAccountBalances(accountId) : getAccountBalances(accountId, {}, getPagination(options)));
 
       if (options.json) {
-        printJson(data);
+        printPaged(data, options);
         return;
       }
 
@@ -327,9 +1024,9 @@ balancesCmd
         { key: 'creditDebit', label: 'Credit/Debit' },
         { key: 'datetime', label: 'DateTime' }
       ]);
+      warnIfMorePages(data);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -337,12 +1034,16 @@ balancesCmd
   .command('list')
   .description('Get balances across all accounts')
   .option('--json', 'Output as JSON')
+  .option('--all', 'Follow Links.Next and fetch every page')
+  .option('--max-pages <n>', 'Fetch at most this many pages', (v) => parseInt(v, 10))
+  .option('--page-size <n>', 'Requested page size (sent as pageSize)', (v) => parseInt(v, 10))
+  .option('--stream', 'With --json, print each page as a JSON line instead of one merged document')
   .action(async (options) => {
     try {
-      const data = await withSpinner('Fetching all balances...', () => getAllBalances());
+      const data = await withSpinner('Fetching all balances...', () => isOffline() ? getStoredAllBalances() : getAllBalances({}, getPagination(options)));
 
       if (options.json) {
-        printJson(data);
+        printPaged(data, options);
         return;
       }
 
@@ -362,9 +1063,9 @@ balancesCmd
         { key: 'currency', label: 'Currency' },
         { key: 'creditDebit', label: 'Credit/Debit' }
       ]);
+      warnIfMorePages(data);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -380,16 +1081,31 @@ transactionsCmd
   .option('--from <date>', 'From date (ISO 8601)')
   .option('--to <date>', 'To date (ISO 8601)')
   .option('--json', 'Output as JSON')
+  .option('--all', 'Follow Links.Next and fetch every page')
+  .option('--max-pages <n>', 'Fetch at most this many pages', (v) => parseInt(v, 10))
+  .option('--page-size <n>', 'Requested page size (sent as pageSize)', (v) => parseInt(v, 10))
+  .option('--stream', 'With --json, print each page as a JSON line instead of one merged document')
+  .option('--min-amount <amount>', 'Only transactions of at least this amount')
+  .option('--max-amount <amount>', 'Only transactions of at most this amount')
+  .option('--credit', 'Only credits')
+  .option('--debit', 'Only debits')
+  .option('--status <status>', 'Only Booked or Pending transactions')
+  .option('--search <text>', 'Search transaction information and merchant name')
+  .option('--merchant-category <code>', 'Only this merchant category code')
+  .option('--sort <field[:desc]>', 'Sort by date, valueDate, amount, status, merchant, description or an OB field path')
+  .option('--limit <n>', 'Show at most n transactions')
   .action(async (accountId, options) => {
     try {
       const params = {};
       if (options.from) params.fromBookingDateTime = options.from;
       if (options.to) params.toBookingDateTime = options.to;
 
-      const data = await withSpinner(`Fetching transactions for account ${accountId}...`, () => getAccountTransactions(accountId, params));
+      const data = queryTransactions(await withSpinner(`Fetching transactions for account ${accountId}...`, () => isOffline()
+        ? getStoredAccountTransactions(accountId, params)
+        : getAccountTransactions(accountId, params, getPagination(options, filterTransactionPage(options)))), options);
 
       if (options.json) {
-        printJson(data);
+        printPaged(data, options);
         return;
       }
 
@@ -409,12 +1125,13 @@ transactionsCmd
         { key: 'amount', label: 'Amount' },
         { key: 'currency', label: 'Currency' },
         { key: 'creditDebit', label: 'Credit/Debit' },
+        { key: 'status', label: 'Status' },
         { key: 'bookingDate', label: 'Booking Date' },
         { key: 'description', label: 'Description' }
       ]);
+      warnIfMorePages(data);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -424,16 +1141,31 @@ transactionsCmd
   .option('--from <date>', 'From date (ISO 8601)')
   .option('--to <date>', 'To date (ISO 8601)')
   .option('--json', 'Output as JSON')
+  .option('--all', 'Follow Links.Next and fetch every page')
+  .option('--max-pages <n>', 'Fetch at most this many pages', (v) => parseInt(v, 10))
+  .option('--page-size <n>', 'Requested page size (sent as pageSize)', (v) => parseInt(v, 10))
+  .option('--stream', 'With --json, print each page as a JSON line instead of one merged document')
+  .option('--min-amount <amount>', 'Only transactions of at least this amount')
+  .option('--max-amount <amount>', 'Only transactions of at most this amount')
+  .option('--credit', 'Only credits')
+  .option('--debit', 'Only debits')
+  .option('--status <status>', 'Only Booked or Pending transactions')
+  .option('--search <text>', 'Search transaction information and merchant name')
+  .option('--merchant-category <code>', 'Only this merchant category code')
+  .option('--sort <field[:desc]>', 'Sort by date, valueDate, amount, status, merchant, description or an OB field path')
+  .option('--limit <n>', 'Show at most n transactions')
   .action(async (options) => {
     try {
       const params = {};
       if (options.from) params.fromBookingDateTime = options.from;
       if (options.to) params.toBookingDateTime = options.to;
 
-      const data = await withSpinner('Fetching all transactions...', () => getAllTransactions(params));
+      const data = queryTransactions(await withSpinner('Fetching all transactions...', () => isOffline()
+        ? getStoredAllTransactions(params)
+        : getAllTransactions(params, getPagination(options, filterTransactionPage(options)))), options);
 
       if (options.json) {
-        printJson(data);
+        printPaged(data, options);
         return;
       }
 
@@ -455,179 +1187,1621 @@ transactionsCmd
         { key: 'creditDebit', label: 'Credit/Debit' },
         { key: 'bookingDate', label: 'Booking Date' }
       ]);
+      warnIfMorePages(data);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
-// ============================================================
-// BENEFICIARIES
-// ============================================================
-
-const beneficiariesCmd = program.command('beneficiaries').description('Get account beneficiaries');
-
-beneficiariesCmd
-  .command('get <accountId>')
-  .description('Get beneficiaries for a specific account')
-  .option('--json', 'Output as JSON')
+transactionsCmd
+  .command('export <accountId>')
+  .description('Export all transactions for an account to CSV, OFX, QIF or camt.053')
+  .requiredOption('--format <format>', `Export format (${EXPORT_FORMATS.join(', ')})`)
+  .option('--out <file>', 'Output file (default: stdout)')
+  .option('--from <date>', 'From date (ISO 8601)')
+  .option('--to <date>', 'To date (ISO 8601)')
+  .option('--max-pages <n>', 'Fetch at most this many pages', (v) => parseInt(v, 10))
+  .option('--include-pending', 'Include pending transactions (importers book them again once they settle)')
   .action(async (accountId, options) => {
     try {
-      const data = await withSpinner(`Fetching beneficiaries for account ${accountId}...`, () => getAccountBeneficiaries(accountId));
+      if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new CliError(`Unknown export format "${options.format}". Use one of: ${EXPORT_FORMATS.join(', ')}`, 'validation');
+      }
 
-      if (options.json) {
-        printJson(data);
-        return;
+      const params = {};
+      if (options.from) params.fromBookingDateTime = options.from;
+      if (options.to) params.toBookingDateTime = options.to;
+
+      const [data, account] = await withSpinner(`Fetching transactions for account ${accountId}...`, () => Promise.all([
+        getAccountTransactions(accountId, params, { all: true, maxPages: options.maxPages }),
+        // Account details only enrich the OFX/camt.053 headers, so don't fail the export without them
+        getAccount(accountId).then(res => res.Data?.Account?.[0]).catch(() => null)
+      ]));
+
+      // A pending transaction settles under a new ID, so exporting it would double-book it in the importer
+      const transactions = (data.Data?.Transaction || []).filter(t => options.includePending || t.Status !== 'Pending');
+
+      // Without running balances camt.053 falls back to today's booked balance, which only closes the
+      // export when nothing after it was left out
+      let bookedBalance = null;
+      if (options.format === 'camt053' && !transactions.some(t => t.Balance) && !options.to && !data.Links?.Next) {
+        const balances = await getAccountBalances(accountId, {}, { all: true });
+        bookedBalance = pickBalance(balances.Data?.Balance || [], ['InterimBooked', 'ClosingBooked']);
       }
+      const output = exportTransactions(options.format, transactions, { accountId, account, bookedBalance });
 
-      const beneficiaries = data.Data?.Beneficiary || [];
-      const tableData = beneficiaries.map(b => ({
-        id: b.BeneficiaryId,
-        name: b.CreditorAccount?.Name || 'N/A',
-        accountId: b.CreditorAccount?.Identification || 'N/A',
-        reference: b.Reference || 'N/A'
-      }));
+      // stderr, so the notice never ends up in an export written to stdout
+      if (data.Links?.Next) {
+        console.error(chalk.yellow('Stopped at --max-pages; more transactions are available.'));
+      }
 
-      printTable(tableData, [
-        { key: 'id', label: 'Beneficiary ID' },
-        { key: 'name', label: 'Name' },
-        { key: 'accountId', label: 'Account ID' },
+      if (!options.out) {
+        process.stdout.write(output);
+        return;
+      }
+
+      fs.writeFileSync(options.out, output);
+      printSuccess(`Exported ${transactions.length} transaction(s) to ${options.out}`);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+transactionsCmd
+  .command('watch [accountId]')
+  .description('Poll for new transactions and print each one as a JSON line (default: all accounts)')
+  .option('--interval <duration>', 'Time between polls, e.g. 30s, 5m or 1h', DEFAULT_WATCH_INTERVAL)
+  .option('--since <date>', 'On the first run, emit transactions booked since this date (ISO 8601) instead of only new ones')
+  .option('--exec <command>', 'Run a shell command for each new transaction (JSON on stdin, NBG_* variables)')
+  .option('--webhook <url>', 'POST each new transaction to this URL (Slack-compatible "text" included)')
+  .option('--once', 'Poll once and exit')
+  .option('--reset', 'Forget the saved cursor and seen transactions before starting')
+  .option('--json', 'Output errors as JSON')
+  .action(async (accountId, options) => {
+    try {
+      if (isOffline()) {
+        throw new CliError('"transactions watch" polls the API and cannot run with --offline', 'validation');
+      }
+      const interval = parseInterval(options.interval);
+      if (options.since && Number.isNaN(Date.parse(options.since))) {
+        throw new CliError('--since must be an ISO 8601 date or date-time', 'validation');
+      }
+      const webhook = options.webhook ? validateWebhookUrl(options.webhook) : null;
+
+      const accountIds = accountId
+        ? [accountId]
+        : (await withSpinner('Fetching accounts...', () => getAccounts())).Data?.Account?.map(a => a.AccountId) || [];
+      if (accountIds.length === 0) {
+        throw new CliError('No accounts to watch', 'not_found');
+      }
+      if (options.reset) {
+        accountIds.forEach(id => resetWatchState(id));
+      }
+
+      const controller = new AbortController();
+      const stop = () => controller.abort();
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+
+      if (!options.once) {
+        console.error(chalk.dim(`Watching ${accountIds.length} account(s) every ${formatInterval(interval)}. Press Ctrl+C to stop.`));
+      }
+
+      await watchTransactions({
+        accountIds,
+        interval,
+        since: options.since,
+        once: !!options.once,
+        signal: controller.signal,
+        onTransaction: async (transaction) => {
+          // --query doubles as a filter: transactions it yields nothing for are skipped, hooks included
+          if (!applyQuery(transaction).some(result => result !== null && result !== false)) return;
+          printDataLine(transaction);
+          // A failing hook is reported but does not hold back later transactions
+          if (options.exec) {
+            await runExecHook(options.exec, transaction)
+              .catch(error => printWarning(`${transaction.TransactionId || 'Transaction'}: ${error.message}`));
+          }
+          if (webhook) {
+            await postWebhook(webhook, transaction)
+              .catch(error => printWarning(`${transaction.TransactionId || 'Transaction'}: webhook failed: ${describeError(error).message}`));
+          }
+        },
+        onPoll: (result) => {
+          if (result.baseline) {
+            console.error(chalk.dim(`${result.accountId}: existing transactions recorded; only new ones will be emitted`));
+          }
+        },
+        onError: (error, delay) => {
+          const details = describeError(error);
+          printWarning(`Poll failed (${details.type}): ${details.message}. Retrying in ${formatInterval(Math.round(delay / 1000) * 1000)}`);
+        }
+      });
+
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// SYNC
+// ============================================================
+
+program
+  .command('sync [accountId]')
+  .description('Download new transactions and a balance snapshot into the local store')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const results = await withSpinner(accountId ? `Syncing account ${accountId}...` : 'Syncing all accounts...', () => sync(accountId));
+
+      if (options.json) {
+        printData(results);
+        return;
+      }
+
+      printTable(results, [
+        { key: 'accountId', label: 'Account ID' },
+        { key: 'added', label: 'New' },
+        { key: 'updated', label: 'Updated' },
+        { key: 'removed', label: 'Removed' },
+        { key: 'total', label: 'Stored' },
+        { key: 'lastBookingDateTime', label: 'Last Booking', format: (v) => v || 'N/A' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// REPORTS
+// ============================================================
+
+const reportCmd = program.command('report').description('Analyse transaction history');
+
+reportCmd
+  .command('spending [accountId]')
+  .description('Totals in/out, net flow, top merchants and per-group sums (all accounts when no ID is given)')
+  .option('--month <YYYY-MM>', 'Report on a calendar month')
+  .option('--from <date>', 'From date (ISO 8601)')
+  .option('--to <date>', 'To date (ISO 8601)')
+  .option('--group-by <field>', `Group by ${GROUP_BY.join(', ')}`, 'category')
+  .option('--top <n>', 'Number of top merchants to show', (v) => parseInt(v, 10), 10)
+  .option('--include-pending', 'Include pending transactions')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      if (options.month && (options.from || options.to)) {
+        throw new CliError('Use either --month or --from/--to', 'validation');
+      }
+      if (!GROUP_BY.includes(options.groupBy)) {
+        throw new CliError(`--group-by must be one of: ${GROUP_BY.join(', ')}`, 'validation');
+      }
+
+      const range = options.month ? monthRange(options.month) : dateRange(options.from, options.to);
+      const params = {};
+      if (range.from) params.fromBookingDateTime = range.from;
+      if (range.to) params.toBookingDateTime = range.to;
+
+      const data = await withSpinner('Fetching transactions...', () => {
+        if (isOffline()) {
+          return accountId ? getStoredAccountTransactions(accountId, params) : getStoredAllTransactions(params);
+        }
+        return accountId
+          ? getAccountTransactions(accountId, params, { all: true })
+          : getAllTransactions(params, { all: true });
+      });
+
+      const report = buildSpendingReport(data.Data?.Transaction || [], {
+        groupBy: options.groupBy,
+        top: options.top,
+        from: range.from,
+        to: range.to,
+        includePending: options.includePending
+      });
+
+      if (options.json) {
+        printData(report);
+        return;
+      }
+
+      console.log(chalk.bold('\nSpending Report\n'));
+      console.log('Period:        ', `${report.period.from || 'N/A'} → ${report.period.to || 'N/A'}`);
+      console.log('Transactions:  ', report.transactionCount);
+      report.totals.forEach(total => {
+        const net = `${total.net >= 0 ? '+' : ''}${total.net.toFixed(2)}`;
+        console.log(`\n${chalk.bold(total.currency)}`);
+        console.log('  In:          ', chalk.green(total.in.toFixed(2)));
+        console.log('  Out:         ', chalk.red(total.out.toFixed(2)));
+        console.log('  Net:         ', total.net >= 0 ? chalk.green(net) : chalk.red(net));
+      });
+      console.log('');
+
+      printTable(report.groups, [
+        { key: 'group', label: options.groupBy[0].toUpperCase() + options.groupBy.slice(1) },
+        { key: 'currency', label: 'Currency' },
+        { key: 'in', label: 'In', format: (v) => v.toFixed(2) },
+        { key: 'out', label: 'Out', format: (v) => v.toFixed(2) },
+        { key: 'net', label: 'Net', format: (v) => v.toFixed(2) },
+        { key: 'count', label: 'Count' }
+      ]);
+
+      if (report.topMerchants.length) {
+        console.log(chalk.bold('\nTop Merchants\n'));
+        printTable(report.topMerchants, [
+          { key: 'merchant', label: 'Merchant' },
+          { key: 'currency', label: 'Currency' },
+          { key: 'out', label: 'Spent', format: (v) => v.toFixed(2) },
+          { key: 'count', label: 'Count' }
+        ]);
+      }
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// FORECAST
+// ============================================================
+
+program
+  .command('forecast <accountId>')
+  .description('Project the daily balance from standing orders and scheduled payments')
+  .option('--days <n>', 'Number of days to project', (v) => parseInt(v, 10), 30)
+  .option('--balance-type <type>', `Starting balance type (default: first of ${BALANCE_PREFERENCE.join(', ')})`)
+  .option('--daily', 'Show every day, not only days with payments')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      if (!(options.days > 0)) {
+        throw new CliError('--days must be a positive number', 'validation');
+      }
+      requireStandingOrdersOnline('forecast');
+
+      const [balances, standingOrders, scheduledPayments] = await withSpinner(`Fetching balances and payments for account ${accountId}...`, () => Promise.all([
+        getAccountBalances(accountId, {}, { all: true }),
+        getAccountStandingOrders(accountId),
+        getAccountScheduledPayments(accountId)
+      ]));
+
+      const forecast = buildForecast({
+        balances: balances.Data?.Balance || [],
+        standingOrders: standingOrders.Data?.StandingOrder || [],
+        scheduledPayments: scheduledPayments.Data?.ScheduledPayment || [],
+        days: options.days,
+        balanceType: options.balanceType
+      });
+
+      if (options.json) {
+        printData(forecast);
+        return;
+      }
+
+      const money = (v) => `${v.toFixed(2)} ${forecast.currency || ''}`.trim();
+      console.log(chalk.bold('\nBalance Forecast\n'));
+      console.log('Account ID:    ', chalk.cyan(accountId));
+      console.log('Start:         ', `${money(forecast.startingBalance.amount)} (${forecast.startingBalance.type})`);
+      console.log('End:           ', `${money(forecast.endingBalance)} after ${forecast.days} day(s)`);
+      console.log('Lowest:        ', `${money(forecast.lowest.balance)} on ${forecast.lowest.date}`);
+      console.log('Goes negative: ', forecast.firstNegative
+        ? chalk.red(`${forecast.firstNegative.date} (${money(forecast.firstNegative.balance)})`)
+        : chalk.green('No'));
+      console.log('');
+
+      const rows = options.daily ? forecast.curve : forecast.curve.filter(day => day.change !== 0);
+      printTable(rows, [
+        { key: 'date', label: 'Date' },
+        { key: 'change', label: 'Change', format: (v) => v.toFixed(2) },
+        { key: 'balance', label: 'Balance', format: (v) => (v < 0 ? chalk.red(v.toFixed(2)) : v.toFixed(2)) }
+      ]);
+
+      if (forecast.events.length) {
+        console.log(chalk.bold('\nPayments\n'));
+        printTable(forecast.events, [
+          { key: 'date', label: 'Date' },
+          { key: 'source', label: 'Source' },
+          { key: 'reference', label: 'Reference' },
+          { key: 'amount', label: 'Amount', format: (v) => v.toFixed(2) },
+          { key: 'currency', label: 'Currency' }
+        ]);
+      }
+
+      forecast.warnings.forEach(warning => console.log(chalk.yellow(`\n${warning}`)));
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// RECURRING
+// ============================================================
+
+program
+  .command('recurring <accountId>')
+  .description('Detect recurring payments and subscriptions not covered by a standing order')
+  .option('--from <date>', 'Analyse history from this date (default: one year ago)')
+  .option('--min-occurrences <n>', 'Minimum number of payments to call a series recurring', (v) => parseInt(v, 10), 3)
+  .option('--uncovered', 'Only show payments not matched to a standing order or scheduled payment')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const from = options.from || new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+      const params = { fromBookingDateTime: from };
+      requireStandingOrdersOnline('recurring');
+
+      const [transactions, standingOrders, scheduledPayments] = await withSpinner(`Analysing payments for account ${accountId}...`, () => Promise.all([
+        getAccountTransactions(accountId, params, { all: true }),
+        getAccountStandingOrders(accountId),
+        getAccountScheduledPayments(accountId)
+      ]));
+
+      let series = detectRecurring(transactions.Data?.Transaction || [], {
+        standingOrders: standingOrders.Data?.StandingOrder || [],
+        scheduledPayments: scheduledPayments.Data?.ScheduledPayment || [],
+        minOccurrences: options.minOccurrences
+      });
+      if (options.uncovered) {
+        series = series.filter(s => !s.coveredBy);
+      }
+
+      if (options.json) {
+        printData(series);
+        return;
+      }
+
+      printTable(series, [
+        { key: 'name', label: 'Counterparty' },
+        { key: 'type', label: 'Type' },
+        { key: 'cadence', label: 'Cadence' },
+        { key: 'amount', label: 'Amount', format: (v) => v.toFixed(2) },
+        { key: 'currency', label: 'Currency' },
+        { key: 'occurrences', label: 'Seen' },
+        { key: 'lastDate', label: 'Last' },
+        { key: 'nextExpectedDate', label: 'Next Expected' },
+        { key: 'coveredBy', label: 'Covered By', format: (v) => (v ? `${v.type} ${v.id}` : chalk.yellow('Not covered')) }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// POSITION
+// ============================================================
+
+program
+  .command('position')
+  .description('Consolidated balance across accounts and currencies in one base currency')
+  .option('--base <currency>', 'Currency to report in (default: the base of the rates table)')
+  .option('--rates <file>', 'FX rates file ({"base": "EUR", "rates": {"GBP": 0.86}}) instead of the local rates table')
+  .option('--balance-types <types>', 'Balance type preference, comma-separated (default: "nbg config set --balance-types" or InterimAvailable first)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const rates = options.rates ? loadRatesFile(options.rates) : getStoredRates();
+      if (!options.base && !rates) {
+        throw new CliError('--base is required when there is no rates table', 'validation');
+      }
+      const base = parseCurrency(options.base || rates.base, '--base');
+      const preference = options.balanceTypes ? parseBalanceTypes(options.balanceTypes) : getBalancePreference();
+
+      const [accounts, balances] = await withSpinner('Fetching accounts and balances...', () => (isOffline()
+        ? [getStoredAccounts(), getStoredAllBalances()]
+        : Promise.all([getAccounts(), getAllBalances({}, { all: true })])));
+
+      const position = buildPosition({
+        accounts: accounts.Data?.Account || [],
+        balances: balances.Data?.Balance || [],
+        base,
+        rates,
+        preference
+      });
+
+      if (options.json) {
+        printData(position);
+        return;
+      }
+
+      const money = (v) => v.toFixed(2);
+      const signed = (v) => (v < 0 ? chalk.red(money(v)) : money(v));
+      console.log(chalk.bold(`\nConsolidated Position (${base})\n`));
+      if (position.rates) {
+        console.log(chalk.dim(`Rates: ${position.rates.source}, ${position.rates.base} base${position.rates.date ? `, as of ${position.rates.date}` : ''}\n`));
+      }
+      printTable(position.accounts, [
+        { key: 'accountId', label: 'Account ID' },
+        { key: 'nickname', label: 'Nickname' },
+        { key: 'balanceType', label: 'Balance Type' },
+        { key: 'balance', label: 'Balance', format: signed },
+        { key: 'creditLine', label: 'Credit Line', format: money },
+        { key: 'available', label: 'Available', format: signed },
+        { key: 'currency', label: 'Currency' },
+        { key: 'rate', label: 'Rate' },
+        { key: 'baseAvailable', label: `Available (${base})`, format: signed }
+      ]);
+
+      console.log(chalk.bold('\nBy Currency\n'));
+      printTable(position.currencies, [
+        { key: 'currency', label: 'Currency' },
+        { key: 'accounts', label: 'Accounts' },
+        { key: 'balance', label: 'Balance', format: signed },
+        { key: 'available', label: 'Available', format: signed },
+        { key: 'baseBalance', label: `Balance (${base})`, format: signed },
+        { key: 'baseAvailable', label: `Available (${base})`, format: signed }
+      ]);
+
+      console.log(chalk.bold('\nTotal\n'));
+      console.log('Balance:       ', `${signed(position.total.balance)} ${base}`);
+      console.log('Available:     ', `${signed(position.total.available)} ${base}`);
+      position.warnings.forEach(warning => console.log(chalk.yellow(`\n${warning}`)));
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+const ratesCmd = program.command('rates').description('Manage the local FX rates table used by "nbg position"');
+
+ratesCmd
+  .command('set <currency> <rate>')
+  .description('Set how many units of <currency> one unit of the table\'s base buys')
+  .option('--base <currency>', 'Base currency (required for the first rate)')
+  .option('--date <date>', 'Date the rates are valid for (default: today)')
+  .action((currency, rate, options) => {
+    try {
+      const table = setStoredRate(parseCurrency(currency), rate, {
+        base: options.base ? parseCurrency(options.base, '--base') : undefined,
+        date: options.date
+      });
+      printSuccess(`1 ${table.base} = ${table.rates[parseCurrency(currency)]} ${parseCurrency(currency)}`);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+ratesCmd
+  .command('import <file>')
+  .description('Replace the table with a rates file ({"base": "EUR", "date": "2026-10-16", "rates": {"GBP": 0.86}})')
+  .action((file, options) => {
+    try {
+      const table = importRates(file);
+      printSuccess(`Imported ${Object.keys(table.rates).length - 1} rate(s) against ${table.base}`);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+ratesCmd
+  .command('list')
+  .description('Show the rates table')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const table = getStoredRates();
+    if (options.json) {
+      printData(table ? { base: table.base, date: table.date, rates: table.rates } : null);
+      return;
+    }
+    if (!table) {
+      console.log(chalk.yellow('No rates set. Add one with "nbg rates set <currency> <rate> --base <currency>".'));
+      return;
+    }
+    console.log(chalk.dim(`Base: ${table.base}${table.date ? `, as of ${table.date}` : ''}\n`));
+    printTable(Object.entries(table.rates).filter(([currency]) => currency !== table.base).map(([currency, rate]) => ({ currency, rate })), [
+      { key: 'currency', label: 'Currency' },
+      { key: 'rate', label: `Per 1 ${table.base}` }
+    ]);
+  });
+
+ratesCmd
+  .command('clear')
+  .description('Delete the rates table')
+  .action(() => {
+    clearStoredRates();
+    printSuccess('Rates table cleared');
+  });
+
+// ============================================================
+// ALERTS
+// ============================================================
+
+const alertsCmd = program.command('alerts').description(`Balance and transaction alert rules (${ALERT_RULE_TYPES.join(', ')})`);
+
+alertsCmd
+  .command('check')
+  .description(`Evaluate the alert rules against fresh data (exits ${EXIT_CODES.alert} when any fire)`)
+  .option('--rules <file>', 'Rules file (default: alerts.json in the config directory)')
+  .option('--since <date>', 'Check transactions booked since this date (ISO 8601) instead of since the last check')
+  .option('--no-save', 'Do not update the saved state, so the next check sees the same changes')
+  .option('--reset', 'Forget the saved state before checking')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      if (isOffline()) {
+        throw new CliError('"alerts check" needs fresh data and cannot run with --offline', 'validation');
+      }
+      if (options.since && Number.isNaN(Date.parse(options.since))) {
+        throw new CliError('--since must be an ISO 8601 date or date-time', 'validation');
+      }
+      const rules = loadRules(options.rules);
+      if (options.reset) {
+        resetAlertState();
+      }
+
+      const result = await withSpinner(`Checking ${rules.length} alert rule(s)...`, () => checkAlerts(rules, {
+        since: options.since,
+        save: options.save
+      }));
+      // Cron and scripts gate on the exit code, so firing alerts is not an error but still exits non-zero
+      if (result.alerts.length) process.exitCode = EXIT_CODES.alert;
+
+      if (options.json) {
+        printData(result);
+        return;
+      }
+
+      result.warnings.forEach(warning => printWarning(warning));
+      if (result.alerts.length === 0) {
+        printSuccess(`No alerts (${result.rules} rule(s) checked)`);
+        return;
+      }
+      result.alerts.forEach(alert => console.log(`${chalk.red('✗')} ${chalk.bold(alert.rule)}: ${alert.message}`));
+      console.log(chalk.dim(`\n${result.alerts.length} alert(s) from ${result.rules} rule(s)`));
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+alertsCmd
+  .command('list')
+  .description('Validate the rules file and list its rules')
+  .option('--rules <file>', 'Rules file (default: alerts.json in the config directory)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const rules = loadRules(options.rules);
+
+      if (options.json) {
+        printData(rules);
+        return;
+      }
+
+      console.log(chalk.dim(`Rules file: ${options.rules || getDefaultRulesFile()}\n`));
+      printTable(rules, [
+        { key: 'name', label: 'Name' },
+        { key: 'type', label: 'Type' },
+        { key: 'accountId', label: 'Account ID', format: (v) => v || 'All' },
+        { key: 'amount', label: 'Amount', format: (v, row) => (v == null ? '' : `${v}${row.currency ? ` ${row.currency}` : ''}`) },
+        { key: 'balanceType', label: 'Balance Type', format: (v, row) => (row.type.startsWith('balance-') ? v || 'First available' : '') }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// BENEFICIARIES
+// ============================================================
+
+const beneficiariesCmd = program.command('beneficiaries').description('Get account beneficiaries');
+
+beneficiariesCmd
+  .command('get <accountId>')
+  .description('Get beneficiaries for a specific account')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const data = await withSpinner(`Fetching beneficiaries for account ${accountId}...`, () => getAccountBeneficiaries(accountId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const beneficiaries = data.Data?.Beneficiary || [];
+      const tableData = beneficiaries.map(b => ({
+        id: b.BeneficiaryId,
+        name: b.CreditorAccount?.Name || 'N/A',
+        accountId: b.CreditorAccount?.Identification || 'N/A',
+        reference: b.Reference || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Beneficiary ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'accountId', label: 'Account ID' },
+        { key: 'reference', label: 'Reference' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+beneficiariesCmd
+  .command('list')
+  .description('Get beneficiaries across all accounts')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const data = await withSpinner('Fetching all beneficiaries...', () => getBeneficiaries());
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const beneficiaries = data.Data?.Beneficiary || [];
+      const tableData = beneficiaries.map(b => ({
+        accountId: b.AccountId,
+        id: b.BeneficiaryId,
+        name: b.CreditorAccount?.Name || 'N/A',
+        creditorAccount: b.CreditorAccount?.Identification || 'N/A',
+        reference: b.Reference || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'accountId', label: 'Account ID' },
+        { key: 'id', label: 'Beneficiary ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'creditorAccount', label: 'Creditor Account' },
+        { key: 'reference', label: 'Reference' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// STANDING ORDERS
+// ============================================================
+
+const standingOrdersCmd = program.command('standing-orders').description('Get standing orders');
+
+standingOrdersCmd
+  .command('get <accountId>')
+  .description('Get standing orders for a specific account')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const data = await withSpinner(`Fetching standing orders for account ${accountId}...`, () => getAccountStandingOrders(accountId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const orders = data.Data?.StandingOrder || [];
+      const tableData = orders.map(o => ({
+        id: o.StandingOrderId,
+        frequency: o.Frequency,
+        amount: o.FirstPaymentAmount?.Amount || o.FinalPaymentAmount?.Amount,
+        currency: o.FirstPaymentAmount?.Currency || o.FinalPaymentAmount?.Currency,
+        nextPayment: o.NextPaymentDateTime,
+        reference: o.Reference || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Standing Order ID' },
+        { key: 'frequency', label: 'Frequency' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'currency', label: 'Currency' },
+        { key: 'nextPayment', label: 'Next Payment' },
+        { key: 'reference', label: 'Reference' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+standingOrdersCmd
+  .command('list')
+  .description('Get standing orders across all accounts')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const data = await withSpinner('Fetching all standing orders...', () => getStandingOrders());
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const orders = data.Data?.StandingOrder || [];
+      const tableData = orders.map(o => ({
+        accountId: o.AccountId,
+        id: o.StandingOrderId,
+        frequency: o.Frequency,
+        amount: o.NextPaymentAmount?.Amount || o.FirstPaymentAmount?.Amount,
+        currency: o.NextPaymentAmount?.Currency || o.FirstPaymentAmount?.Currency,
+        nextPayment: o.NextPaymentDateTime,
+        reference: o.Reference || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'accountId', label: 'Account ID' },
+        { key: 'id', label: 'Standing Order ID' },
+        { key: 'frequency', label: 'Frequency' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'currency', label: 'Currency' },
+        { key: 'nextPayment', label: 'Next Payment' },
+        { key: 'reference', label: 'Reference' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// SCHEDULED PAYMENTS
+// ============================================================
+
+const scheduledPaymentsCmd = program.command('scheduled-payments').description('Get scheduled payments');
+
+scheduledPaymentsCmd
+  .command('get <accountId>')
+  .description('Get scheduled payments for a specific account')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const data = await withSpinner(`Fetching scheduled payments for account ${accountId}...`, () => getAccountScheduledPayments(accountId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const payments = data.Data?.ScheduledPayment || [];
+      const tableData = payments.map(p => ({
+        id: p.ScheduledPaymentId,
+        scheduledDate: p.ScheduledPaymentDateTime,
+        amount: p.InstructedAmount?.Amount,
+        currency: p.InstructedAmount?.Currency,
+        reference: p.Reference || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Payment ID' },
+        { key: 'scheduledDate', label: 'Scheduled Date' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'currency', label: 'Currency' },
+        { key: 'reference', label: 'Reference' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+scheduledPaymentsCmd
+  .command('list')
+  .description('Get scheduled payments across all accounts')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const data = await withSpinner('Fetching all scheduled payments...', () => getScheduledPayments());
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const payments = data.Data?.ScheduledPayment || [];
+      const tableData = payments.map(p => ({
+        accountId: p.AccountId,
+        id: p.ScheduledPaymentId,
+        scheduledDate: p.ScheduledPaymentDateTime,
+        amount: p.InstructedAmount?.Amount,
+        currency: p.InstructedAmount?.Currency,
+        reference: p.Reference || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'accountId', label: 'Account ID' },
+        { key: 'id', label: 'Payment ID' },
+        { key: 'scheduledDate', label: 'Scheduled Date' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'currency', label: 'Currency' },
         { key: 'reference', label: 'Reference' }
       ]);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// DIRECT DEBITS
+// ============================================================
+
+const directDebitsCmd = program.command('direct-debits').description('Get direct debit mandates');
+
+directDebitsCmd
+  .command('get <accountId>')
+  .description('Get direct debits for a specific account')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const data = await withSpinner(`Fetching direct debits for account ${accountId}...`, () => getAccountDirectDebits(accountId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const debits = data.Data?.DirectDebit || [];
+      const tableData = debits.map(d => ({
+        id: d.DirectDebitId,
+        name: d.Name,
+        mandate: d.MandateIdentification,
+        status: d.DirectDebitStatusCode || 'N/A',
+        previousPayment: d.PreviousPaymentDateTime || 'N/A',
+        amount: d.PreviousPaymentAmount?.Amount,
+        currency: d.PreviousPaymentAmount?.Currency
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Direct Debit ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'mandate', label: 'Mandate' },
+        { key: 'status', label: 'Status' },
+        { key: 'previousPayment', label: 'Previous Payment' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'currency', label: 'Currency' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// PRODUCTS
+// ============================================================
+
+const productsCmd = program.command('products').description('Get account products');
+
+productsCmd
+  .command('get <accountId>')
+  .description('Get the product a specific account is held under')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const data = await withSpinner(`Fetching product for account ${accountId}...`, () => getAccountProduct(accountId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const products = data.Data?.Product || [];
+      const tableData = products.map(p => ({
+        id: p.ProductId,
+        name: p.ProductName || p.OtherProductType?.Name || 'N/A',
+        type: p.ProductType === 'Other' && p.OtherProductType?.Name ? `Other (${p.OtherProductType.Name})` : p.ProductType,
+        description: p.OtherProductType?.Description || ''
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Product ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'type', label: 'Type' },
+        { key: 'description', label: 'Description' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// OFFERS
+// ============================================================
+
+const offersCmd = program.command('offers').description('Get account offers');
+
+offersCmd
+  .command('get <accountId>')
+  .description('Get offers available on a specific account')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const data = await withSpinner(`Fetching offers for account ${accountId}...`, () => getAccountOffers(accountId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const offers = data.Data?.Offer || [];
+      const tableData = offers.map(o => ({
+        id: o.OfferId,
+        type: o.OfferType || 'N/A',
+        description: o.Description || 'N/A',
+        value: o.Amount ? `${o.Amount.Amount} ${o.Amount.Currency}` : (o.Rate ? `${o.Rate}%` : (o.Value ?? '')),
+        validUntil: o.EndDateTime || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Offer ID' },
+        { key: 'type', label: 'Type' },
+        { key: 'description', label: 'Description' },
+        { key: 'value', label: 'Amount/Rate' },
+        { key: 'validUntil', label: 'Valid Until' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// STATEMENTS
+// ============================================================
+
+const statementsCmd = program.command('statements').description('Get account statements');
+
+statementsCmd
+  .command('get <accountId>')
+  .description('Get statements for a specific account')
+  .option('--from <date>', 'From date (ISO 8601)')
+  .option('--to <date>', 'To date (ISO 8601)')
+  .option('--json', 'Output as JSON')
+  .option('--all', 'Follow Links.Next and fetch every page')
+  .option('--max-pages <n>', 'Fetch at most this many pages', (v) => parseInt(v, 10))
+  .option('--page-size <n>', 'Requested page size (sent as pageSize)', (v) => parseInt(v, 10))
+  .option('--stream', 'With --json, print each page as a JSON line instead of one merged document')
+  .action(async (accountId, options) => {
+    try {
+      const params = {};
+      if (options.from) params.fromStatementDateTime = options.from;
+      if (options.to) params.toStatementDateTime = options.to;
+
+      const data = await withSpinner(`Fetching statements for account ${accountId}...`, () => getAccountStatements(accountId, params, getPagination(options)));
+
+      if (options.json) {
+        printPaged(data, options);
+        return;
+      }
+
+      const statements = data.Data?.Statement || [];
+      const tableData = statements.map(s => ({
+        id: s.StatementId,
+        type: s.Type,
+        startDate: s.StartDateTime,
+        endDate: s.EndDateTime,
+        description: s.StatementDescription?.[0] || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Statement ID' },
+        { key: 'type', label: 'Type' },
+        { key: 'startDate', label: 'Start Date' },
+        { key: 'endDate', label: 'End Date' },
+        { key: 'description', label: 'Description' }
+      ]);
+      warnIfMorePages(data);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+const STATEMENT_FORMATS = {
+  pdf: 'application/pdf',
+  csv: 'text/csv',
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  txt: 'text/plain'
+};
+
+function obType(type) {
+  return String(type || 'N/A').replace(/^UK\.OBIE\./, '');
+}
+
+function mediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// The bank's suggested name, stripped to a bare file name so it cannot point outside the current directory
+function attachmentName(disposition) {
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition || '');
+  return match ? path.basename(decodeURIComponent(match[1])) : null;
+}
+
+statementsCmd
+  .command('show <accountId> <statementId>')
+  .description('Show a statement with its amounts, benefits, fees, interest and rates')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, statementId, options) => {
+    try {
+      const data = await withSpinner(`Fetching statement ${statementId}...`, () => getAccountStatement(accountId, statementId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const statement = data.Data?.Statement?.[0];
+      if (!statement) {
+        throw new CliError(`Statement ${statementId} not found`, 'not_found');
+      }
+
+      console.log(chalk.bold('\nStatement Details\n'));
+      console.log('Statement ID:  ', chalk.cyan(statement.StatementId || statementId));
+      console.log('Reference:     ', statement.StatementReference || 'N/A');
+      console.log('Type:          ', statement.Type || 'N/A');
+      console.log('Period:        ', `${statement.StartDateTime || '?'} → ${statement.EndDateTime || '?'}`);
+      console.log('Created:       ', statement.CreationDateTime || 'N/A');
+      console.log('Description:   ', (statement.StatementDescription || []).join(' ') || 'N/A');
+
+      const amount = (a) => a.Amount?.Amount;
+      const currency = (a) => a.Amount?.Currency;
+      const sections = [
+        ['Amounts', statement.StatementAmount, [
+          { key: 'Type', label: 'Type', format: obType },
+          { key: 'Amount', label: 'Amount', format: (v, row) => amount(row) },
+          { key: 'Currency', label: 'Currency', format: (v, row) => currency(row) },
+          { key: 'CreditDebitIndicator', label: 'Credit/Debit' }
+        ]],
+        ['Benefits', statement.StatementBenefit, [
+          { key: 'Type', label: 'Type', format: obType },
+          { key: 'Amount', label: 'Amount', format: (v, row) => amount(row) },
+          { key: 'Currency', label: 'Currency', format: (v, row) => currency(row) }
+        ]],
+        ['Fees', statement.StatementFee, [
+          { key: 'Type', label: 'Type', format: obType },
+          { key: 'Amount', label: 'Amount', format: (v, row) => amount(row) },
+          { key: 'Currency', label: 'Currency', format: (v, row) => currency(row) },
+          { key: 'Rate', label: 'Rate' },
+          { key: 'Description', label: 'Description' }
+        ]],
+        ['Interest', statement.StatementInterest, [
+          { key: 'Type', label: 'Type', format: obType },
+          { key: 'Amount', label: 'Amount', format: (v, row) => amount(row) },
+          { key: 'Currency', label: 'Currency', format: (v, row) => currency(row) },
+          { key: 'CreditDebitIndicator', label: 'Credit/Debit' },
+          { key: 'Rate', label: 'Rate' }
+        ]],
+        ['Rates', statement.StatementRate, [
+          { key: 'Type', label: 'Type', format: obType },
+          { key: 'Rate', label: 'Rate' }
+        ]],
+        ['Values', statement.StatementValue, [
+          { key: 'Type', label: 'Type', format: obType },
+          { key: 'Value', label: 'Value' }
+        ]],
+        ['Dates', statement.StatementDateTime, [
+          { key: 'Type', label: 'Type', format: obType },
+          { key: 'DateTime', label: 'DateTime' }
+        ]]
+      ];
+
+      for (const [title, rows, columns] of sections) {
+        if (!rows?.length) continue;
+        console.log(chalk.bold(`\n${title}\n`));
+        printTable(rows, columns);
+      }
+      console.log('');
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+statementsCmd
+  .command('transactions <accountId> <statementId>')
+  .description('Get the transactions on a statement')
+  .option('--json', 'Output as JSON')
+  .option('--all', 'Follow Links.Next and fetch every page')
+  .option('--max-pages <n>', 'Fetch at most this many pages', (v) => parseInt(v, 10))
+  .option('--page-size <n>', 'Requested page size (sent as pageSize)', (v) => parseInt(v, 10))
+  .option('--stream', 'With --json, print each page as a JSON line instead of one merged document')
+  .action(async (accountId, statementId, options) => {
+    try {
+      const data = await withSpinner(`Fetching transactions for statement ${statementId}...`, () => getAccountStatementTransactions(accountId, statementId, {}, getPagination(options)));
+
+      if (options.json) {
+        printPaged(data, options);
+        return;
+      }
+
+      const transactions = data.Data?.Transaction || [];
+      const tableData = transactions.map(t => ({
+        id: t.TransactionId,
+        amount: t.Amount?.Amount,
+        currency: t.Amount?.Currency,
+        creditDebit: t.CreditDebitIndicator,
+        bookingDate: t.BookingDateTime,
+        description: t.TransactionInformation || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Transaction ID' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'currency', label: 'Currency' },
+        { key: 'creditDebit', label: 'Credit/Debit' },
+        { key: 'bookingDate', label: 'Booking Date' },
+        { key: 'description', label: 'Description' }
+      ]);
+      warnIfMorePages(data);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+statementsCmd
+  .command('download <accountId> <statementId>')
+  .description('Download the statement file (PDF by default), streamed straight to disk')
+  .option('--out <file>', 'Write to this file, or - for stdout (default: the name the bank suggests, else statement-<id>.<ext>)')
+  .option('--format <format>', `File format to ask for: ${Object.keys(STATEMENT_FORMATS).join(', ')} (default: from the --out extension, else pdf)`)
+  .option('--accept <type>', 'Exact Accept header to send, overriding --format')
+  .option('--force', 'Overwrite the output file if it exists')
+  .option('--json', 'Print the result (and errors) as JSON')
+  .action(async (accountId, statementId, options) => {
+    try {
+      const extension = options.out && options.out !== '-' ? path.extname(options.out).slice(1).toLowerCase() : null;
+      const format = options.format || (STATEMENT_FORMATS[extension] ? extension : 'pdf');
+      if (!STATEMENT_FORMATS[format]) {
+        throw new CliError(`--format must be one of: ${Object.keys(STATEMENT_FORMATS).join(', ')}`, 'validation');
+      }
+      const accept = options.accept || STATEMENT_FORMATS[format];
+      if (options.out && options.out !== '-' && fs.existsSync(options.out) && !options.force) {
+        throw new CliError(`${options.out} already exists. Use --force to overwrite it`, 'validation');
+      }
+
+      const file = await withSpinner(`Requesting statement ${statementId} (${accept})...`, () => getAccountStatementFile(accountId, statementId, { accept }));
+      const received = mediaType(file.contentType);
+      if (received && !mediaType(accept).includes('*') && received !== mediaType(accept)) {
+        printWarning(`Asked for ${mediaType(accept)} but the bank sent ${received}`);
+      }
+
+      if (options.out === '-') {
+        await pipeline(file.stream, process.stdout);
+        return;
+      }
+
+      const receivedExtension = Object.keys(STATEMENT_FORMATS).find(ext => STATEMENT_FORMATS[ext] === received) || format;
+      const out = options.out || attachmentName(file.headers['content-disposition']) || `statement-${statementId}.${receivedExtension}`;
+      if (!options.out && fs.existsSync(out) && !options.force) {
+        file.stream.destroy();
+        throw new CliError(`${out} already exists. Use --out or --force`, 'validation');
+      }
+
+      // Write to a temporary file first so an interrupted download never leaves a truncated statement
+      const partial = `${out}.part`;
+      try {
+        await pipeline(file.stream, fs.createWriteStream(partial));
+        fs.renameSync(partial, out);
+      } catch (error) {
+        fs.rmSync(partial, { force: true });
+        throw error;
+      }
+
+      const bytes = fs.statSync(out).size;
+      if (options.json) {
+        printData({ file: path.resolve(out), bytes, contentType: file.contentType });
+        return;
+      }
+      printSuccess(`Saved statement ${statementId} to ${chalk.cyan(out)} (${bytes} bytes, ${received || 'unknown type'})`);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// PAYMENTS
+// ============================================================
+
+const paymentsCmd = program.command('payments').description('Initiate domestic payments (Payment Initiation API)');
+
+const PAYMENT_API = {
+  immediate: {
+    createConsent: createDomesticPaymentConsent,
+    getConsent: getDomesticPaymentConsent,
+    create: createDomesticPayment,
+    get: getDomesticPayment,
+    details: getDomesticPaymentDetails,
+    idKey: 'DomesticPaymentId'
+  },
+  scheduled: {
+    createConsent: createDomesticScheduledPaymentConsent,
+    getConsent: getDomesticScheduledPaymentConsent,
+    create: createDomesticScheduledPayment,
+    get: getDomesticScheduledPayment,
+    details: getDomesticScheduledPaymentDetails,
+    idKey: 'DomesticScheduledPaymentId'
+  }
+};
+
+function paymentStatusColor(status) {
+  if (/Rejected|Failed|Cancelled/.test(status || '')) return chalk.red(status);
+  if (FINAL_PAYMENT_STATUSES.includes(status) || status === 'Authorised') return chalk.green(status);
+  return chalk.yellow(status || 'N/A');
+}
+
+// With --json the summary goes to stderr so stdout carries only the API response
+function printPaymentSummary(title, initiation, idempotencyKey, options) {
+  const print = options.json ? console.error : console.log;
+  print(chalk.bold(`\n${title}\n`));
+  describeInitiation(initiation).forEach(([label, value]) => {
+    print(`${`${label}:`.padEnd(17)}${label === 'Amount' ? chalk.bold(value) : (value || 'N/A')}`);
+  });
+  if (idempotencyKey) print(`${'Idempotency key:'.padEnd(17)}${chalk.dim(idempotencyKey)}`);
+  print('');
+}
+
+async function confirmPayment(options) {
+  if (options.yes) return;
+  if (!await promptConfirm('Submit this payment? [y/N] ')) {
+    printError('Cancelled; nothing was submitted');
+    process.exit(EXIT_CODES.general);
+  }
+}
+
+async function submitPayment(consent, api, idempotencyKey, options, accessToken) {
+  const data = await withSpinner('Submitting payment...', () => api.create(buildPaymentRequest(consent), { idempotencyKey, accessToken }));
+  // A payment consent is used once, so its token is of no further use
+  if (accessToken) deletePaymentToken(consent.Data.ConsentId);
+
+  if (options.json) {
+    printData(data);
+    return;
+  }
+
+  const payment = data.Data || {};
+  const paymentId = payment[api.idKey];
+  console.log('Payment ID:    ', chalk.cyan(paymentId || 'N/A'));
+  console.log('Status:        ', paymentStatusColor(payment.Status));
+  console.log('Consent ID:    ', payment.ConsentId || consent.Data.ConsentId);
+  console.log('');
+  printSuccess(`Payment submitted. Track it with "nbg payments get ${paymentId}${api === PAYMENT_API.scheduled ? ' --scheduled' : ''}"`);
+}
+
+paymentsCmd
+  .command('create')
+  .description('Create a payment consent and, once it is authorised, submit the payment')
+  .option('--to-name <name>', 'Creditor account name')
+  .option('--to-sort-code <code>', 'Creditor sort code (with --to-account)')
+  .option('--to-account <number>', 'Creditor account number')
+  .option('--to-iban <iban>', 'Creditor IBAN, instead of sort code and account number')
+  .option('--amount <amount>', 'Amount, e.g. 125.00')
+  .option('--currency <code>', 'Currency', 'GBP')
+  .option('--reference <text>', 'Payment reference shown to the creditor (max 35 characters)')
+  .option('--execute-on <date>', 'Schedule the payment for this date (YYYY-MM-DD or ISO 8601) instead of paying now')
+  .option('--context <code>', `Payment context: ${PAYMENT_CONTEXT_CODES.join(', ')}`, 'PartyToParty')
+  .option('--instruction-id <id>', 'InstructionIdentification (default: derived from the idempotency key)')
+  .option('--end-to-end-id <id>', 'EndToEndIdentification (default: the reference)')
+  .option('--idempotency-key <key>', 'x-idempotency-key to send; reuse the printed key to retry safely (default: generated)')
+  .option('--dry-run', 'Print what would be sent without sending anything')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+      // Derived from the key so a retry with the same --idempotency-key sends the same body
+      const instructionId = options.instructionId || idempotencyKey.replace(/[^A-Za-z0-9]/g, '').slice(0, 35);
+      const initiation = buildDomesticInitiation({ ...options, instructionId });
+      const consentRequest = buildPaymentConsentRequest(initiation, buildRisk(options));
+      const api = isScheduled(initiation) ? PAYMENT_API.scheduled : PAYMENT_API.immediate;
+
+      if (options.dryRun) {
+        if (options.json) {
+          printData({ dryRun: true, idempotencyKey, consent: consentRequest });
+          return;
+        }
+        printPaymentSummary(isScheduled(initiation) ? 'Scheduled Payment (dry run)' : 'Payment (dry run)', initiation, idempotencyKey, options);
+        console.log(chalk.bold('Consent request:'));
+        printJson(consentRequest);
+        console.log(chalk.yellow('\nDry run: nothing was sent.'));
+        return;
+      }
+
+      printPaymentSummary(isScheduled(initiation) ? 'Scheduled Payment' : 'Payment', initiation, idempotencyKey, options);
+      await confirmPayment(options);
+
+      const consent = await withSpinner('Creating payment consent...', () => api.createConsent(consentRequest, { idempotencyKey }));
+      if (consent.Data?.Status !== 'Authorised') {
+        if (options.json) {
+          printData(consent);
+          return;
+        }
+        console.log('Consent ID:    ', chalk.cyan(consent.Data?.ConsentId || 'N/A'));
+        console.log('Status:        ', paymentStatusColor(consent.Data?.Status));
+        console.log('');
+        printWarning(`Authorise the consent with "nbg auth login --consent ${consent.Data?.ConsentId} --scope payments", then run "nbg payments submit ${consent.Data?.ConsentId}${api === PAYMENT_API.scheduled ? ' --scheduled' : ''}"`);
+        return;
+      }
+
+      await submitPayment(consent, api, idempotencyKey, options);
+    } catch (error) {
+      handleError(error, options);
     }
   });
 
-// ============================================================
-// STANDING ORDERS
-// ============================================================
+paymentsCmd
+  .command('submit <consentId>')
+  .description('Submit the payment for an authorised payment consent')
+  .option('--scheduled', 'The consent is for a scheduled payment')
+  .option('--idempotency-key <key>', 'x-idempotency-key to send; reuse the printed key to retry safely (default: generated)')
+  .option('--dry-run', 'Print what would be sent without sending anything')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('--json', 'Output as JSON')
+  .action(async (consentId, options) => {
+    try {
+      const api = options.scheduled ? PAYMENT_API.scheduled : PAYMENT_API.immediate;
+      const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+      // The token from "nbg auth login --consent" when there is one, else the profile's own
+      const accessToken = getPaymentToken(consentId) || undefined;
+      const consent = await withSpinner(`Fetching payment consent ${consentId}...`, () => api.getConsent(consentId, { accessToken }));
+      if (consent.Data?.Status !== 'Authorised') {
+        throw new CliError(`Payment consent ${consentId} is ${consent.Data?.Status || 'in an unknown state'}, not Authorised`, 'consent');
+      }
 
-const standingOrdersCmd = program.command('standing-orders').description('Get standing orders');
+      if (options.dryRun) {
+        if (options.json) {
+          printData({ dryRun: true, idempotencyKey, payment: buildPaymentRequest(consent) });
+          return;
+        }
+        printPaymentSummary('Payment (dry run)', consent.Data.Initiation, idempotencyKey, options);
+        console.log(chalk.bold('Payment request:'));
+        printJson(buildPaymentRequest(consent));
+        console.log(chalk.yellow('\nDry run: nothing was sent.'));
+        return;
+      }
 
-standingOrdersCmd
-  .command('get <accountId>')
-  .description('Get standing orders for a specific account')
+      printPaymentSummary('Payment', consent.Data.Initiation, idempotencyKey, options);
+      await confirmPayment(options);
+      await submitPayment(consent, api, idempotencyKey, options, accessToken);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+paymentsCmd
+  .command('consent <consentId>')
+  .description('Get a payment consent')
+  .option('--scheduled', 'The consent is for a scheduled payment')
   .option('--json', 'Output as JSON')
-  .action(async (accountId, options) => {
+  .action(async (consentId, options) => {
     try {
-      const data = await withSpinner(`Fetching standing orders for account ${accountId}...`, () => getAccountStandingOrders(accountId));
+      const api = options.scheduled ? PAYMENT_API.scheduled : PAYMENT_API.immediate;
+      const data = await withSpinner(`Fetching payment consent ${consentId}...`, () => api.getConsent(consentId));
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
-      const orders = data.Data?.StandingOrder || [];
-      const tableData = orders.map(o => ({
-        id: o.StandingOrderId,
-        frequency: o.Frequency,
-        amount: o.FirstPaymentAmount?.Amount || o.FinalPaymentAmount?.Amount,
-        currency: o.FirstPaymentAmount?.Currency || o.FinalPaymentAmount?.Currency,
-        nextPayment: o.NextPaymentDateTime,
-        reference: o.Reference || 'N/A'
-      }));
-
-      printTable(tableData, [
-        { key: 'id', label: 'Standing Order ID' },
-        { key: 'frequency', label: 'Frequency' },
-        { key: 'amount', label: 'Amount' },
-        { key: 'currency', label: 'Currency' },
-        { key: 'nextPayment', label: 'Next Payment' },
-        { key: 'reference', label: 'Reference' }
-      ]);
+      const consent = data.Data || {};
+      console.log(chalk.bold('\nPayment Consent\n'));
+      console.log('Consent ID:    ', chalk.cyan(consent.ConsentId || 'N/A'));
+      console.log('Status:        ', paymentStatusColor(consent.Status));
+      console.log('Created:       ', consent.CreationDateTime || 'N/A');
+      if (consent.Initiation) printPaymentSummary('Initiation', consent.Initiation, null, options);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
-// ============================================================
-// SCHEDULED PAYMENTS
-// ============================================================
+paymentsCmd
+  .command('get <paymentId>')
+  .description('Get the status of a payment')
+  .option('--scheduled', 'The payment is a scheduled payment')
+  .option('--json', 'Output as JSON')
+  .action(async (paymentId, options) => {
+    try {
+      const api = options.scheduled ? PAYMENT_API.scheduled : PAYMENT_API.immediate;
+      const data = await withSpinner(`Fetching payment ${paymentId}...`, () => api.get(paymentId));
 
-const scheduledPaymentsCmd = program.command('scheduled-payments').description('Get scheduled payments');
+      if (options.json) {
+        printData(data);
+        return;
+      }
 
-scheduledPaymentsCmd
-  .command('get <accountId>')
-  .description('Get scheduled payments for a specific account')
+      const payment = data.Data || {};
+      console.log(chalk.bold('\nPayment Details\n'));
+      console.log('Payment ID:    ', chalk.cyan(payment[api.idKey] || paymentId));
+      console.log('Status:        ', paymentStatusColor(payment.Status));
+      console.log('Updated:       ', payment.StatusUpdateDateTime || 'N/A');
+      console.log('Consent ID:    ', payment.ConsentId || 'N/A');
+      if (payment.Initiation) printPaymentSummary('Initiation', payment.Initiation, null, options);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+paymentsCmd
+  .command('details <paymentId>')
+  .description('Get the detailed status of a payment at each step of its execution')
+  .option('--scheduled', 'The payment is a scheduled payment')
   .option('--json', 'Output as JSON')
-  .action(async (accountId, options) => {
+  .action(async (paymentId, options) => {
     try {
-      const data = await withSpinner(`Fetching scheduled payments for account ${accountId}...`, () => getAccountScheduledPayments(accountId));
+      const api = options.scheduled ? PAYMENT_API.scheduled : PAYMENT_API.immediate;
+      const data = await withSpinner(`Fetching payment details for ${paymentId}...`, () => api.details(paymentId));
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
-      const payments = data.Data?.ScheduledPayment || [];
-      const tableData = payments.map(p => ({
-        id: p.ScheduledPaymentId,
-        scheduledDate: p.ScheduledPaymentDateTime,
-        amount: p.InstructedAmount?.Amount,
-        currency: p.InstructedAmount?.Currency,
-        reference: p.Reference || 'N/A'
+      const statuses = data.Data?.PaymentStatus || [];
+      const tableData = statuses.map(p => ({
+        id: p.PaymentTransactionId,
+        status: p.Status,
+        updated: p.StatusUpdateDateTime,
+        instrument: obType(p.StatusDetail?.LocalInstrument),
+        detail: p.StatusDetail?.Status || 'N/A',
+        reason: p.StatusDetail?.StatusReasonDescription || p.StatusDetail?.StatusReason || ''
       }));
 
       printTable(tableData, [
-        { key: 'id', label: 'Payment ID' },
-        { key: 'scheduledDate', label: 'Scheduled Date' },
-        { key: 'amount', label: 'Amount' },
-        { key: 'currency', label: 'Currency' },
-        { key: 'reference', label: 'Reference' }
+        { key: 'id', label: 'Transaction ID' },
+        { key: 'status', label: 'Status' },
+        { key: 'updated', label: 'Updated' },
+        { key: 'instrument', label: 'Instrument' },
+        { key: 'detail', label: 'Detail' },
+        { key: 'reason', label: 'Reason' }
       ]);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
 // ============================================================
-// STATEMENTS
+// FUNDS
 // ============================================================
 
-const statementsCmd = program.command('statements').description('Get account statements');
+const fundsCmd = program.command('funds').description('Confirm funds availability (Confirmation of Funds API)');
+const fundsConsentsCmd = fundsCmd.command('consents').description('Manage funds confirmation consents');
 
-statementsCmd
-  .command('get <accountId>')
-  .description('Get statements for a specific account')
-  .option('--from <date>', 'From date (ISO 8601)')
-  .option('--to <date>', 'To date (ISO 8601)')
+async function debtorAccount(options) {
+  if (options.accountId) {
+    const data = await withSpinner(`Fetching account ${options.accountId}...`, () => getAccount(options.accountId));
+    const identification = data.Data?.Account?.[0]?.Account?.[0];
+    if (!identification) throw new CliError(`Account ${options.accountId} has no scheme identification`, 'validation');
+    return identification;
+  }
+  if (options.iban) {
+    return { SchemeName: 'UK.OBIE.IBAN', Identification: options.iban.replace(/\s+/g, '').toUpperCase() };
+  }
+  const sortCode = String(options.sortCode || '').replace(/[\s-]/g, '');
+  const accountNumber = String(options.accountNumber || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(sortCode) || !/^\d{8}$/.test(accountNumber)) {
+    throw new CliError('Give the account as --account-id, --iban, or --sort-code (6 digits) with --account-number (8 digits)', 'validation');
+  }
+  return { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: sortCode + accountNumber };
+}
+
+function printFundsConsent(title, consent) {
+  console.log(chalk.bold(`\n${title}\n`));
+  console.log('Consent ID:    ', chalk.cyan(consent.ConsentId || 'N/A'));
+  console.log('Status:        ', chalk.green(consent.Status || 'N/A'));
+  console.log('Account:       ', consent.DebtorAccount ? `${consent.DebtorAccount.Identification} (${consent.DebtorAccount.SchemeName})` : 'N/A');
+  console.log('Created:       ', consent.CreationDateTime || 'N/A');
+  console.log('Expires:       ', consent.ExpirationDateTime || 'Never');
+  console.log('');
+}
+
+fundsConsentsCmd
+  .command('create')
+  .description('Create a funds confirmation consent for one account')
+  .option('--account-id <id>', 'Account to check, looked up through the accounts API')
+  .option('--iban <iban>', 'Account IBAN')
+  .option('--sort-code <code>', 'Account sort code (with --account-number)')
+  .option('--account-number <number>', 'Account number')
+  .option('--name <name>', 'Account holder name')
+  .option('--expiration <date>', 'Expiration date (ISO 8601)')
   .option('--json', 'Output as JSON')
-  .action(async (accountId, options) => {
+  .action(async (options) => {
     try {
-      const params = {};
-      if (options.from) params.fromStatementDateTime = options.from;
-      if (options.to) params.toStatementDateTime = options.to;
+      const account = await debtorAccount(options);
+      const payload = {
+        Data: {
+          DebtorAccount: {
+            SchemeName: account.SchemeName,
+            Identification: account.Identification,
+            ...((options.name || account.Name) && { Name: options.name || account.Name })
+          }
+        }
+      };
+
+      if (options.expiration) {
+        payload.Data.ExpirationDateTime = options.expiration;
+      }
 
-      const data = await withSpinner(`Fetching statements for account ${accountId}...`, () => getAccountStatements(accountId, params));
+      const data = await withSpinner('Creating funds confirmation consent...', () => createFundsConfirmationConsent(payload));
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
-      const statements = data.Data?.Statement || [];
-      const tableData = statements.map(s => ({
-        id: s.StatementId,
-        type: s.Type,
-        startDate: s.StartDateTime,
-        endDate: s.EndDateTime,
-        description: s.StatementDescription?.[0] || 'N/A'
-      }));
+      printFundsConsent('Funds Confirmation Consent Created', data.Data || {});
+      printSuccess('Consent created successfully');
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
 
-      printTable(tableData, [
-        { key: 'id', label: 'Statement ID' },
-        { key: 'type', label: 'Type' },
-        { key: 'startDate', label: 'Start Date' },
-        { key: 'endDate', label: 'End Date' },
-        { key: 'description', label: 'Description' }
-      ]);
+fundsConsentsCmd
+  .command('get <consentId>')
+  .description('Get funds confirmation consent details')
+  .option('--json', 'Output as JSON')
+  .action(async (consentId, options) => {
+    try {
+      const data = await withSpinner(`Fetching funds confirmation consent ${consentId}...`, () => getFundsConfirmationConsent(consentId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      printFundsConsent('Funds Confirmation Consent Details', data.Data || {});
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+fundsConsentsCmd
+  .command('delete <consentId>')
+  .description('Delete/revoke a funds confirmation consent')
+  .option('--json', 'Output as JSON')
+  .action(async (consentId, options) => {
+    try {
+      const data = await withSpinner(`Deleting funds confirmation consent ${consentId}...`, () => deleteFundsConfirmationConsent(consentId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      printSuccess(`Funds confirmation consent ${consentId} deleted successfully`);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+fundsCmd
+  .command('check <consentId>')
+  .description(`Check whether the consent's account can cover an amount (exits ${EXIT_CODES.insufficient_funds} when it cannot)`)
+  .option('--amount <amount>', 'Amount, e.g. 120.50')
+  .option('--currency <code>', 'Currency', 'GBP')
+  .option('--reference <text>', 'Reference for the check (max 35 characters)', 'Funds check')
+  .option('--json', 'Output as JSON')
+  .action(async (consentId, options) => {
+    try {
+      const reference = String(options.reference).trim();
+      if (!reference || reference.length > 35) {
+        throw new CliError('--reference must be 1 to 35 characters', 'validation');
+      }
+      const payload = {
+        Data: {
+          ConsentId: consentId,
+          Reference: reference,
+          InstructedAmount: buildInstructedAmount(options)
+        }
+      };
+
+      const data = await withSpinner('Confirming funds...', () => createFundsConfirmation(payload));
+      const confirmation = data.Data || {};
+      // Scripts gate on the exit code, so a "no" is not an error but still exits non-zero
+      if (confirmation.FundsAvailable !== true) process.exitCode = EXIT_CODES.insufficient_funds;
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const amount = `${confirmation.InstructedAmount?.Amount ?? payload.Data.InstructedAmount.Amount} ${confirmation.InstructedAmount?.Currency ?? payload.Data.InstructedAmount.Currency}`;
+      console.log(chalk.bold('\nFunds Confirmation\n'));
+      console.log('Available:     ', confirmation.FundsAvailable ? chalk.green('Yes') : chalk.red('No'));
+      console.log('Amount:        ', amount);
+      console.log('Reference:     ', confirmation.Reference || reference);
+      console.log('Confirmation:  ', confirmation.FundsConfirmationId || 'N/A');
+      console.log('Checked:       ', confirmation.CreationDateTime || 'N/A');
+      console.log('');
+      if (confirmation.FundsAvailable) {
+        printSuccess(`Funds are available for ${amount}`);
+      } else {
+        printError(`Funds are not available for ${amount}`);
+      }
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -637,6 +2811,16 @@ statementsCmd
 
 const partyCmd = program.command('party').description('Get account party information');
 
+function printParty(title, party = {}) {
+  console.log(chalk.bold(`\n${title}\n`));
+  console.log('Party ID:      ', chalk.cyan(party.PartyId || 'N/A'));
+  console.log('Name:          ', party.Name || 'N/A');
+  console.log('Type:          ', party.PartyType || 'N/A');
+  console.log('Email:         ', party.EmailAddress || 'N/A');
+  console.log('Phone:         ', party.Phone || 'N/A');
+  console.log('');
+}
+
 partyCmd
   .command('get <accountId>')
   .description('Get party information for a specific account')
@@ -646,21 +2830,66 @@ partyCmd
       const data = await withSpinner(`Fetching party info for account ${accountId}...`, () => getAccountParty(accountId));
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
-      const party = data.Data?.Party || {};
-      console.log(chalk.bold('\nParty Information\n'));
-      console.log('Party ID:      ', chalk.cyan(party.PartyId || 'N/A'));
-      console.log('Name:          ', party.Name || 'N/A');
-      console.log('Type:          ', party.PartyType || 'N/A');
-      console.log('Email:         ', party.EmailAddress || 'N/A');
-      console.log('Phone:         ', party.Phone || 'N/A');
-      console.log('');
+      printParty('Party Information', data.Data?.Party);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+partyCmd
+  .command('list <accountId>')
+  .description('List every party with a role on a specific account (owners, joint holders, attorneys)')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    try {
+      const data = await withSpinner(`Fetching parties for account ${accountId}...`, () => getAccountParties(accountId));
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      const parties = data.Data?.Party || [];
+      const tableData = parties.map(p => ({
+        id: p.PartyId,
+        name: p.Name || 'N/A',
+        type: p.PartyType || 'N/A',
+        role: p.AccountRole?.replace(/^UK\.OBIE\./, '') || 'N/A',
+        email: p.EmailAddress || 'N/A'
+      }));
+
+      printTable(tableData, [
+        { key: 'id', label: 'Party ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'type', label: 'Type' },
+        { key: 'role', label: 'Role' },
+        { key: 'email', label: 'Email' }
+      ]);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+partyCmd
+  .command('me')
+  .description('Get the party of the user who authorised the consent')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const data = await withSpinner('Fetching your party info...', () => getParty());
+
+      if (options.json) {
+        printData(data);
+        return;
+      }
+
+      printParty('Your Party Information', data.Data?.Party);
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
     }
   });
 
@@ -685,7 +2914,7 @@ sandboxCmd
       const data = await withSpinner('Creating sandbox...', () => createSandbox(payload));
 
       if (options.json) {
-        printJson(data);
+        printData(data);
         return;
       }
 
@@ -694,8 +2923,175 @@ sandboxCmd
       console.log('');
       printSuccess('Sandbox created successfully. Use "nbg config set --sandbox-id <id>" to configure it.');
     } catch (error) {
-      printError(error.response?.data?.message || error.message);
-      process.exit(1);
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// RAW API
+// ============================================================
+
+const API_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+// --data takes inline JSON, @file or @- for stdin
+function readRequestBody(value) {
+  const text = value.startsWith('@')
+    ? fs.readFileSync(value === '@-' ? 0 : value.slice(1), 'utf8')
+    : value;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new CliError('--data must be valid JSON (inline, @file or @- for stdin)', 'validation');
+  }
+}
+
+function parsePairs(values, separator, option) {
+  return values.map(value => {
+    const index = value.indexOf(separator);
+    if (index <= 0) throw new CliError(`${option} must look like key${separator}value, got "${value}"`, 'validation');
+    return [value.slice(0, index).trim(), value.slice(index + 1).trim()];
+  });
+}
+
+// Only the configured API may receive the bearer token, so absolute URLs must sit under the base URL
+function resolveApiPath(path) {
+  if (!/^https?:\/\//i.test(path)) return path.startsWith('/') ? path : `/${path}`;
+  const baseUrl = getConfig('baseUrl') || DEFAULT_BASE_URL;
+  if (!path.startsWith(baseUrl.replace(/\/+$/, '') + '/')) {
+    throw new CliError(`Absolute URLs must start with the configured base URL (${baseUrl})`, 'validation');
+  }
+  return path;
+}
+
+function printResponse(response, include) {
+  if (include) {
+    console.log(chalk.bold(`HTTP ${response.status} ${response.statusText || ''}`.trim()));
+    const headers = response.headers?.toJSON ? response.headers.toJSON() : response.headers;
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      console.log(`${chalk.cyan(name)}: ${value}`);
+    });
+    console.log('');
+  }
+  const data = response.data;
+  if (data === undefined || data === null || data === '') return;
+  if (typeof data === 'string') {
+    console.log(data);
+    return;
+  }
+  // The body is printed as it came unless an output format or fields are asked for
+  if (program.opts().output || program.opts().fields) printData(data);
+  else printJson(data);
+}
+
+program
+  .command('api <method> <path>')
+  .description('Send a request to any API endpoint with the configured base URL, token and sandbox ID')
+  .option('-d, --data <json>', 'Request body as JSON, @file or @- for stdin')
+  .option('-q, --query <key=value>', 'Add a query string parameter (repeatable)', collect, [])
+  .option('-H, --header <key:value>', 'Add or override a request header (repeatable)', collect, [])
+  .option('-i, --include', 'Print the response status and headers before the body')
+  .option('--json', 'Print errors as JSON on stderr')
+  .action(async (method, path, options) => {
+    try {
+      const verb = method.toUpperCase();
+      if (!API_METHODS.includes(verb)) {
+        throw new CliError(`Method must be one of: ${API_METHODS.join(', ')}`, 'validation');
+      }
+
+      const params = new URLSearchParams(parsePairs(options.query, '=', '--query'));
+      const headers = Object.fromEntries(parsePairs(options.header, ':', '--header'));
+      const request = { params, headers };
+      if (options.data !== undefined) request.data = readRequestBody(options.data);
+
+      const response = await sendRequest(verb.toLowerCase(), resolveApiPath(path), request);
+      printResponse(response, options.include);
+    } catch (error) {
+      // Like a successful call, the error body goes to stdout for piping; the summary goes to stderr
+      if (error.response) {
+        printResponse(error.response, options.include);
+      }
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+const mockCmd = program.command('mock').description('Local mock Open Banking server for development and CI');
+
+mockCmd
+  .command('serve')
+  .description('Serve seeded v3.1.5 fixture data for every endpoint the CLI calls')
+  .option('--port <port>', 'Port to listen on', String(DEFAULT_MOCK_PORT))
+  .option('--host <host>', 'Address to bind', '127.0.0.1')
+  .option('--seed <n>', 'Seed for the generated data; the same seed gives the same data', '1')
+  .option('--date <date>', 'Generate data as of this day (YYYY-MM-DD) instead of today')
+  .option('--page-size <n>', 'Default page size for transactions, balances and statements', String(DEFAULT_MOCK_PAGE_SIZE))
+  .option('--latency <ms>', 'Delay every response by this many milliseconds', '0')
+  .option('--scenario <name>', `Fail every request: ${MOCK_SCENARIOS.join(', ')}`)
+  .option('--quiet', 'Do not log requests')
+  .action(async (options) => {
+    try {
+      const port = parseInt(options.port, 10);
+      const seed = parseInt(options.seed, 10);
+      const pageSize = parseInt(options.pageSize, 10);
+      const latency = parseInt(options.latency, 10);
+      const today = options.date ? new Date(`${options.date}T00:00:00Z`) : new Date();
+      if (!(port >= 0 && port <= 65535)) throw new CliError('--port must be between 0 and 65535', 'validation');
+      if (Number.isNaN(seed)) throw new CliError('--seed must be an integer', 'validation');
+      if (!(pageSize > 0)) throw new CliError('--page-size must be a positive integer', 'validation');
+      if (!(latency >= 0)) throw new CliError('--latency must be a non-negative number', 'validation');
+      if (Number.isNaN(today.getTime())) throw new CliError('--date must look like YYYY-MM-DD', 'validation');
+      if (options.scenario && !MOCK_SCENARIOS.includes(options.scenario)) {
+        throw new CliError(`--scenario must be one of: ${MOCK_SCENARIOS.join(', ')}`, 'validation');
+      }
+
+      const { server, fixtures } = createMockServer({
+        seed,
+        today,
+        pageSize,
+        latency,
+        scenario: options.scenario,
+        onRequest: options.quiet ? null : ({ method, path, status, ms }) => {
+          const color = status >= 400 ? chalk.red : chalk.green;
+          console.log(`${chalk.dim(new Date().toISOString())} ${method.padEnd(6)} ${path} ${color(status)} ${chalk.dim(`${ms}ms`)}`);
+        }
+      });
+
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, options.host, resolve);
+      });
+
+      const url = `http://${options.host}:${server.address().port}`;
+      printSuccess(`Mock Open Banking server listening on ${chalk.cyan(url)}`);
+      console.log(chalk.dim(`Seed ${fixtures.seed}, data as of ${fixtures.today}${options.scenario ? `, scenario ${options.scenario}` : ''}\n`));
+      printTable(fixtures.accounts.map(a => ({
+        id: a.AccountId,
+        name: a.Nickname,
+        subtype: a.AccountSubType,
+        currency: a.Currency,
+        transactions: fixtures.transactions[a.AccountId].length
+      })), [
+        { key: 'id', label: 'Account ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'subtype', label: 'Subtype' },
+        { key: 'currency', label: 'Currency' },
+        { key: 'transactions', label: 'Transactions' }
+      ]);
+      console.log(chalk.bold('\nPoint a profile at it:\n'));
+      console.log(`  nbg profile create mock --base-url ${url} --access-token mock --use\n`);
+
+      const stop = () => server.close(() => process.exit(0));
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    } catch (error) {
+      handleError(error, options);
     }
   });
 
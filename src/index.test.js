@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createMockServer } from './mock.js';
+
+const BIN = fileURLToPath(new URL('../bin/nbg.js', import.meta.url));
+
+let home;
+let mock;
+
+// Runs the CLI against the mock server with its own config directory; resolves whatever the exit code
+function nbg(...args) {
+  return new Promise((resolve) => {
+    const env = { ...process.env, HOME: home, XDG_CONFIG_HOME: path.join(home, 'config'), NO_COLOR: '1' };
+    delete env.NBG_PROFILE;
+    execFile(process.execPath, [BIN, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+function lines(stdout) {
+  return stdout.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+before(async () => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'nbg-test-'));
+  mock = createMockServer({ seed: 1 });
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+  assert.equal((await nbg('profile', 'create', 'mock', '--base-url', baseUrl, '--access-token', 'mock', '--use')).code, 0);
+  assert.equal((await nbg('sync')).code, 0);
+});
+
+after(() => {
+  mock.server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('--stream --json prints one line per page', async () => {
+  const { code, stdout } = await nbg('transactions', 'get', '21403721', '--all', '--max-pages', '3', '--stream', '--json');
+  assert.equal(code, 0);
+  const pages = lines(stdout);
+  assert.equal(pages.length, 3);
+  pages.forEach(page => assert.ok(page.Data.Transaction.length > 0));
+});
+
+test('--offline --stream --json prints the stored document as one line', async () => {
+  const stored = await nbg('--offline', 'transactions', 'get', '21403721', '--json');
+  const streamed = await nbg('--offline', 'transactions', 'get', '21403721', '--stream', '--json');
+  assert.equal(streamed.code, 0);
+  const [page, ...rest] = lines(streamed.stdout);
+  assert.deepEqual(rest, []);
+  assert.deepEqual(page, JSON.parse(stored.stdout));
+
+  for (const args of [['balances', 'list'], ['balances', 'get', '21403721'], ['transactions', 'list']]) {
+    const { code, stdout } = await nbg('--offline', ...args, '--stream', '--json');
+    assert.equal(code, 0, args.join(' '));
+    assert.equal(lines(stdout).length, 1, args.join(' '));
+  }
+});
+
+test('--offline --stream -o ndjson prints one line per stored record', async () => {
+  const { stdout } = await nbg('--offline', 'balances', 'list', '--stream', '-o', 'ndjson');
+  const records = lines(stdout);
+  assert.ok(records.length > 1);
+  records.forEach(record => assert.ok(record.AccountId && record.Type));
+});
+
+test('--offline refuses commands that need standing orders', async () => {
+  for (const command of ['forecast', 'recurring']) {
+    const { code, stdout, stderr } = await nbg('--offline', command, '21403721');
+    assert.equal(code, 2, command);
+    assert.equal(stdout, '');
+    assert.match(stderr, /not in the local store/);
+  }
+});
+
+test('export keeps the --max-pages notice out of the exported file', async () => {
+  const { code, stdout, stderr } = await nbg('transactions', 'export', '21403721', '--format', 'csv', '--max-pages', '1');
+  assert.equal(code, 0);
+  assert.doesNotMatch(stdout, /max-pages/);
+  assert.match(stderr, /Stopped at --max-pages/);
+});
+
+test('export writes camt053 with its opening and closing balances', async () => {
+  const full = await nbg('transactions', 'export', '21403721', '--format', 'camt053');
+  assert.equal(full.code, 0);
+  assert.match(full.stdout, /<Cd>OPBD<\/Cd>/);
+  assert.match(full.stdout, /<Cd>CLBD<\/Cd>/);
+});
+
+test('transactions get shows each transaction\'s status', async () => {
+  const { code, stdout } = await nbg('--offline', 'transactions', 'get', '21403721');
+  assert.equal(code, 0);
+  assert.match(stdout, /Status/);
+  assert.match(stdout, /Booked/);
+});
+
+// Streamed pages hold the same records, in the same order, as the merged document
+async function assertStreamsPages(args, key, pageSize) {
+  const merged = await nbg(...args, '--all', '--json');
+  const streamed = await nbg(...args, '--all', '--page-size', String(pageSize), '--stream', '--json');
+  assert.equal(streamed.code, 0);
+  const all = JSON.parse(merged.stdout).Data[key];
+  const pages = lines(streamed.stdout);
+  assert.ok(all.length > pageSize, `${args.join(' ')} needs more than one page`);
+  assert.equal(pages.length, Math.ceil(all.length / pageSize));
+  pages.forEach(page => assert.ok(page.Data[key].length <= pageSize));
+  assert.deepEqual(pages.flatMap(page => page.Data[key]), all);
+}
+
+test('statements get --stream --json prints one line per page of statements', async () => {
+  await assertStreamsPages(['statements', 'get', '21403721'], 'Statement', 2);
+});
+
+test('statements transactions --stream --json prints one line per page of transactions', async () => {
+  const [statement] = mock.fixtures.statements['21403721'];
+  await assertStreamsPages(['statements', 'transactions', '21403721', statement.StatementId], 'Transaction', 5);
+});
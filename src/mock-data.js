@@ -0,0 +1,686 @@
+import { startOfDay, addDays, dayKey } from './forecast.js';
+
+export const HISTORY_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// mulberry32: tiny deterministic PRNG so the same seed always produces the same fixtures
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    amount: (min, max) => Math.round((min + next() * (max - min)) * 100) / 100,
+    pick: (list) => list[Math.floor(next() * list.length)],
+    digits: (length) => Array.from({ length }, () => Math.floor(next() * 10)).join(''),
+    hex: (length) => Array.from({ length }, () => Math.floor(next() * 16).toString(16)).join('')
+  };
+}
+
+// ============================================================
+// Formatting
+// ============================================================
+
+// OB examples use an explicit +00:00 offset rather than Z
+function obDateTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function money(amount, currency) {
+  return { Amount: Math.abs(amount).toFixed(2), Currency: currency };
+}
+
+function signedBalance(amount, currency, type = 'InterimBooked') {
+  return {
+    CreditDebitIndicator: amount < 0 ? 'Debit' : 'Credit',
+    Type: type,
+    Amount: money(amount, currency)
+  };
+}
+
+function greekIban(rng) {
+  const bban = '011' + rng.digits(4) + rng.digits(16);
+  // ISO 13616 check digits: move "GR00" to the end, letters to numbers, 98 - mod 97
+  const numeric = `${bban}1627` + '00';
+  let remainder = 0;
+  for (const digit of numeric) remainder = (remainder * 10 + Number(digit)) % 97;
+  return `GR${String(98 - remainder).padStart(2, '0')}${bban}`;
+}
+
+function at(date, rng, fromHour = 7, toHour = 21) {
+  return new Date(date.getTime() + rng.int(fromHour * 60, toHour * 60) * 60 * 1000 + rng.int(0, 59) * 1000);
+}
+
+function monthlyOn(from, until, day) {
+  const dates = [];
+  for (let year = from.getUTCFullYear(), month = from.getUTCMonth(); Date.UTC(year, month, 1) <= until.getTime(); month++) {
+    const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const date = new Date(Date.UTC(year, month, Math.min(day, last)));
+    if (date >= from && date <= until) dates.push(date);
+    if (month === 11) {
+      year++;
+      month = -1;
+    }
+  }
+  return dates;
+}
+
+// Salaries land on the previous working day when the nominal date is a weekend
+function previousWorkingDay(date) {
+  const weekday = date.getUTCDay();
+  return weekday === 6 ? addDays(date, -1) : weekday === 0 ? addDays(date, -2) : date;
+}
+
+// ============================================================
+// Catalogue
+// ============================================================
+
+const HOLDERS = [
+  { name: 'Alex Morgan', email: 'alex.morgan@example.com', street: 'Elm Grove', town: 'Manchester', postCode: 'M14 6HX' },
+  { name: 'Sam Patel', email: 'sam.patel@example.com', street: 'Wharf Road', town: 'London', postCode: 'N1 7GR' },
+  { name: 'Jordan Hughes', email: 'jordan.hughes@example.com', street: 'Queen Street', town: 'Cardiff', postCode: 'CF10 2BU' },
+  { name: 'Eleni Papadopoulou', email: 'eleni.p@example.com', street: 'Victoria Road', town: 'Leeds', postCode: 'LS6 1DU' }
+];
+
+const EMPLOYERS = ['Acme Digital Ltd', 'Northwind Logistics', 'Brightside Health', 'Kestrel Engineering'];
+
+const CARD_MERCHANTS = [
+  { name: 'Tesco Stores', mcc: '5411', min: 8, max: 85, weight: 6 },
+  { name: "Sainsbury's", mcc: '5411', min: 6, max: 70, weight: 4 },
+  { name: 'Pret A Manger', mcc: '5814', min: 3.5, max: 12, weight: 5 },
+  { name: "Nando's", mcc: '5812', min: 14, max: 42, weight: 2 },
+  { name: 'Shell', mcc: '5541', min: 35, max: 75, weight: 2 },
+  { name: 'Transport for London', mcc: '4111', min: 2.8, max: 8.5, weight: 5 },
+  { name: 'Amazon UK', mcc: '5999', min: 7, max: 120, weight: 3 },
+  { name: 'Boots', mcc: '5912', min: 4, max: 30, weight: 2 },
+  { name: 'Waterstones', mcc: '5942', min: 8, max: 28, weight: 1 },
+  { name: 'Vue Cinemas', mcc: '7832', min: 9, max: 24, weight: 1 }
+];
+
+const EURO_MERCHANTS = [
+  { name: 'Aegean Airlines', mcc: '4511', min: 60, max: 180 },
+  { name: 'Electra Palace Hotel', mcc: '7011', min: 95, max: 240 },
+  { name: 'Taverna Psaras', mcc: '5812', min: 18, max: 65 },
+  { name: 'Lidl Hellas', mcc: '5411', min: 6, max: 40 },
+  { name: 'Athens Metro', mcc: '4111', min: 1.2, max: 4.5 },
+  { name: 'Public', mcc: '5732', min: 12, max: 90 }
+];
+
+const SUBSCRIPTIONS = [
+  { name: 'Spotify', mcc: '5815', amount: 11.99, day: 7 },
+  { name: 'Netflix', mcc: '4899', amount: 10.99, day: 12 },
+  { name: 'Apple iCloud', mcc: '5818', amount: 2.99, day: 20 }
+];
+
+const DIRECT_DEBITS = [
+  { name: 'PureGym Ltd', reference: 'PUREGYM MEMBERSHIP', min: 34.99, max: 34.99, day: 3 },
+  { name: 'Vodafone', reference: 'VODAFONE LTD', min: 22, max: 22, day: 14 },
+  { name: 'British Gas', reference: 'BRITISH GAS', min: 78, max: 96, day: 18 }
+];
+
+const CODES = {
+  card: {
+    BankTransactionCode: { Code: 'CustomerCardTransactions', SubCode: 'PointOfSale' },
+    ProprietaryBankTransactionCode: { Code: 'CardPayment', Issuer: 'NBG' }
+  },
+  cash: {
+    BankTransactionCode: { Code: 'CustomerCardTransactions', SubCode: 'CashWithdrawal' },
+    ProprietaryBankTransactionCode: { Code: 'ATM', Issuer: 'NBG' }
+  },
+  directDebit: {
+    BankTransactionCode: { Code: 'IssuedDirectDebits', SubCode: 'DirectDebit' },
+    ProprietaryBankTransactionCode: { Code: 'DirectDebit', Issuer: 'NBG' }
+  },
+  standingOrder: {
+    BankTransactionCode: { Code: 'IssuedCreditTransfers', SubCode: 'StandingOrder' },
+    ProprietaryBankTransactionCode: { Code: 'StandingOrder', Issuer: 'NBG' }
+  },
+  transferIn: {
+    BankTransactionCode: { Code: 'ReceivedCreditTransfers', SubCode: 'DomesticCreditTransfer' },
+    ProprietaryBankTransactionCode: { Code: 'FasterPayment', Issuer: 'NBG' }
+  },
+  interest: {
+    BankTransactionCode: { Code: 'AccountManagement', SubCode: 'Interest' },
+    ProprietaryBankTransactionCode: { Code: 'Interest', Issuer: 'NBG' }
+  }
+};
+
+function weightedPick(rng, merchants) {
+  const total = merchants.reduce((sum, m) => sum + (m.weight || 1), 0);
+  let roll = rng.next() * total;
+  for (const merchant of merchants) {
+    roll -= merchant.weight || 1;
+    if (roll < 0) return merchant;
+  }
+  return merchants[merchants.length - 1];
+}
+
+// ============================================================
+// Activity
+// ============================================================
+
+function cardEvent(rng, date, merchant, amount) {
+  return {
+    date,
+    indicator: 'Debit',
+    amount: amount ?? rng.amount(merchant.min, merchant.max),
+    info: `${merchant.name.toUpperCase()} CARD PAYMENT`,
+    merchant: { MerchantName: merchant.name, MerchantCategoryCode: merchant.mcc },
+    codes: CODES.card,
+    card: true
+  };
+}
+
+function everydayActivity(rng, { from, until, holder, employer, savingsName, savingsIdentification }) {
+  const events = [];
+  const salary = rng.amount(2800, 3600);
+
+  for (const date of monthlyOn(from, until, 25)) {
+    events.push({
+      date: at(previousWorkingDay(date), rng, 6, 8),
+      indicator: 'Credit',
+      amount: salary,
+      info: `SALARY ${employer.toUpperCase()}`,
+      debtor: { Name: employer },
+      codes: CODES.transferIn
+    });
+  }
+  for (const date of monthlyOn(from, until, 1)) {
+    events.push({
+      date: at(date, rng, 6, 8),
+      indicator: 'Debit',
+      amount: 1150,
+      info: 'STO OAKWOOD LETTINGS RENT',
+      creditor: { Name: 'Oakwood Lettings' },
+      codes: CODES.standingOrder
+    });
+  }
+  for (const date of monthlyOn(from, until, 28)) {
+    events.push({
+      date: at(date, rng, 6, 8),
+      indicator: 'Debit',
+      amount: 300,
+      info: 'STO RAINY DAY SAVINGS',
+      creditor: { Name: savingsName, Identification: savingsIdentification },
+      codes: CODES.standingOrder
+    });
+  }
+  for (const debit of DIRECT_DEBITS) {
+    for (const date of monthlyOn(from, until, debit.day)) {
+      events.push({
+        date: at(date, rng, 5, 7),
+        indicator: 'Debit',
+        amount: rng.amount(debit.min, debit.max),
+        info: `DD ${debit.reference}`,
+        creditor: { Name: debit.name },
+        codes: CODES.directDebit
+      });
+    }
+  }
+  for (const subscription of SUBSCRIPTIONS) {
+    for (const date of monthlyOn(from, until, subscription.day)) {
+      events.push(cardEvent(rng, at(date, rng, 0, 4), subscription, subscription.amount));
+    }
+  }
+
+  for (let date = from; date <= until; date = addDays(date, 1)) {
+    const purchases = rng.int(0, 3);
+    for (let i = 0; i < purchases; i++) {
+      events.push(cardEvent(rng, at(date, rng), weightedPick(rng, CARD_MERCHANTS)));
+    }
+    if (rng.next() < 0.08) {
+      events.push({
+        date: at(date, rng),
+        indicator: 'Debit',
+        amount: rng.pick([20, 40, 50, 100]),
+        info: 'CASH WITHDRAWAL NBG ATM',
+        merchant: { MerchantName: 'NBG ATM', MerchantCategoryCode: '6011' },
+        codes: CODES.cash,
+        card: true
+      });
+    }
+    if (rng.next() < 0.04) {
+      const friend = rng.pick(HOLDERS.filter(h => h !== holder)).name;
+      events.push({
+        date: at(date, rng),
+        indicator: 'Credit',
+        amount: rng.amount(10, 60),
+        info: `FROM ${friend.toUpperCase()}`,
+        debtor: { Name: friend },
+        codes: CODES.transferIn
+      });
+    }
+  }
+
+  return events;
+}
+
+function savingsActivity(rng, { from, until, everydayName }) {
+  return monthlyOn(from, until, 28).map(date => ({
+    date: at(date, rng, 6, 8),
+    indicator: 'Credit',
+    amount: 300,
+    info: 'STO RAINY DAY SAVINGS',
+    debtor: { Name: everydayName },
+    codes: CODES.transferIn
+  }));
+}
+
+function travelActivity(rng, { from, until }) {
+  const events = [];
+  const span = Math.round((until - from) / DAY_MS);
+  const trips = [rng.int(20, Math.floor(span / 2) - 10), rng.int(Math.floor(span / 2), span - 12)];
+
+  for (const offset of trips) {
+    const start = addDays(from, offset);
+    events.push({
+      date: at(addDays(start, -3), rng, 9, 17),
+      indicator: 'Credit',
+      amount: rng.pick([600, 800, 1000]),
+      info: 'CURRENCY EXCHANGE GBP/EUR',
+      debtor: { Name: 'NBG FX' },
+      codes: CODES.transferIn
+    });
+    events.push(cardEvent(rng, at(addDays(start, -2), rng), EURO_MERCHANTS[0]));
+    events.push(cardEvent(rng, at(start, rng), EURO_MERCHANTS[1]));
+    for (let day = 0; day < 6; day++) {
+      const purchases = rng.int(1, 4);
+      for (let i = 0; i < purchases; i++) {
+        events.push(cardEvent(rng, at(addDays(start, day), rng), rng.pick(EURO_MERCHANTS.slice(2))));
+      }
+    }
+  }
+
+  return events.filter(e => e.date >= from && e.date <= addDays(until, 1));
+}
+
+// Adds interest on the last day of each month, compounding on the running balance
+function withInterest(events, opening, rate, from, until, rng) {
+  const sorted = [...events].sort((a, b) => a.date - b.date);
+  const result = [];
+  let balance = opening;
+  const monthEnds = monthlyOn(from, until, 31);
+  let index = 0;
+  for (const monthEnd of monthEnds) {
+    const cutoff = addDays(monthEnd, 1);
+    while (index < sorted.length && sorted[index].date < cutoff) {
+      balance += sorted[index].indicator === 'Credit' ? sorted[index].amount : -sorted[index].amount;
+      result.push(sorted[index++]);
+    }
+    const interest = Math.round(balance * rate / 12 * 100) / 100;
+    if (interest > 0) {
+      result.push({
+        date: at(monthEnd, rng, 22, 23),
+        indicator: 'Credit',
+        amount: interest,
+        info: 'INTEREST PAID',
+        codes: CODES.interest
+      });
+      balance += interest;
+    }
+  }
+  return [...result, ...sorted.slice(index)];
+}
+
+// ============================================================
+// Building resources
+// ============================================================
+
+function buildTransactions(rng, account, events, opening, now) {
+  const pendingFrom = addDays(startOfDay(now), -1);
+  let balance = opening;
+
+  return events
+    .filter(e => e.date <= now)
+    .sort((a, b) => a.date - b.date)
+    .map((event) => {
+      const pending = event.card && event.date >= pendingFrom;
+      if (!pending) {
+        balance = Math.round((balance + (event.indicator === 'Credit' ? event.amount : -event.amount)) * 100) / 100;
+      }
+      const transaction = {
+        AccountId: account.AccountId,
+        TransactionId: rng.hex(16),
+        TransactionReference: `NBG${rng.digits(10)}`,
+        CreditDebitIndicator: event.indicator,
+        Status: pending ? 'Pending' : 'Booked',
+        BookingDateTime: obDateTime(event.date),
+        ValueDateTime: obDateTime(pending ? event.date : startOfDay(event.date)),
+        TransactionInformation: event.info,
+        Amount: money(event.amount, account.Currency),
+        ...event.codes
+      };
+      if (event.merchant) transaction.MerchantDetails = event.merchant;
+      if (event.creditor) transaction.CreditorAccount = { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: event.creditor.Identification || `60${rng.digits(12)}`, Name: event.creditor.Name };
+      if (event.debtor) transaction.DebtorAccount = { Name: event.debtor.Name };
+      if (!pending) transaction.Balance = signedBalance(balance, account.Currency);
+      return transaction;
+    })
+    .reverse();
+}
+
+function buildBalances(account, transactions, now) {
+  const booked = transactions.find(t => t.Status === 'Booked');
+  const bookedAmount = booked ? Number(booked.Balance.Amount.Amount) * (booked.Balance.CreditDebitIndicator === 'Debit' ? -1 : 1) : 0;
+  const pendingDebits = transactions
+    .filter(t => t.Status === 'Pending' && t.CreditDebitIndicator === 'Debit')
+    .reduce((sum, t) => sum + Number(t.Amount.Amount), 0);
+  const available = Math.round((bookedAmount - pendingDebits) * 100) / 100;
+  const dateTime = obDateTime(now);
+
+  const balances = [
+    { AccountId: account.AccountId, ...signedBalance(available, account.Currency, 'InterimAvailable'), DateTime: dateTime },
+    { AccountId: account.AccountId, ...signedBalance(bookedAmount, account.Currency, 'InterimBooked'), DateTime: dateTime }
+  ];
+  if (account.AccountSubType === 'CurrentAccount' && account.Currency === 'GBP') {
+    balances[0].CreditLine = [{ Included: false, Type: 'Pre-Agreed', Amount: money(500, account.Currency) }];
+  }
+  return balances;
+}
+
+function balanceAt(transactions, opening, date) {
+  const last = transactions.find(t => t.Status === 'Booked' && new Date(t.BookingDateTime) < date);
+  if (!last) return opening;
+  return Number(last.Balance.Amount.Amount) * (last.Balance.CreditDebitIndicator === 'Debit' ? -1 : 1);
+}
+
+// Benefits, fees, interest and rates as the product would print them; derived from the period's
+// transactions, so no randomness is drawn and the rest of the data set is unaffected
+function statementTerms(account, inPeriod) {
+  const sum = (items) => Math.round(items.reduce((total, t) => total + Number(t.Amount.Amount), 0) * 100) / 100;
+
+  if (account.AccountSubType === 'Savings') {
+    return {
+      StatementInterest: [{
+        CreditDebitIndicator: 'Credit',
+        Type: 'UK.OBIE.Total',
+        Amount: money(sum(inPeriod.filter(t => t.TransactionInformation === 'INTEREST PAID')), account.Currency),
+        Rate: 3.5,
+        RateType: 'UK.OBIE.Gross',
+        Frequency: 'UK.OBIE.Monthly'
+      }],
+      StatementRate: [{ Rate: '3.50', Type: 'UK.OBIE.EAR' }]
+    };
+  }
+
+  if (account.Currency !== 'GBP') {
+    return {
+      StatementFee: [{
+        CreditDebitIndicator: 'Debit',
+        Type: 'UK.OBIE.ForeignTransaction',
+        Amount: money(0, account.Currency),
+        Rate: 0,
+        Description: 'No foreign transaction fees on this account'
+      }]
+    };
+  }
+
+  const cards = inPeriod.filter(t => t.CreditDebitIndicator === 'Debit' && t.ProprietaryBankTransactionCode?.Code === 'CardPayment');
+  return {
+    StatementBenefit: [{ Type: 'UK.OBIE.Cashback', Amount: money(sum(cards) * 0.005, account.Currency) }],
+    StatementFee: [{
+      CreditDebitIndicator: 'Debit',
+      Type: 'UK.OBIE.Overlimit',
+      Amount: money(0, account.Currency),
+      Description: 'Unarranged overdraft fee (none this period)'
+    }],
+    StatementRate: [
+      { Rate: '39.90', Type: 'UK.OBIE.ArrangedOverdraft' },
+      { Rate: '39.90', Type: 'UK.OBIE.UnarrangedOverdraft' }
+    ],
+    StatementValue: [{ Value: String(cards.length), Type: 'UK.OBIE.Purchase' }]
+  };
+}
+
+function buildStatements(rng, account, transactions, opening, today) {
+  const statements = [];
+  for (let back = 6; back >= 1; back--) {
+    const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - back, 1));
+    const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - back + 1, 1));
+    const openingBalance = balanceAt(transactions, opening, start);
+    const closingBalance = balanceAt(transactions, opening, end);
+    const inPeriod = transactions.filter(t => t.Status === 'Booked' && new Date(t.BookingDateTime) >= start && new Date(t.BookingDateTime) < end);
+    const total = (indicator) => inPeriod.filter(t => t.CreditDebitIndicator === indicator).reduce((sum, t) => sum + Number(t.Amount.Amount), 0);
+    const label = start.toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    statements.push({
+      AccountId: account.AccountId,
+      StatementId: `${account.AccountId}-${dayKey(start).slice(0, 7)}`,
+      StatementReference: `STM${rng.digits(8)}`,
+      Type: 'RegularPeriodic',
+      StartDateTime: obDateTime(start),
+      EndDateTime: obDateTime(new Date(end.getTime() - 1000)),
+      CreationDateTime: obDateTime(new Date(end.getTime() + 2 * 60 * 60 * 1000)),
+      StatementDescription: [`Statement for ${label}`],
+      StatementAmount: [
+        { ...signedBalance(openingBalance, account.Currency, 'OpeningBalance') },
+        { ...signedBalance(closingBalance, account.Currency, 'ClosingBalance') },
+        { CreditDebitIndicator: 'Credit', Type: 'TotalCredits', Amount: money(total('Credit'), account.Currency) },
+        { CreditDebitIndicator: 'Debit', Type: 'TotalDebits', Amount: money(total('Debit'), account.Currency) }
+      ],
+      ...statementTerms(account, inPeriod)
+    });
+  }
+  return statements.reverse();
+}
+
+function nextMonthly(today, day) {
+  return monthlyOn(today, addDays(today, 62), day)[0];
+}
+
+function lastMonthly(today, day) {
+  const dates = monthlyOn(addDays(today, -62), addDays(today, -1), day);
+  return dates[dates.length - 1];
+}
+
+// Generates a self-consistent v3.1.5 data set: running balances match the transactions,
+// balances match the newest booked transaction and statements match both.
+export function buildFixtures({ seed = 1, today = new Date() } = {}) {
+  const rng = createRandom(seed);
+  const day = startOfDay(today);
+  const now = new Date(day.getTime() + 8 * 60 * 60 * 1000);
+  const from = addDays(day, -HISTORY_DAYS);
+  const holder = rng.pick(HOLDERS);
+  const employer = rng.pick(EMPLOYERS);
+  const sortCode = `60${rng.digits(4)}`;
+
+  const makeAccount = (nickname, subType, currency, scheme, identification) => ({
+    AccountId: rng.digits(8),
+    Status: 'Enabled',
+    StatusUpdateDateTime: obDateTime(addDays(from, -400)),
+    Currency: currency,
+    AccountType: 'Personal',
+    AccountSubType: subType,
+    Nickname: nickname,
+    OpeningDate: obDateTime(addDays(from, -rng.int(400, 2000))),
+    Account: [{ SchemeName: scheme, Identification: identification, Name: holder.name }]
+  });
+
+  const everyday = makeAccount('Everyday', 'CurrentAccount', 'GBP', 'UK.OBIE.SortCodeAccountNumber', sortCode + rng.digits(8));
+  const savings = makeAccount('Rainy Day', 'Savings', 'GBP', 'UK.OBIE.SortCodeAccountNumber', sortCode + rng.digits(8));
+  const travel = makeAccount('Euro Travel', 'CurrentAccount', 'EUR', 'UK.OBIE.IBAN', greekIban(rng));
+
+  const everydayOpening = rng.amount(1800, 2600);
+  const savingsOpening = rng.amount(3500, 6000);
+  const travelOpening = rng.amount(80, 250);
+
+  const everydayEvents = everydayActivity(rng, {
+    from,
+    until: day,
+    holder,
+    employer,
+    savingsName: savings.Nickname,
+    savingsIdentification: savings.Account[0].Identification
+  });
+  const activity = {
+    [everyday.AccountId]: { opening: everydayOpening, events: everydayEvents },
+    [savings.AccountId]: { opening: savingsOpening, events: withInterest(savingsActivity(rng, { from, until: day, everydayName: everyday.Nickname }), savingsOpening, 0.035, from, day, rng) },
+    [travel.AccountId]: { opening: travelOpening, events: travelActivity(rng, { from, until: day }) }
+  };
+
+  const accounts = [everyday, savings, travel];
+  const fixtures = {
+    seed,
+    today: dayKey(day),
+    generatedAt: obDateTime(now),
+    accounts,
+    transactions: {},
+    balances: {},
+    statements: {},
+    beneficiaries: {},
+    standingOrders: {},
+    scheduledPayments: {},
+    parties: {},
+    accountParties: {},
+    directDebits: {},
+    products: {},
+    offers: {},
+    party: null
+  };
+
+  for (const account of accounts) {
+    const { opening, events } = activity[account.AccountId];
+    const transactions = buildTransactions(rng, account, events, opening, now);
+    fixtures.transactions[account.AccountId] = transactions;
+    fixtures.balances[account.AccountId] = buildBalances(account, transactions, now);
+    fixtures.statements[account.AccountId] = buildStatements(rng, account, transactions, opening, day);
+    fixtures.beneficiaries[account.AccountId] = [];
+    fixtures.standingOrders[account.AccountId] = [];
+    fixtures.scheduledPayments[account.AccountId] = [];
+    fixtures.parties[account.AccountId] = {
+      PartyId: `PTY${rng.digits(8)}`,
+      PartyNumber: rng.digits(10),
+      PartyType: 'Sole',
+      Name: holder.name,
+      FullLegalName: holder.name,
+      EmailAddress: holder.email,
+      Phone: `+44-161${rng.digits(7)}`,
+      Mobile: `+44-7${rng.digits(9)}`,
+      Address: [{
+        AddressType: 'Residential',
+        StreetName: holder.street,
+        BuildingNumber: String(rng.int(1, 180)),
+        PostCode: holder.postCode,
+        TownName: holder.town,
+        Country: 'GB'
+      }]
+    };
+  }
+
+  const creditor = (name, identification) => ({ SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: identification || `60${rng.digits(12)}`, Name: name });
+  const landlord = creditor('Oakwood Lettings');
+  const family = creditor(rng.pick(HOLDERS.filter(h => h !== holder)).name);
+
+  fixtures.beneficiaries[everyday.AccountId] = [
+    { AccountId: everyday.AccountId, BeneficiaryId: `BEN${rng.digits(6)}`, BeneficiaryType: 'Trusted', Reference: 'RENT', CreditorAccount: landlord },
+    { AccountId: everyday.AccountId, BeneficiaryId: `BEN${rng.digits(6)}`, BeneficiaryType: 'Trusted', Reference: 'RAINY DAY SAVINGS', CreditorAccount: creditor(savings.Nickname, savings.Account[0].Identification) },
+    { AccountId: everyday.AccountId, BeneficiaryId: `BEN${rng.digits(6)}`, BeneficiaryType: 'Ordinary', Reference: 'THANKS', CreditorAccount: family }
+  ];
+
+  const standingOrder = (reference, frequency, dayOfMonth, amount, creditorAccount) => ({
+    AccountId: everyday.AccountId,
+    StandingOrderId: `SO${rng.digits(8)}`,
+    Frequency: frequency,
+    Reference: reference,
+    FirstPaymentDateTime: obDateTime(monthlyOn(addDays(from, -400), addDays(from, -340), dayOfMonth)[0]),
+    NextPaymentDateTime: obDateTime(nextMonthly(day, dayOfMonth)),
+    LastPaymentDateTime: obDateTime(lastMonthly(day, dayOfMonth)),
+    StandingOrderStatusCode: 'Active',
+    FirstPaymentAmount: money(amount, 'GBP'),
+    NextPaymentAmount: money(amount, 'GBP'),
+    LastPaymentAmount: money(amount, 'GBP'),
+    CreditorAccount: creditorAccount
+  });
+  fixtures.standingOrders[everyday.AccountId] = [
+    standingOrder('OAKWOOD LETTINGS RENT', 'IntrvlMnthDay:01:01', 1, 1150, landlord),
+    standingOrder('RAINY DAY SAVINGS', 'IntrvlMnthDay:01:28', 28, 300, creditor(savings.Nickname, savings.Account[0].Identification))
+  ];
+
+  fixtures.scheduledPayments[everyday.AccountId] = [{
+    AccountId: everyday.AccountId,
+    ScheduledPaymentId: `SP${rng.digits(8)}`,
+    ScheduledPaymentDateTime: obDateTime(addDays(day, rng.int(5, 15))),
+    ScheduledType: 'Execution',
+    Reference: 'COUNCIL TAX',
+    InstructedAmount: money(rng.amount(120, 180), 'GBP'),
+    CreditorAccount: creditor('City Council')
+  }];
+  fixtures.scheduledPayments[travel.AccountId] = [{
+    AccountId: travel.AccountId,
+    ScheduledPaymentId: `SP${rng.digits(8)}`,
+    ScheduledPaymentDateTime: obDateTime(addDays(day, rng.int(16, 28))),
+    ScheduledType: 'Execution',
+    Reference: 'HOTEL DEPOSIT',
+    InstructedAmount: money(rng.amount(150, 300), 'EUR'),
+    CreditorAccount: { SchemeName: 'UK.OBIE.IBAN', Identification: greekIban(rng), Name: 'Electra Palace Hotel' }
+  }];
+
+  // Generated last so the data above stays the same for a given seed
+  fixtures.party = { ...fixtures.parties[everyday.AccountId], PartyId: `PTY${rng.digits(8)}` };
+  for (const account of accounts) {
+    fixtures.parties[account.AccountId].AccountRole = 'UK.OBIE.Principal';
+    fixtures.accountParties[account.AccountId] = [fixtures.parties[account.AccountId]];
+    fixtures.directDebits[account.AccountId] = [];
+    fixtures.offers[account.AccountId] = [];
+  }
+  fixtures.accountParties[savings.AccountId].push({
+    PartyId: `PTY${rng.digits(8)}`,
+    PartyNumber: rng.digits(10),
+    PartyType: 'Joint',
+    Name: family.Name,
+    FullLegalName: family.Name,
+    AccountRole: 'UK.OBIE.SecondaryOwner'
+  });
+
+  // Mandates behind the "DD ..." transactions, with the last collection each one made
+  fixtures.directDebits[everyday.AccountId] = DIRECT_DEBITS.map(debit => {
+    const previous = fixtures.transactions[everyday.AccountId].find(t => t.TransactionInformation === `DD ${debit.reference}`);
+    return {
+      AccountId: everyday.AccountId,
+      DirectDebitId: `DD${rng.digits(8)}`,
+      MandateIdentification: `${debit.reference.split(' ')[0]}-${rng.digits(6)}`,
+      DirectDebitStatusCode: 'Active',
+      Name: debit.name,
+      Frequency: `IntrvlMnthDay:01:${String(debit.day).padStart(2, '0')}`,
+      ...(previous && {
+        PreviousPaymentDateTime: previous.BookingDateTime,
+        PreviousPaymentAmount: previous.Amount
+      })
+    };
+  });
+
+  fixtures.products = {
+    [everyday.AccountId]: [{ AccountId: everyday.AccountId, ProductId: 'NBG-PCA-01', ProductName: 'NBG Everyday Current Account', ProductType: 'PersonalCurrentAccount' }],
+    [savings.AccountId]: [{ AccountId: savings.AccountId, ProductId: 'NBG-SAV-03', ProductName: 'NBG Easy Access Saver', ProductType: 'Other', OtherProductType: { Name: 'Savings', Description: 'Easy access savings account, variable rate' } }],
+    [travel.AccountId]: [{ AccountId: travel.AccountId, ProductId: 'NBG-FCA-EUR', ProductName: 'NBG Euro Currency Account', ProductType: 'Other', OtherProductType: { Name: 'ForeignCurrency', Description: 'Euro denominated current account' } }]
+  };
+
+  fixtures.offers[everyday.AccountId] = [{
+    AccountId: everyday.AccountId,
+    OfferId: `OFR${rng.digits(6)}`,
+    OfferType: 'LimitIncrease',
+    Description: 'Increase your arranged overdraft',
+    StartDateTime: obDateTime(addDays(day, -10)),
+    EndDateTime: obDateTime(addDays(day, 50)),
+    Amount: money(500, 'GBP')
+  }];
+  fixtures.offers[savings.AccountId] = [{
+    AccountId: savings.AccountId,
+    OfferId: `OFR${rng.digits(6)}`,
+    OfferType: 'PromotionalRate',
+    Description: 'Bonus rate on new deposits for 6 months',
+    StartDateTime: obDateTime(addDays(day, -3)),
+    EndDateTime: obDateTime(addDays(day, 27)),
+    Rate: '4.10',
+    Term: '6 months'
+  }];
+
+  return fixtures;
+}
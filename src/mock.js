@@ -0,0 +1,679 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { buildFixtures } from './mock-data.js';
+import { renderTextPdf } from './mock-pdf.js';
+import { AIS_PERMISSIONS } from './consents.js';
+
+export const DEFAULT_MOCK_PORT = 8800;
+export const DEFAULT_MOCK_PAGE_SIZE = 25;
+export const MOCK_SCENARIOS = ['unauthorized', 'forbidden', 'rate-limited', 'server-error', 'flaky'];
+
+const MAX_PAGE_SIZE = 100;
+
+const ACCOUNTS = ['ReadAccountsBasic', 'ReadAccountsDetail'];
+const BALANCES = ['ReadBalances'];
+const TRANSACTIONS = ['ReadTransactionsBasic', 'ReadTransactionsDetail'];
+const BENEFICIARIES = ['ReadBeneficiariesBasic', 'ReadBeneficiariesDetail'];
+const STANDING_ORDERS = ['ReadStandingOrdersBasic', 'ReadStandingOrdersDetail'];
+const SCHEDULED_PAYMENTS = ['ReadScheduledPaymentsBasic', 'ReadScheduledPaymentsDetail'];
+const STATEMENTS = ['ReadStatementsBasic', 'ReadStatementsDetail'];
+const STATEMENT_FILES = ['ReadStatementsDetail'];
+const PARTY = ['ReadParty', 'ReadPartyPSU'];
+const PARTY_PSU = ['ReadPartyPSU'];
+const DIRECT_DEBITS = ['ReadDirectDebits'];
+const PRODUCTS = ['ReadProducts'];
+const OFFERS = ['ReadOffers'];
+
+// ============================================================
+// Responses
+// ============================================================
+
+function obError(status, code, errorCode, message, path) {
+  const error = { ErrorCode: errorCode, Message: message };
+  if (path) error.Path = path;
+  return {
+    status,
+    body: {
+      Code: code,
+      Id: crypto.randomUUID(),
+      Message: message,
+      Errors: [error]
+    }
+  };
+}
+
+function notFound(message, path) {
+  return obError(404, '404 NotFound', 'UK.OBIE.NotFound', message, path);
+}
+
+function badRequest(errorCode, message, path) {
+  return obError(400, '400 BadRequest', errorCode, message, path);
+}
+
+function document(ctx, key, data, meta = {}) {
+  return {
+    status: 200,
+    body: { Data: { [key]: data }, Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1, ...meta } }
+  };
+}
+
+function paginate(ctx, key, items, meta = {}) {
+  const requested = parseInt(ctx.query.get('pageSize'), 10);
+  const size = Math.min(MAX_PAGE_SIZE, requested > 0 ? requested : ctx.pageSize);
+  const totalPages = Math.max(1, Math.ceil(items.length / size));
+  const page = ctx.query.has('page') ? parseInt(ctx.query.get('page'), 10) : 1;
+  if (!(page >= 1 && page <= totalPages)) {
+    return badRequest('UK.OBIE.Field.Invalid', `page must be between 1 and ${totalPages}`, 'page');
+  }
+
+  const link = (n) => {
+    const url = new URL(ctx.url);
+    url.searchParams.set('page', n);
+    return url.toString();
+  };
+  const links = { Self: link(page), First: link(1), Last: link(totalPages) };
+  if (page > 1) links.Prev = link(page - 1);
+  if (page < totalPages) links.Next = link(page + 1);
+
+  return {
+    status: 200,
+    body: {
+      Data: { [key]: items.slice((page - 1) * size, page * size) },
+      Links: links,
+      Meta: { TotalPages: totalPages, ...meta }
+    }
+  };
+}
+
+function dateParam(ctx, name) {
+  const value = ctx.query.get(name);
+  if (!value) return { value: null };
+  const time = Date.parse(value);
+  return Number.isNaN(time)
+    ? { error: badRequest('UK.OBIE.Field.InvalidDate', `${name} is not a valid ISO 8601 date-time`, name) }
+    : { value: time };
+}
+
+// ============================================================
+// Handlers
+// ============================================================
+
+function findAccount(ctx) {
+  return ctx.fixtures.accounts.find(a => a.AccountId === ctx.params.accountId);
+}
+
+function perAccount(key, resource) {
+  return (ctx) => {
+    if (!findAccount(ctx)) return notFound(`Account ${ctx.params.accountId} not found`, 'AccountId');
+    return document(ctx, key, ctx.fixtures[resource][ctx.params.accountId]);
+  };
+}
+
+function allAccounts(resource) {
+  return (ctx) => ctx.fixtures.accounts.flatMap(a => ctx.fixtures[resource][a.AccountId]);
+}
+
+function listTransactions(ctx, transactions) {
+  const from = dateParam(ctx, 'fromBookingDateTime');
+  const to = dateParam(ctx, 'toBookingDateTime');
+  if (from.error || to.error) return from.error || to.error;
+
+  const items = transactions
+    .filter(t => {
+      const time = Date.parse(t.BookingDateTime);
+      return (from.value == null || time >= from.value) && (to.value == null || time <= to.value);
+    })
+    .sort((a, b) => b.BookingDateTime.localeCompare(a.BookingDateTime));
+  const dates = transactions.map(t => t.BookingDateTime).sort();
+
+  return paginate(ctx, 'Transaction', items, {
+    FirstAvailableDateTime: dates[0],
+    LastAvailableDateTime: dates[dates.length - 1]
+  });
+}
+
+function listStatements(ctx, statements) {
+  const from = dateParam(ctx, 'fromStatementDateTime');
+  const to = dateParam(ctx, 'toStatementDateTime');
+  if (from.error || to.error) return from.error || to.error;
+
+  return paginate(ctx, 'Statement', statements.filter(s => {
+    return (from.value == null || Date.parse(s.EndDateTime) >= from.value)
+      && (to.value == null || Date.parse(s.StartDateTime) <= to.value);
+  }));
+}
+
+function findStatement(ctx) {
+  return (ctx.fixtures.statements[ctx.params.accountId] || []).find(s => s.StatementId === ctx.params.statementId);
+}
+
+function statementTransactions(ctx, statement) {
+  const start = Date.parse(statement.StartDateTime);
+  const end = Date.parse(statement.EndDateTime);
+  return ctx.fixtures.transactions[statement.AccountId]
+    .filter(t => t.Status === 'Booked' && Date.parse(t.BookingDateTime) >= start && Date.parse(t.BookingDateTime) <= end);
+}
+
+function withStatement(handler) {
+  return (ctx) => {
+    if (!findAccount(ctx)) return notFound(`Account ${ctx.params.accountId} not found`, 'AccountId');
+    const statement = findStatement(ctx);
+    if (!statement) return notFound(`Statement ${ctx.params.statementId} not found`, 'StatementId');
+    return handler(ctx, statement);
+  };
+}
+
+function statementLines(ctx, statement) {
+  const account = findAccount(ctx);
+  const amount = (type) => statement.StatementAmount.find(a => a.Type === type);
+  const signed = (a) => `${a.CreditDebitIndicator === 'Debit' ? '-' : ''}${a.Amount.Amount} ${a.Amount.Currency}`;
+  const lines = [
+    'National Bank of Greece (UK)',
+    '',
+    statement.StatementDescription[0],
+    `Account:   ${account.Nickname} (${account.Account[0].Identification})`,
+    `Holder:    ${account.Account[0].Name}`,
+    `Period:    ${statement.StartDateTime.slice(0, 10)} to ${statement.EndDateTime.slice(0, 10)}`,
+    `Reference: ${statement.StatementReference}`,
+    '',
+    `Opening balance: ${signed(amount('OpeningBalance'))}`,
+    `Total credits:   ${amount('TotalCredits').Amount.Amount}`,
+    `Total debits:    ${amount('TotalDebits').Amount.Amount}`,
+    `Closing balance: ${signed(amount('ClosingBalance'))}`,
+    '',
+    `${'Date'.padEnd(12)}${'Description'.padEnd(42)}${'Amount'.padStart(12)}${'Balance'.padStart(12)}`,
+    '-'.repeat(78)
+  ];
+  for (const t of [...statementTransactions(ctx, statement)].reverse()) {
+    const value = `${t.CreditDebitIndicator === 'Debit' ? '-' : ''}${t.Amount.Amount}`;
+    const balance = t.Balance ? `${t.Balance.CreditDebitIndicator === 'Debit' ? '-' : ''}${t.Balance.Amount.Amount}` : '';
+    lines.push(`${t.BookingDateTime.slice(0, 10).padEnd(12)}${String(t.TransactionInformation || '').slice(0, 40).padEnd(42)}${value.padStart(12)}${balance.padStart(12)}`);
+  }
+  return lines;
+}
+
+// Content negotiation on Accept: PDF by default, CSV of the statement's transactions, or the JSON statement
+function statementFile(ctx, statement) {
+  const accept = String(ctx.headers.accept || '*/*');
+  const wants = (type) => accept.split(',').some(part => {
+    const media = part.split(';')[0].trim();
+    return media === type || media === '*/*' || media === `${type.split('/')[0]}/*`;
+  });
+  const attachment = (ext) => `attachment; filename="statement-${statement.StatementId}.${ext}"`;
+
+  if (wants('application/pdf')) {
+    const pdf = renderTextPdf(statementLines(ctx, statement), { title: statement.StatementDescription[0] });
+    return { status: 200, raw: pdf, headers: { 'content-type': 'application/pdf', 'content-disposition': attachment('pdf') } };
+  }
+  if (wants('text/csv')) {
+    const rows = statementTransactions(ctx, statement).map(t => [t.BookingDateTime, `"${String(t.TransactionInformation || '').replace(/"/g, '""')}"`, t.CreditDebitIndicator, t.Amount.Amount, t.Amount.Currency].join(','));
+    const csv = ['BookingDateTime,TransactionInformation,CreditDebitIndicator,Amount,Currency', ...rows].join('\n') + '\n';
+    return { status: 200, raw: Buffer.from(csv), headers: { 'content-type': 'text/csv; charset=utf-8', 'content-disposition': attachment('csv') } };
+  }
+  if (wants('application/json')) {
+    return document(ctx, 'Statement', [statement]);
+  }
+  return obError(406, '406 NotAcceptable', 'UK.OBIE.Header.Invalid', `Statement files are available as application/pdf, text/csv or application/json, not ${accept}`, 'Accept');
+}
+
+function createConsent(ctx) {
+  const data = ctx.body?.Data;
+  if (!Array.isArray(data?.Permissions) || data.Permissions.length === 0) {
+    return badRequest('UK.OBIE.Field.Missing', 'Data.Permissions must list at least one permission', 'Data.Permissions');
+  }
+  const unknown = data.Permissions.filter(p => !AIS_PERMISSIONS.includes(p));
+  if (unknown.length) {
+    return badRequest('UK.OBIE.Field.Unexpected', `Unknown permission(s): ${unknown.join(', ')}`, 'Data.Permissions');
+  }
+
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, '+00:00');
+  // There is no PSU to redirect, so consents are authorised as soon as they are created
+  const consent = {
+    ConsentId: `aac-${crypto.randomUUID()}`,
+    Status: 'Authorised',
+    StatusUpdateDateTime: now,
+    CreationDateTime: now,
+    Permissions: data.Permissions,
+    ...(data.ExpirationDateTime && { ExpirationDateTime: data.ExpirationDateTime }),
+    ...(data.TransactionFromDateTime && { TransactionFromDateTime: data.TransactionFromDateTime }),
+    ...(data.TransactionToDateTime && { TransactionToDateTime: data.TransactionToDateTime })
+  };
+  ctx.consents.set(consent.ConsentId, consent);
+
+  const self = new URL(`${ctx.url.pathname}/${consent.ConsentId}`, ctx.url).toString();
+  return { status: 201, body: { Data: consent, Risk: {}, Links: { Self: self }, Meta: { TotalPages: 1 } } };
+}
+
+function getConsent(ctx) {
+  const consent = ctx.consents.get(ctx.params.consentId);
+  if (!consent) return notFound(`Consent ${ctx.params.consentId} not found`, 'ConsentId');
+  return { status: 200, body: { Data: consent, Risk: {}, Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1 } } };
+}
+
+function deleteConsent(ctx) {
+  const consent = ctx.consents.get(ctx.params.consentId);
+  if (!consent) return notFound(`Consent ${ctx.params.consentId} not found`, 'ConsentId');
+  consent.Status = 'Revoked';
+  consent.StatusUpdateDateTime = new Date().toISOString().replace(/\.\d{3}Z$/, '+00:00');
+  return { status: 204 };
+}
+
+function createSandbox(ctx) {
+  const sandboxId = ctx.body?.Data?.sandboxId || `sandbox-${crypto.randomUUID()}`;
+  return { status: 201, body: { Data: { sandboxId }, Links: { Self: ctx.url.toString() }, Meta: {} } };
+}
+
+// ============================================================
+// Payment initiation
+// ============================================================
+
+// Repeating a write with the same x-idempotency-key returns the first response instead of acting twice
+function idempotent(ctx, handler) {
+  const key = ctx.headers['x-idempotency-key'];
+  if (!key) return badRequest('UK.OBIE.Header.Missing', 'x-idempotency-key header is required', 'x-idempotency-key');
+
+  const slot = `${ctx.url.pathname} ${key}`;
+  const body = JSON.stringify(ctx.body);
+  const previous = ctx.pis.keys.get(slot);
+  if (previous) {
+    return previous.body === body
+      ? previous.result
+      : badRequest('UK.OBIE.Header.Invalid', 'x-idempotency-key was already used for a different request', 'x-idempotency-key');
+  }
+
+  const result = handler(ctx);
+  // A replay answers with the response as first sent, not the resource as it is now
+  if (result.status < 400) ctx.pis.keys.set(slot, { body, result: structuredClone(result) });
+  return result;
+}
+
+function obNow() {
+  return new Date().toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function createPaymentConsent(scheduled) {
+  return (ctx) => idempotent(ctx, () => {
+    const initiation = ctx.body?.Data?.Initiation;
+    const missing = ['InstructionIdentification', 'EndToEndIdentification', 'InstructedAmount', 'CreditorAccount', ...(scheduled ? ['RequestedExecutionDateTime'] : [])]
+      .find(field => !initiation?.[field]);
+    if (missing) return badRequest('UK.OBIE.Field.Missing', `Data.Initiation.${missing} is required`, `Data.Initiation.${missing}`);
+    if (scheduled && ctx.body.Data.Permission !== 'Create') {
+      return badRequest('UK.OBIE.Field.Invalid', 'Data.Permission must be Create', 'Data.Permission');
+    }
+
+    const now = obNow();
+    // As with account access consents, there is no PSU to redirect, so payment consents are authorised at once
+    const consent = {
+      ConsentId: `${scheduled ? 'sdpc' : 'pdc'}-${crypto.randomUUID()}`,
+      CreationDateTime: now,
+      Status: 'Authorised',
+      StatusUpdateDateTime: now,
+      ...(scheduled && { Permission: 'Create' }),
+      Initiation: initiation
+    };
+    ctx.pis.consents.set(consent.ConsentId, { consent, risk: ctx.body.Risk || {}, scheduled });
+
+    const self = new URL(`${ctx.url.pathname}/${consent.ConsentId}`, ctx.url).toString();
+    return { status: 201, body: { Data: consent, Risk: ctx.body.Risk || {}, Links: { Self: self }, Meta: { TotalPages: 1 } } };
+  });
+}
+
+function getPaymentConsent(scheduled) {
+  return (ctx) => {
+    const entry = ctx.pis.consents.get(ctx.params.consentId);
+    if (!entry || entry.scheduled !== scheduled) return notFound(`Payment consent ${ctx.params.consentId} not found`, 'ConsentId');
+    return { status: 200, body: { Data: entry.consent, Risk: entry.risk, Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1 } } };
+  };
+}
+
+// Immediate payments settle a couple of seconds after submission; scheduled ones on their execution date
+function paymentStatus(entry) {
+  if (entry.scheduled) {
+    return Date.parse(entry.payment.Initiation.RequestedExecutionDateTime) <= Date.now() ? 'InitiationCompleted' : 'InitiationPending';
+  }
+  return Date.now() - entry.submittedAt >= 2000 ? 'AcceptedSettlementCompleted' : 'AcceptedSettlementInProcess';
+}
+
+function paymentView(entry) {
+  const status = paymentStatus(entry);
+  if (status !== entry.payment.Status) {
+    entry.payment.Status = status;
+    entry.payment.StatusUpdateDateTime = obNow();
+  }
+  return entry.payment;
+}
+
+function createPayment(scheduled) {
+  return (ctx) => idempotent(ctx, () => {
+    const data = ctx.body?.Data;
+    const entry = ctx.pis.consents.get(data?.ConsentId);
+    if (!entry || entry.scheduled !== scheduled) {
+      return badRequest('UK.OBIE.Resource.NotFound', `Payment consent ${data?.ConsentId} not found`, 'Data.ConsentId');
+    }
+    if (entry.consent.Status !== 'Authorised') {
+      return badRequest('UK.OBIE.Resource.InvalidConsentStatus', `Payment consent is ${entry.consent.Status}, not Authorised`, 'Data.ConsentId');
+    }
+    if (JSON.stringify(data.Initiation) !== JSON.stringify(entry.consent.Initiation)) {
+      return badRequest('UK.OBIE.Resource.ConsentMismatch', 'Data.Initiation does not match the consent', 'Data.Initiation');
+    }
+
+    const now = obNow();
+    entry.consent.Status = 'Consumed';
+    entry.consent.StatusUpdateDateTime = now;
+
+    const idKey = scheduled ? 'DomesticScheduledPaymentId' : 'DomesticPaymentId';
+    const payment = {
+      [idKey]: `${scheduled ? 'dsp' : 'dp'}-${crypto.randomUUID()}`,
+      ConsentId: data.ConsentId,
+      CreationDateTime: now,
+      Status: scheduled ? 'InitiationPending' : 'AcceptedSettlementInProcess',
+      StatusUpdateDateTime: now,
+      Initiation: data.Initiation
+    };
+    ctx.pis.payments.set(payment[idKey], { payment, scheduled, submittedAt: Date.now() });
+
+    const self = new URL(`${ctx.url.pathname}/${payment[idKey]}`, ctx.url).toString();
+    return { status: 201, body: { Data: payment, Links: { Self: self }, Meta: { TotalPages: 1 } } };
+  });
+}
+
+function findPayment(ctx, scheduled) {
+  const entry = ctx.pis.payments.get(ctx.params.paymentId);
+  return entry && entry.scheduled === scheduled ? entry : null;
+}
+
+function getPayment(scheduled) {
+  return (ctx) => {
+    const entry = findPayment(ctx, scheduled);
+    if (!entry) return notFound(`Payment ${ctx.params.paymentId} not found`, 'PaymentId');
+    return { status: 200, body: { Data: paymentView(entry), Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1 } } };
+  };
+}
+
+function getPaymentDetails(scheduled) {
+  return (ctx) => {
+    const entry = findPayment(ctx, scheduled);
+    if (!entry) return notFound(`Payment ${ctx.params.paymentId} not found`, 'PaymentId');
+
+    const payment = paymentView(entry);
+    const settled = ['AcceptedSettlementCompleted', 'InitiationCompleted'].includes(payment.Status);
+    const detail = {
+      PaymentTransactionId: `${ctx.params.paymentId}-1`,
+      Status: settled ? 'Accepted' : 'Pending',
+      StatusUpdateDateTime: payment.StatusUpdateDateTime,
+      StatusDetail: {
+        LocalInstrument: 'UK.OBIE.FPS',
+        Status: payment.Status,
+        ...(!settled && { StatusReason: 'Pending', StatusReasonDescription: scheduled ? 'Waiting for the execution date' : 'Settlement in progress' })
+      }
+    };
+    return { status: 200, body: { Data: { PaymentStatus: [detail] }, Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1 } } };
+  };
+}
+
+// ============================================================
+// Confirmation of funds
+// ============================================================
+
+function findDebtorAccount(ctx, debtor) {
+  return ctx.fixtures.accounts.find(a => a.Account.some(id => id.SchemeName === debtor.SchemeName && id.Identification === debtor.Identification));
+}
+
+function createFundsConsent(ctx) {
+  const data = ctx.body?.Data;
+  if (!data?.DebtorAccount?.SchemeName || !data.DebtorAccount.Identification) {
+    return badRequest('UK.OBIE.Field.Missing', 'Data.DebtorAccount.SchemeName and Identification are required', 'Data.DebtorAccount');
+  }
+  if (!findDebtorAccount(ctx, data.DebtorAccount)) {
+    return badRequest('UK.OBIE.Unsupported.AccountIdentifier', 'Data.DebtorAccount is not an account held here', 'Data.DebtorAccount');
+  }
+
+  const now = obNow();
+  // Authorised at once, like every other mock consent
+  const consent = {
+    ConsentId: `fcc-${crypto.randomUUID()}`,
+    CreationDateTime: now,
+    Status: 'Authorised',
+    StatusUpdateDateTime: now,
+    ...(data.ExpirationDateTime && { ExpirationDateTime: data.ExpirationDateTime }),
+    DebtorAccount: data.DebtorAccount
+  };
+  ctx.funds.set(consent.ConsentId, consent);
+
+  const self = new URL(`${ctx.url.pathname}/${consent.ConsentId}`, ctx.url).toString();
+  return { status: 201, body: { Data: consent, Links: { Self: self }, Meta: { TotalPages: 1 } } };
+}
+
+function getFundsConsent(ctx) {
+  const consent = ctx.funds.get(ctx.params.consentId);
+  if (!consent) return notFound(`Funds confirmation consent ${ctx.params.consentId} not found`, 'ConsentId');
+  return { status: 200, body: { Data: consent, Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1 } } };
+}
+
+function deleteFundsConsent(ctx) {
+  const consent = ctx.funds.get(ctx.params.consentId);
+  if (!consent) return notFound(`Funds confirmation consent ${ctx.params.consentId} not found`, 'ConsentId');
+  consent.Status = 'Revoked';
+  consent.StatusUpdateDateTime = obNow();
+  return { status: 204 };
+}
+
+// Funds are available when the available balance plus any arranged overdraft covers the amount
+function createFundsConfirmation(ctx) {
+  const data = ctx.body?.Data;
+  const consent = ctx.funds.get(data?.ConsentId);
+  if (!consent) return badRequest('UK.OBIE.Resource.NotFound', `Funds confirmation consent ${data?.ConsentId} not found`, 'Data.ConsentId');
+  if (consent.Status !== 'Authorised') {
+    return obError(403, '403 Forbidden', 'UK.OBIE.Resource.InvalidConsentStatus', `Funds confirmation consent is ${consent.Status}, not Authorised`, 'Data.ConsentId');
+  }
+  if (consent.ExpirationDateTime && Date.parse(consent.ExpirationDateTime) <= Date.now()) {
+    return obError(403, '403 Forbidden', 'UK.OBIE.Resource.InvalidConsentStatus', 'Funds confirmation consent has expired', 'Data.ConsentId');
+  }
+  if (!data.Reference) return badRequest('UK.OBIE.Field.Missing', 'Data.Reference is required', 'Data.Reference');
+  const amount = Number(data.InstructedAmount?.Amount);
+  if (!(amount > 0)) return badRequest('UK.OBIE.Field.Invalid', 'Data.InstructedAmount.Amount must be a positive amount', 'Data.InstructedAmount.Amount');
+
+  const account = findDebtorAccount(ctx, consent.DebtorAccount);
+  if (data.InstructedAmount.Currency !== account.Currency) {
+    return badRequest('UK.OBIE.Field.Invalid', `The account is held in ${account.Currency}`, 'Data.InstructedAmount.Currency');
+  }
+  const balance = ctx.fixtures.balances[account.AccountId].find(b => b.Type === 'InterimAvailable');
+  const available = Number(balance.Amount.Amount) * (balance.CreditDebitIndicator === 'Debit' ? -1 : 1)
+    + (balance.CreditLine || []).filter(line => !line.Included).reduce((sum, line) => sum + Number(line.Amount.Amount), 0);
+
+  const confirmation = {
+    FundsConfirmationId: `fc-${crypto.randomUUID()}`,
+    ConsentId: consent.ConsentId,
+    CreationDateTime: obNow(),
+    FundsAvailable: available >= amount,
+    Reference: data.Reference,
+    InstructedAmount: data.InstructedAmount
+  };
+  const self = new URL(`${ctx.url.pathname}/${confirmation.FundsConfirmationId}`, ctx.url).toString();
+  return { status: 201, body: { Data: confirmation, Links: { Self: self }, Meta: { TotalPages: 1 } } };
+}
+
+// ============================================================
+// Routes
+// ============================================================
+
+// [method, path, handler, permissions (any of)]
+const ROUTES = [
+  ['POST', '/account-access-consents', createConsent],
+  ['GET', '/account-access-consents/:consentId', getConsent],
+  ['DELETE', '/account-access-consents/:consentId', deleteConsent],
+  ['GET', '/accounts', (ctx) => document(ctx, 'Account', ctx.fixtures.accounts), ACCOUNTS],
+  ['GET', '/accounts/:accountId', (ctx) => {
+    const account = findAccount(ctx);
+    return account ? document(ctx, 'Account', [account]) : notFound(`Account ${ctx.params.accountId} not found`, 'AccountId');
+  }, ACCOUNTS],
+  ['GET', '/balances', (ctx) => paginate(ctx, 'Balance', allAccounts('balances')(ctx)), BALANCES],
+  ['GET', '/accounts/:accountId/balances', (ctx) => {
+    if (!findAccount(ctx)) return notFound(`Account ${ctx.params.accountId} not found`, 'AccountId');
+    return paginate(ctx, 'Balance', ctx.fixtures.balances[ctx.params.accountId]);
+  }, BALANCES],
+  ['GET', '/transactions', (ctx) => listTransactions(ctx, allAccounts('transactions')(ctx)), TRANSACTIONS],
+  ['GET', '/accounts/:accountId/transactions', (ctx) => {
+    if (!findAccount(ctx)) return notFound(`Account ${ctx.params.accountId} not found`, 'AccountId');
+    return listTransactions(ctx, ctx.fixtures.transactions[ctx.params.accountId]);
+  }, TRANSACTIONS],
+  ['GET', '/beneficiaries', (ctx) => document(ctx, 'Beneficiary', allAccounts('beneficiaries')(ctx)), BENEFICIARIES],
+  ['GET', '/accounts/:accountId/beneficiaries', perAccount('Beneficiary', 'beneficiaries'), BENEFICIARIES],
+  ['GET', '/standing-orders', (ctx) => document(ctx, 'StandingOrder', allAccounts('standingOrders')(ctx)), STANDING_ORDERS],
+  ['GET', '/accounts/:accountId/standing-orders', perAccount('StandingOrder', 'standingOrders'), STANDING_ORDERS],
+  ['GET', '/scheduled-payments', (ctx) => document(ctx, 'ScheduledPayment', allAccounts('scheduledPayments')(ctx)), SCHEDULED_PAYMENTS],
+  ['GET', '/accounts/:accountId/scheduled-payments', perAccount('ScheduledPayment', 'scheduledPayments'), SCHEDULED_PAYMENTS],
+  ['GET', '/accounts/:accountId/direct-debits', perAccount('DirectDebit', 'directDebits'), DIRECT_DEBITS],
+  ['GET', '/accounts/:accountId/product', perAccount('Product', 'products'), PRODUCTS],
+  ['GET', '/accounts/:accountId/offers', perAccount('Offer', 'offers'), OFFERS],
+  ['GET', '/accounts/:accountId/statements', (ctx) => {
+    if (!findAccount(ctx)) return notFound(`Account ${ctx.params.accountId} not found`, 'AccountId');
+    return listStatements(ctx, ctx.fixtures.statements[ctx.params.accountId]);
+  }, STATEMENTS],
+  ['GET', '/accounts/:accountId/statements/:statementId', withStatement((ctx, statement) => document(ctx, 'Statement', [statement])), STATEMENTS],
+  ['GET', '/accounts/:accountId/statements/:statementId/transactions', withStatement((ctx, statement) => paginate(ctx, 'Transaction', statementTransactions(ctx, statement))), TRANSACTIONS],
+  ['GET', '/accounts/:accountId/statements/:statementId/file', withStatement(statementFile), STATEMENT_FILES],
+  ['GET', '/accounts/:accountId/party', (ctx) => {
+    if (!findAccount(ctx)) return notFound(`Account ${ctx.params.accountId} not found`, 'AccountId');
+    return { status: 200, body: { Data: { Party: ctx.fixtures.parties[ctx.params.accountId] }, Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1 } } };
+  }, PARTY],
+  ['GET', '/accounts/:accountId/parties', perAccount('Party', 'accountParties'), PARTY],
+  ['GET', '/party', (ctx) => ({ status: 200, body: { Data: { Party: ctx.fixtures.party }, Links: { Self: ctx.url.toString() }, Meta: { TotalPages: 1 } } }), PARTY_PSU],
+  ['POST', '/domestic-payment-consents', createPaymentConsent(false)],
+  ['GET', '/domestic-payment-consents/:consentId', getPaymentConsent(false)],
+  ['POST', '/domestic-payments', createPayment(false)],
+  ['GET', '/domestic-payments/:paymentId', getPayment(false)],
+  ['GET', '/domestic-payments/:paymentId/payment-details', getPaymentDetails(false)],
+  ['POST', '/domestic-scheduled-payment-consents', createPaymentConsent(true)],
+  ['GET', '/domestic-scheduled-payment-consents/:consentId', getPaymentConsent(true)],
+  ['POST', '/domestic-scheduled-payments', createPayment(true)],
+  ['GET', '/domestic-scheduled-payments/:paymentId', getPayment(true)],
+  ['GET', '/domestic-scheduled-payments/:paymentId/payment-details', getPaymentDetails(true)],
+  ['POST', '/funds-confirmation-consents', createFundsConsent],
+  ['GET', '/funds-confirmation-consents/:consentId', getFundsConsent],
+  ['DELETE', '/funds-confirmation-consents/:consentId', deleteFundsConsent],
+  ['POST', '/funds-confirmations', createFundsConfirmation],
+  ['POST', '/sandbox', createSandbox]
+].map(([method, path, handler, permissions]) => ({
+  method,
+  pattern: new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}/?$`),
+  handler,
+  permissions
+}));
+
+// ============================================================
+// Server
+// ============================================================
+
+function scenarioResponse(scenario, state) {
+  switch (scenario) {
+    case 'unauthorized':
+      return obError(401, '401 Unauthorized', 'UK.OBIE.Unauthorized', 'The access token is missing, expired or invalid');
+    case 'forbidden':
+      return obError(403, '403 Forbidden', 'UK.OBIE.Resource.InvalidConsentStatus', 'The consent is not in an authorised state');
+    case 'rate-limited':
+      return { ...obError(429, '429 TooManyRequests', 'UK.OBIE.RateLimited', 'Too many requests'), headers: { 'retry-after': '2' } };
+    case 'server-error':
+      return obError(500, '500 InternalServerError', 'UK.OBIE.UnexpectedError', 'Something went wrong');
+    case 'flaky':
+      // Every other request fails, so a client with retries still gets through
+      state.flaky = (state.flaky || 0) + 1;
+      return state.flaky % 2 ? { ...obError(503, '503 ServiceUnavailable', 'UK.OBIE.UnexpectedError', 'Service temporarily unavailable'), headers: { 'retry-after': '1' } } : null;
+    default:
+      return null;
+  }
+}
+
+// When consents have been created, data routes need an authorised one that grants their permission
+function consentResponse(route, consents) {
+  if (!route.permissions || consents.size === 0) return null;
+  const granted = [...consents.values()]
+    .filter(c => c.Status === 'Authorised')
+    .some(c => route.permissions.some(p => c.Permissions.includes(p)));
+  return granted ? null : obError(403, '403 Forbidden', 'UK.OBIE.Resource.ConsentMismatch', `No authorised consent grants ${route.permissions.join(' or ')}`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+// Serves seeded v3.1.5 fixtures for every route the CLI calls. `scenario` forces an error on
+// every request; a request can also pick one with the x-mock-scenario header.
+export function createMockServer({ seed = 1, today = new Date(), pageSize = DEFAULT_MOCK_PAGE_SIZE, latency = 0, scenario, onRequest } = {}) {
+  const fixtures = buildFixtures({ seed, today });
+  const consents = new Map();
+  const pis = { consents: new Map(), payments: new Map(), keys: new Map() };
+  const funds = new Map();
+  const state = {};
+
+  const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const interactionId = req.headers['x-fapi-interaction-id'] || crypto.randomUUID();
+    let result;
+
+    try {
+      const raw = await readBody(req);
+      if (latency) await new Promise(resolve => setTimeout(resolve, latency));
+
+      let body = null;
+      if (raw) {
+        try {
+          body = JSON.parse(raw);
+        } catch {
+          result = badRequest('UK.OBIE.Field.Invalid', 'Request body is not valid JSON');
+        }
+      }
+
+      const route = ROUTES.find(r => r.pattern.test(url.pathname) && r.method === req.method);
+      const known = ROUTES.some(r => r.pattern.test(url.pathname));
+
+      if (!result) result = scenarioResponse(req.headers['x-mock-scenario'] || scenario, state);
+      if (!result && !route) {
+        result = known
+          ? obError(405, '405 MethodNotAllowed', 'UK.OBIE.UnsupportedMethod', `${req.method} is not supported on ${url.pathname}`)
+          : notFound(`No such resource: ${url.pathname}`);
+      }
+      if (!result) result = consentResponse(route, consents);
+      if (!result) {
+        result = route.handler({
+          url,
+          query: url.searchParams,
+          params: url.pathname.match(route.pattern).groups || {},
+          body,
+          headers: req.headers,
+          fixtures,
+          consents,
+          pis,
+          funds,
+          pageSize
+        });
+      }
+    } catch (error) {
+      result = obError(500, '500 InternalServerError', 'UK.OBIE.UnexpectedError', error.message);
+    }
+
+    const headers = { 'x-fapi-interaction-id': interactionId, ...result.headers };
+    if (result.raw) {
+      headers['content-length'] = result.raw.length;
+      res.writeHead(result.status, headers);
+      res.end(result.raw);
+    } else {
+      if (result.body !== undefined) headers['content-type'] = 'application/json; charset=utf-8';
+      res.writeHead(result.status, headers);
+      res.end(result.body !== undefined ? JSON.stringify(result.body) : undefined);
+    }
+
+    if (onRequest) {
+      onRequest({ method: req.method, path: url.pathname + url.search, status: result.status, ms: Date.now() - started });
+    }
+  });
+
+  return { server, fixtures };
+}
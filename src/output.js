@@ -0,0 +1,255 @@
+import chalk from 'chalk';
+import { CliError } from './errors.js';
+import { getPath } from './filters.js';
+import { csvCell } from './export.js';
+import { compileQuery } from './query.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv', 'yaml'];
+
+// Table cells longer than this are cut with an ellipsis unless --no-truncate is given
+const MAX_CELL_WIDTH = 50;
+
+const settings = {
+  format: 'table',
+  fields: null,
+  query: null,
+  truncate: true
+};
+
+// --fields accepts a.b.c, a.b[0].c and a.b.0.c
+function parseFields(value) {
+  const fields = String(value).split(',').map(f => f.trim().replace(/\[(\d+)\]/g, '.$1').replace(/^\./, '')).filter(Boolean);
+  if (fields.length === 0) throw new CliError('--fields needs at least one field path', 'validation');
+  return fields;
+}
+
+// Applies the global output options. Returns true when the command should hand its raw data to
+// printData instead of drawing its own table, i.e. for any format but the default table, or when
+// --fields/--query reshape the data.
+export function configureOutput({ output, json, fields, query, truncate = true, color = true }) {
+  if (output && !OUTPUT_FORMATS.includes(output)) {
+    throw new CliError(`--output must be one of: ${OUTPUT_FORMATS.join(', ')}`, 'validation');
+  }
+  settings.format = output || (json || query ? 'json' : 'table');
+  settings.fields = fields ? parseFields(fields) : null;
+  settings.query = query ? compileQuery(query) : null;
+  settings.truncate = truncate;
+
+  // chalk already turns colour off when stdout is not a terminal; NO_COLOR and --no-color do the same anywhere
+  if (!color || process.env.NO_COLOR || (!process.stdout.isTTY && !process.env.FORCE_COLOR)) {
+    chalk.level = 0;
+  }
+
+  return isStructured();
+}
+
+export function isStructured() {
+  return settings.format !== 'table' || !!settings.fields || !!settings.query;
+}
+
+export function getOutputFormat() {
+  return settings.format;
+}
+
+// ============================================================
+// Records
+// ============================================================
+
+// The rows of a result: the items of an array, the single list inside an OB document's Data
+// (Data.Transaction, Data.Account, ...), or the value itself
+function toRecords(value) {
+  if (value === undefined) return [];
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object' && value.Data && typeof value.Data === 'object' && !Array.isArray(value.Data)) {
+    const entries = Object.values(value.Data);
+    const lists = entries.filter(Array.isArray);
+    if (lists.length === 1) return lists[0];
+    if (entries.length === 1 && entries[0] && typeof entries[0] === 'object') return [entries[0]];
+    return [value.Data];
+  }
+  return [value];
+}
+
+// Nested objects become dot paths; arrays are indexed (Account.0.Identification)
+function flatten(value, prefix = '', row = {}) {
+  if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, row));
+  } else {
+    row[prefix || 'value'] = value;
+  }
+  return row;
+}
+
+function project(record, fields) {
+  return Object.fromEntries(fields.map(field => [field, getPath(record, field) ?? null]));
+}
+
+function toRows(records) {
+  return records.map(record => (settings.fields ? project(record, settings.fields) : flatten(record)));
+}
+
+function columnsOf(rows) {
+  const keys = settings.fields ? [...settings.fields] : [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return keys.map(key => ({ key, label: key }));
+}
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// ============================================================
+// Formats
+// ============================================================
+
+function toCsv(rows, header = true) {
+  const keys = columnsOf(rows).map(c => c.key);
+  const lines = rows.map(row => keys.map(key => csvCell(cell(row[key]))).join(','));
+  return (header ? [keys.map(csvCell).join(','), ...lines] : lines).join('\n');
+}
+
+const YAML_RESERVED = /^(true|false|yes|no|on|off|null|~|y|n)$/i;
+
+function yamlString(value) {
+  const plain = /^[A-Za-z_/][\w ./@+-]*$/.test(value)
+    && !YAML_RESERVED.test(value)
+    && !value.endsWith(' ')
+    && !/: |\s#/.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return yamlString(value);
+  return String(value);
+}
+
+function isNested(value) {
+  return value && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+export function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return value.map(item => {
+      if (!isNested(item)) return `${indent}- ${yamlEmpty(item)}`;
+      // The first key of an object item sits on the dash line
+      const body = toYaml(item, `${indent}  `);
+      return `${indent}- ${body.slice(indent.length + 2)}`;
+    }).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return entries.map(([key, child]) => (isNested(child)
+      ? `${indent}${yamlString(key)}:\n${toYaml(child, `${indent}  `)}`
+      : `${indent}${yamlString(key)}: ${yamlEmpty(child)}`)).join('\n');
+  }
+  return yamlScalar(value);
+}
+
+function yamlEmpty(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value && typeof value === 'object') return '{}';
+  return yamlScalar(value);
+}
+
+// ============================================================
+// Printing
+// ============================================================
+
+function visibleLength(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '').length;
+}
+
+function fit(text, width) {
+  if (visibleLength(text) <= width) return text + ' '.repeat(width - visibleLength(text));
+  const plain = text.replace(/\u001b\[[0-9;]*m/g, '');
+  return `${plain.slice(0, width - 1)}…`;
+}
+
+export function printTable(data, columns) {
+  if (!data || data.length === 0) {
+    console.log(chalk.yellow('No results found.'));
+    return;
+  }
+
+  const text = (col, row) => cell(col.format ? col.format(row[col.key], row) : row[col.key]);
+  const widths = {};
+  columns.forEach(col => {
+    widths[col.key] = Math.max(col.label.length, ...data.map(row => visibleLength(text(col, row))));
+    if (settings.truncate) widths[col.key] = Math.min(widths[col.key], MAX_CELL_WIDTH);
+  });
+
+  const header = columns.map(col => fit(col.label, widths[col.key])).join('  ');
+  console.log(chalk.bold(chalk.cyan(header)));
+  console.log(chalk.dim('─'.repeat(visibleLength(header))));
+
+  data.forEach(row => {
+    console.log(columns.map(col => fit(text(col, row), widths[col.key])).join('  '));
+  });
+
+  console.log(chalk.dim(`\n${data.length} result(s)`));
+}
+
+// Pretty JSON, for request bodies and other output that is JSON whatever --output says
+export function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+export function applyQuery(data) {
+  return settings.query ? settings.query(data) : [data];
+}
+
+// Prints a command's data in the chosen --output format, after --query and --fields
+export function printData(data) {
+  const results = applyQuery(data);
+
+  if (settings.fields || ['table', 'csv', 'ndjson'].includes(settings.format)) {
+    const records = results.flatMap(toRecords);
+    if (settings.format === 'ndjson') {
+      records.forEach(record => console.log(JSON.stringify(settings.fields ? project(record, settings.fields) : record)));
+    } else if (settings.format === 'json') {
+      printJson(records.map(record => project(record, settings.fields)));
+    } else if (settings.format === 'yaml') {
+      console.log(toYaml(records.map(record => project(record, settings.fields))));
+    } else {
+      const rows = toRows(records);
+      if (settings.format === 'csv') {
+        if (rows.length) console.log(toCsv(rows));
+      } else {
+        printTable(rows, columnsOf(rows));
+      }
+    }
+    return;
+  }
+
+  // Like jq, each result of --query is printed on its own
+  results.forEach(result => {
+    if (settings.format === 'yaml') {
+      console.log(results.length > 1 ? `---\n${toYaml(result)}` : toYaml(result));
+    } else {
+      printJson(result);
+    }
+  });
+}
+
+// For output that arrives in pieces (--stream pages, transactions watch): one line per record for
+// ndjson, one compact JSON line per result otherwise. CSV prints its header with the first piece.
+let csvHeaderPrinted = false;
+
+export function printDataLine(data) {
+  const results = applyQuery(data);
+  if (settings.format === 'ndjson' || settings.format === 'csv' || settings.fields) {
+    const records = results.flatMap(toRecords);
+    if (settings.format === 'csv') {
+      const rows = toRows(records);
+      if (rows.length) console.log(toCsv(rows, !csvHeaderPrinted));
+      csvHeaderPrinted = csvHeaderPrinted || rows.length > 0;
+      return;
+    }
+    records.forEach(record => console.log(JSON.stringify(settings.fields ? project(record, settings.fields) : record)));
+    return;
+  }
+  results.forEach(result => console.log(JSON.stringify(result)));
+}
@@ -0,0 +1,129 @@
+import crypto from 'node:crypto';
+import { CliError } from './errors.js';
+
+export const PAYMENT_CONTEXT_CODES = ['BillPayment', 'EcommerceGoods', 'EcommerceServices', 'Other', 'PartyToParty'];
+
+// OB Max35Text fields
+const MAX_REFERENCE = 35;
+const MAX_IDENTIFICATION = 35;
+
+// Statuses after which a payment will not change any more
+export const FINAL_PAYMENT_STATUSES = ['AcceptedSettlementCompleted', 'AcceptedCreditSettlementCompleted', 'Rejected', 'InitiationCompleted', 'InitiationFailed', 'Cancelled'];
+
+function text(value, name, max) {
+  const result = String(value ?? '').trim();
+  if (result.length > max) {
+    throw new CliError(`${name} must be at most ${max} characters`, 'validation');
+  }
+  return result;
+}
+
+function creditorAccount(options) {
+  const name = text(options.toName, '--to-name', 350);
+  if (!name) throw new CliError('--to-name is required', 'validation');
+
+  if (options.toIban) {
+    const iban = options.toIban.replace(/\s+/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+      throw new CliError('--to-iban is not a valid IBAN', 'validation');
+    }
+    return { SchemeName: 'UK.OBIE.IBAN', Identification: iban, Name: name };
+  }
+
+  const sortCode = String(options.toSortCode || '').replace(/[\s-]/g, '');
+  const account = String(options.toAccount || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(sortCode) || !/^\d{8}$/.test(account)) {
+    throw new CliError('Give the creditor as --to-sort-code (6 digits) and --to-account (8 digits), or --to-iban', 'validation');
+  }
+  return { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: sortCode + account, Name: name };
+}
+
+export function buildInstructedAmount(options) {
+  const amount = String(options.amount || '').trim();
+  if (!/^\d{1,13}(\.\d{1,5})?$/.test(amount) || Number(amount) <= 0) {
+    throw new CliError('--amount must be a positive number such as 125.00', 'validation');
+  }
+  const currency = String(options.currency || 'GBP').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw new CliError('--currency must be a 3-letter ISO 4217 code', 'validation');
+  }
+  // Two decimals unless more were given, so 125 and 125.00 are the same payment
+  return { Amount: amount.includes('.') && amount.split('.')[1].length > 2 ? amount : Number(amount).toFixed(2), Currency: currency };
+}
+
+function executionDate(value, now) {
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new CliError('--execute-on must be a date (YYYY-MM-DD) or ISO 8601 date-time', 'validation');
+  }
+  if (date.getTime() <= now.getTime()) {
+    throw new CliError('--execute-on must be in the future', 'validation');
+  }
+  return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function generatedIdentification() {
+  return crypto.randomUUID().replace(/-/g, '').slice(0, MAX_IDENTIFICATION);
+}
+
+// Builds the OB Initiation block from CLI options. With executeOn it is a scheduled payment.
+export function buildDomesticInitiation(options, now = new Date()) {
+  const reference = text(options.reference, '--reference', MAX_REFERENCE);
+  if (!reference) throw new CliError('--reference is required', 'validation');
+
+  const initiation = {
+    InstructionIdentification: text(options.instructionId || generatedIdentification(), '--instruction-id', MAX_IDENTIFICATION),
+    EndToEndIdentification: text(options.endToEndId || reference, '--end-to-end-id', MAX_IDENTIFICATION),
+    InstructedAmount: buildInstructedAmount(options),
+    CreditorAccount: creditorAccount(options),
+    RemittanceInformation: { Reference: reference }
+  };
+  if (options.executeOn) {
+    initiation.RequestedExecutionDateTime = executionDate(options.executeOn, now);
+  }
+  return initiation;
+}
+
+export function buildRisk(options) {
+  const context = options.context || 'PartyToParty';
+  if (!PAYMENT_CONTEXT_CODES.includes(context)) {
+    throw new CliError(`--context must be one of: ${PAYMENT_CONTEXT_CODES.join(', ')}`, 'validation');
+  }
+  return { PaymentContextCode: context };
+}
+
+export function isScheduled(initiation) {
+  return !!initiation?.RequestedExecutionDateTime;
+}
+
+export function buildPaymentConsentRequest(initiation, risk) {
+  const data = { Initiation: initiation };
+  if (isScheduled(initiation)) data.Permission = 'Create';
+  return { Data: data, Risk: risk };
+}
+
+// The payment must repeat the consent's Initiation and Risk exactly, so both are copied from it
+export function buildPaymentRequest(consent) {
+  return {
+    Data: { ConsentId: consent.Data.ConsentId, Initiation: consent.Data.Initiation },
+    Risk: consent.Risk || {}
+  };
+}
+
+// Lines for the confirmation prompt and --dry-run
+export function describeInitiation(initiation) {
+  const creditor = initiation.CreditorAccount || {};
+  const identification = creditor.SchemeName === 'UK.OBIE.SortCodeAccountNumber'
+    ? `${creditor.Identification.slice(0, 2)}-${creditor.Identification.slice(2, 4)}-${creditor.Identification.slice(4, 6)} ${creditor.Identification.slice(6)}`
+    : creditor.Identification;
+
+  return [
+    ['Creditor', creditor.Name],
+    ['Account', identification],
+    ['Amount', `${initiation.InstructedAmount.Amount} ${initiation.InstructedAmount.Currency}`],
+    ['Reference', initiation.RemittanceInformation?.Reference],
+    ['Execution', isScheduled(initiation) ? initiation.RequestedExecutionDateTime : 'Immediate'],
+    ['Instruction ID', initiation.InstructionIdentification],
+    ['End-to-end ID', initiation.EndToEndIdentification]
+  ];
+}
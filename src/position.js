@@ -0,0 +1,188 @@
+import fs from 'node:fs';
+import { getConfig, setConfig, deleteConfig } from './config.js';
+import { BALANCE_PREFERENCE, pickBalance } from './forecast.js';
+import { CliError } from './errors.js';
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function parseCurrency(value, option = 'currency') {
+  const currency = String(value || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw new CliError(`${option} must be a three-letter ISO 4217 code, e.g. EUR`, 'validation');
+  }
+  return currency;
+}
+
+export function parseBalanceTypes(value) {
+  const types = String(value).split(',').map(t => t.trim()).filter(Boolean);
+  const unknown = types.filter(t => !BALANCE_PREFERENCE.includes(t));
+  if (types.length === 0 || unknown.length) {
+    throw new CliError(`Balance types must be a comma-separated list of: ${BALANCE_PREFERENCE.join(', ')}`, 'validation');
+  }
+  return types;
+}
+
+export function getBalancePreference() {
+  return getConfig('balanceTypes') || BALANCE_PREFERENCE;
+}
+
+// ============================================================
+// FX rates
+// ============================================================
+
+// A rates table is { base, date, rates } where one unit of `base` buys rates[currency] of each
+// currency, as in the ECB reference rates: { "base": "EUR", "rates": { "GBP": 0.8612 } }
+export function normalizeRates(table, source) {
+  if (!table || typeof table !== 'object' || !table.rates || typeof table.rates !== 'object') {
+    throw new CliError(`${source} must be a JSON object with "base" and "rates"`, 'validation');
+  }
+  const base = parseCurrency(table.base, `"base" in ${source}`);
+  const rates = { [base]: 1 };
+  for (const [currency, rate] of Object.entries(table.rates)) {
+    const value = Number(rate);
+    if (!(value > 0)) {
+      throw new CliError(`${source}: the rate for ${currency} must be a positive number`, 'validation');
+    }
+    rates[parseCurrency(currency, `"${currency}" in ${source}`)] = value;
+  }
+  return { base, date: table.date || null, rates, source };
+}
+
+export function loadRatesFile(file) {
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new CliError(`Rates file ${file} not found`, 'not_found');
+    throw new CliError(`Cannot parse ${file}: ${error.message}`, 'validation');
+  }
+  return normalizeRates(table, file);
+}
+
+// The local table, kept per profile
+export function getStoredRates() {
+  const table = getConfig('fxRates');
+  return table ? { ...table, source: 'the local rates table' } : null;
+}
+
+export function setStoredRate(currency, rate, { base, date } = {}) {
+  const stored = getConfig('fxRates');
+  const tableBase = stored?.base || base;
+  if (!tableBase) {
+    throw new CliError('The rates table is empty: pass --base with the first rate', 'validation');
+  }
+  if (base && stored && base !== stored.base) {
+    throw new CliError(`The rates table is based on ${stored.base}. Run "nbg rates clear" to start a ${base} table`, 'validation');
+  }
+  const table = normalizeRates({
+    base: tableBase,
+    date: date || new Date().toISOString().slice(0, 10),
+    rates: { ...stored?.rates, [currency]: rate }
+  }, 'the rates table');
+  setConfig('fxRates', { base: table.base, date: table.date, rates: table.rates });
+  return table;
+}
+
+export function importRates(file) {
+  const table = loadRatesFile(file);
+  setConfig('fxRates', { base: table.base, date: table.date, rates: table.rates });
+  return table;
+}
+
+export function clearStoredRates() {
+  deleteConfig('fxRates');
+}
+
+// Units of `to` for one unit of `from`, through the table's base
+export function fxRate(from, to, table) {
+  if (from === to) return 1;
+  return table.rates[to] / table.rates[from];
+}
+
+// ============================================================
+// Position
+// ============================================================
+
+function creditLines(balance) {
+  const lines = balance?.CreditLine || [];
+  const sum = (included) => lines
+    .filter(line => !!line.Included === included)
+    .reduce((total, line) => total + Number(line.Amount?.Amount || 0), 0);
+  return { included: sum(true), notIncluded: sum(false) };
+}
+
+// Picks one balance per account by `preference`, adds credit lines the balance does not already include
+// to get the available amount, and converts both to `base`. Accounts without a matching balance are
+// left out with a warning.
+export function buildPosition({ accounts = [], balances = [], base, rates = null, preference = BALANCE_PREFERENCE }) {
+  const byAccount = new Map(accounts.map(a => [a.AccountId, []]));
+  balances.forEach(b => byAccount.set(b.AccountId, [...(byAccount.get(b.AccountId) || []), b]));
+  const names = new Map(accounts.map(a => [a.AccountId, a.Nickname || a.Account?.[0]?.Name || '']));
+
+  const warnings = [];
+  const picked = [];
+  for (const [accountId, accountBalances] of byAccount) {
+    const balance = pickBalance(accountBalances, preference);
+    if (!balance) {
+      warnings.push(`Account ${accountId} has no ${preference.join('/')} balance and is left out`);
+      continue;
+    }
+    picked.push({ accountId, balance, raw: accountBalances.find(b => b.Type === balance.type) });
+  }
+
+  const foreign = [...new Set(picked.map(p => p.balance.currency))].filter(currency => currency !== base);
+  const missing = foreign.length ? [base, ...foreign].filter(currency => !rates?.rates[currency]) : [];
+  if (missing.length) {
+    throw new CliError(`No FX rate for ${missing.join(', ')}${rates ? ` in ${rates.source}` : ''}. Add one with "nbg rates set" or pass --rates <file>`, 'validation');
+  }
+
+  const rows = picked.map(({ accountId, balance, raw }) => {
+    const lines = creditLines(raw);
+    const available = balance.amount + lines.notIncluded;
+    const rate = fxRate(balance.currency, base, rates);
+    return {
+      accountId,
+      nickname: names.get(accountId) || '',
+      balanceType: balance.type,
+      currency: balance.currency,
+      balance: round(balance.amount),
+      creditLine: round(lines.included + lines.notIncluded),
+      available: round(available),
+      rate: Math.round(rate * 1e6) / 1e6,
+      baseBalance: round(balance.amount * rate),
+      baseAvailable: round(available * rate)
+    };
+  });
+
+  const groups = new Map();
+  rows.forEach(row => groups.set(row.currency, [...(groups.get(row.currency) || []), row]));
+  const currencies = [...groups].map(([currency, group]) => {
+    const sum = (key) => group.reduce((total, row) => total + row[key], 0);
+    const rate = fxRate(currency, base, rates);
+    return {
+      currency,
+      accounts: group.length,
+      balance: round(sum('balance')),
+      creditLine: round(sum('creditLine')),
+      available: round(sum('available')),
+      rate: Math.round(rate * 1e6) / 1e6,
+      baseBalance: round(sum('balance') * rate),
+      baseAvailable: round(sum('available') * rate)
+    };
+  }).sort((a, b) => b.baseAvailable - a.baseAvailable);
+
+  return {
+    base,
+    rates: rates ? { source: rates.source, base: rates.base, date: rates.date } : null,
+    accounts: rows,
+    currencies,
+    total: {
+      currency: base,
+      balance: round(currencies.reduce((total, c) => total + c.baseBalance, 0)),
+      available: round(currencies.reduce((total, c) => total + c.baseAvailable, 0))
+    },
+    warnings
+  };
+}
@@ -0,0 +1,278 @@
+import { CliError } from './errors.js';
+
+// A deliberately small subset of jq for --query: paths (.a.b, ."a b", .[0], .[]), pipes, comparisons,
+// and/or, literals, [..] and {a, b: ..} construction, and the functions in FUNCTIONS. Anything more
+// belongs in jq itself. Like jq, an expression yields any number of results; the compiled query
+// returns them as an array.
+
+// ============================================================
+// Parser
+// ============================================================
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*")|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|[.[\]{}()|,:<>-]))/y;
+const COMPARISONS = ['==', '!=', '<', '<=', '>', '>='];
+
+function syntaxError(message, source) {
+  return new CliError(`Invalid --query "${source}": ${message}`, 'validation');
+}
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.trimEnd().length) {
+    const at = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw syntaxError(`unexpected "${source.slice(at).trim()[0]}"`, source);
+    const [, number, string, ident, punct] = match;
+    if (number !== undefined) tokens.push({ type: 'literal', value: Number(number) });
+    else if (string !== undefined) tokens.push({ type: 'literal', value: JSON.parse(string), string: true });
+    else if (ident !== undefined) tokens.push({ type: 'ident', value: ident });
+    else tokens.push({ type: 'punct', value: punct });
+  }
+  return tokens;
+}
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const is = (value) => tokens[pos] && !tokens[pos].string && tokens[pos].value === value;
+  const expect = (value) => {
+    if (!is(value)) throw syntaxError(`expected "${value}"${tokens[pos] ? ` before "${tokens[pos].value}"` : ' at the end'}`, source);
+    pos++;
+  };
+
+  function parsePipe() {
+    let node = parseOr();
+    while (is('|')) {
+      pos++;
+      node = { type: 'pipe', left: node, right: parseOr() };
+    }
+    return node;
+  }
+
+  function parseOr() {
+    let node = parseAnd();
+    while (is('or')) {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseComparison();
+    while (is('and')) {
+      pos++;
+      node = { type: 'and', left: node, right: parseComparison() };
+    }
+    return node;
+  }
+
+  function parseComparison() {
+    const left = parsePath();
+    const op = tokens[pos]?.type === 'punct' && COMPARISONS.includes(tokens[pos].value) ? tokens[pos++].value : null;
+    return op ? { type: 'compare', op, left, right: parsePath() } : left;
+  }
+
+  // .a, ."a", .[n] and .[] after a primary
+  function parsePath() {
+    let node = parsePrimary();
+    for (;;) {
+      if (is('.') && (tokens[pos + 1]?.type === 'ident' || tokens[pos + 1]?.string)) {
+        node = { type: 'index', target: node, key: tokens[pos + 1].value };
+        pos += 2;
+      } else if (is('[') || (is('.') && tokens[pos + 1]?.value === '[' && tokens[pos + 1].type === 'punct')) {
+        if (is('.')) pos++;
+        pos++;
+        if (is(']')) {
+          node = { type: 'iterate', target: node };
+        } else {
+          const key = parsePrimary();
+          if (key.type !== 'literal' || !['number', 'string'].includes(typeof key.value)) throw syntaxError('expected a number or a string inside [ ]', source);
+          node = { type: 'index', target: node, key: key.value };
+        }
+        expect(']');
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parseObject() {
+    expect('{');
+    const entries = [];
+    while (!is('}')) {
+      const token = tokens[pos++];
+      if (token?.type !== 'ident' && !token?.string) throw syntaxError('expected an object key', source);
+      let value = { type: 'index', target: { type: 'identity' }, key: token.value };
+      // {TransactionId} is short for {TransactionId: .TransactionId}
+      if (is(':')) {
+        pos++;
+        value = parseOr();
+      }
+      entries.push({ key: token.value, value });
+      if (!is(',')) break;
+      pos++;
+    }
+    expect('}');
+    return { type: 'object', entries };
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos];
+    if (!token) throw syntaxError('unexpected end of expression', source);
+    if (token.type === 'literal') {
+      pos++;
+      return { type: 'literal', value: token.value };
+    }
+    if (is('-') && tokens[pos + 1]?.type === 'literal' && typeof tokens[pos + 1].value === 'number') {
+      pos += 2;
+      return { type: 'literal', value: -tokens[pos - 1].value };
+    }
+    if (token.type === 'ident') {
+      pos++;
+      if (['true', 'false', 'null'].includes(token.value)) return { type: 'literal', value: JSON.parse(token.value) };
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw syntaxError(`unknown function ${token.value}`, source);
+      let arg = null;
+      if (is('(')) {
+        pos++;
+        arg = parsePipe();
+        expect(')');
+      }
+      if ((fn.length === 2) !== !!arg) throw syntaxError(`${token.value} takes ${fn.length - 1} argument(s)`, source);
+      return { type: 'call', fn, arg };
+    }
+    if (is('.')) {
+      // ".a" and ".[0]" are left for parsePath; a bare "." is the input
+      const next = tokens[pos + 1];
+      if (!(next?.type === 'ident' || next?.string || (next?.value === '[' && next.type === 'punct'))) pos++;
+      return { type: 'identity' };
+    }
+    if (is('(')) {
+      pos++;
+      const body = parsePipe();
+      expect(')');
+      return body;
+    }
+    if (is('[')) {
+      pos++;
+      const body = is(']') ? null : parsePipe();
+      expect(']');
+      return { type: 'array', body };
+    }
+    if (is('{')) return parseObject();
+    throw syntaxError(`unexpected "${token.value}"`, source);
+  }
+
+  const ast = parsePipe();
+  if (pos < tokens.length) throw syntaxError(`unexpected "${tokens[pos].value}"`, source);
+  return ast;
+}
+
+// ============================================================
+// Evaluation
+// ============================================================
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function truthy(value) {
+  return value !== null && value !== undefined && value !== false;
+}
+
+function queryError(message) {
+  return new CliError(`--query: ${message}`, 'validation');
+}
+
+// OB amounts are strings, so a numeric string meets a number as a number
+function toNumber(value) {
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+}
+
+// As in jq, null sorts before booleans, booleans before numbers and numbers before strings
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string'];
+
+function compare(op, a, b) {
+  if (typeof a === 'number' || typeof b === 'number') [a, b] = [toNumber(a), toNumber(b)];
+  if (op === '==' || op === '!=') return (JSON.stringify(a ?? null) === JSON.stringify(b ?? null)) === (op === '==');
+  const [ta, tb] = [TYPE_ORDER.indexOf(typeOf(a)), TYPE_ORDER.indexOf(typeOf(b))];
+  if (ta < 0 || tb < 0) throw queryError(`cannot order ${typeOf(ta < 0 ? a : b)} values`);
+  const order = ta !== tb ? ta - tb : (a < b ? -1 : a > b ? 1 : 0);
+  return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[op];
+}
+
+function index(target, key) {
+  if (target === null || target === undefined) return null;
+  if (typeof key === 'number') {
+    if (!Array.isArray(target)) throw queryError(`cannot index ${typeOf(target)} with a number`);
+    return target[key < 0 ? target.length + key : key] ?? null;
+  }
+  if (typeOf(target) !== 'object') throw queryError(`cannot index ${typeOf(target)} with "${key}"`);
+  return target[key] ?? null;
+}
+
+function iterate(value) {
+  if (Array.isArray(value)) return value;
+  if (typeOf(value) === 'object') return Object.values(value);
+  if (value === null || value === undefined) return [];
+  throw queryError(`cannot iterate over ${typeOf(value)}`);
+}
+
+// Each function takes the input and, for select, map and test, its argument as a function of a value
+const FUNCTIONS = {
+  select: (input, f) => (f(input).some(truthy) ? [input] : []),
+  map: (input, f) => [iterate(input).flatMap(f)],
+  length: (input) => {
+    if (input === null || input === undefined) return [0];
+    if (typeof input === 'string' || Array.isArray(input)) return [input.length];
+    if (typeOf(input) === 'object') return [Object.keys(input).length];
+    throw queryError(`${typeOf(input)} has no length`);
+  },
+  keys: (input) => {
+    if (Array.isArray(input)) return [input.map((_, i) => i)];
+    if (typeOf(input) !== 'object') throw queryError(`${typeOf(input)} has no keys`);
+    return [Object.keys(input).sort()];
+  },
+  not: (input) => [!truthy(input)],
+  test: (input, f) => f(input).map(pattern => typeof input === 'string' && new RegExp(pattern).test(input))
+};
+
+function evaluate(node, input) {
+  switch (node.type) {
+    case 'identity':
+      return [input];
+    case 'literal':
+      return [node.value];
+    case 'index':
+      return evaluate(node.target, input).map(target => index(target, node.key));
+    case 'iterate':
+      return evaluate(node.target, input).flatMap(iterate);
+    case 'pipe':
+      return evaluate(node.left, input).flatMap(value => evaluate(node.right, value));
+    case 'and':
+      return evaluate(node.left, input).flatMap(l => (truthy(l) ? evaluate(node.right, input).map(truthy) : [false]));
+    case 'or':
+      return evaluate(node.left, input).flatMap(l => (truthy(l) ? [true] : evaluate(node.right, input).map(truthy)));
+    case 'compare':
+      return evaluate(node.left, input).flatMap(a => evaluate(node.right, input).map(b => compare(node.op, a, b)));
+    case 'array':
+      return [node.body ? evaluate(node.body, input) : []];
+    case 'object':
+      // Every combination of the values' results, as jq does for {a: .x[], b: .y}
+      return node.entries.reduce((objects, { key, value }) => objects.flatMap(object => evaluate(value, input)
+        .map(result => ({ ...object, [key]: result }))), [{}]);
+    case 'call':
+      return node.fn(input, (value) => evaluate(node.arg, value));
+    default:
+      throw new Error(`Unknown query node ${node.type}`);
+  }
+}
+
+export function compileQuery(source) {
+  const ast = parse(source);
+  return (input) => evaluate(ast, input);
+}
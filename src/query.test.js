@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileQuery } from './query.js';
+
+const DOCUMENT = {
+  Data: {
+    Transaction: [
+      { TransactionId: 't1', Status: 'Booked', Amount: { Amount: '12.50', Currency: 'EUR' }, 'Merchant Name': 'Cafe' },
+      { TransactionId: 't2', Status: 'Pending', Amount: { Amount: '80.00', Currency: 'EUR' } },
+      { TransactionId: 't3', Status: 'Booked', Amount: { Amount: '120.00', Currency: 'GBP' } }
+    ]
+  }
+};
+
+function query(source, input = DOCUMENT) {
+  return compileQuery(source)(input);
+}
+
+test('paths, iteration and pipes', () => {
+  assert.deepEqual(query('.'), [DOCUMENT]);
+  assert.deepEqual(query('.Data.Transaction[0].TransactionId'), ['t1']);
+  assert.deepEqual(query('.Data.Transaction[-1].TransactionId'), ['t3']);
+  assert.deepEqual(query('.Data.Transaction[].TransactionId'), ['t1', 't2', 't3']);
+  assert.deepEqual(query('.Data.Transaction[0]."Merchant Name"'), ['Cafe']);
+  assert.deepEqual(query('.Data.Transaction[1]["Merchant Name"]'), [null]);
+  assert.deepEqual(query('.Data | .Transaction | length'), [3]);
+  assert.deepEqual(query('.Missing.Deeper'), [null]);
+});
+
+test('select compares numeric strings as numbers and combines with and/or', () => {
+  assert.deepEqual(query('[.Data.Transaction[] | select(.Amount.Amount > 50) | .TransactionId]'), [['t2', 't3']]);
+  assert.deepEqual(query('[.Data.Transaction[] | select(.Status == "Booked" and .Amount.Currency != "GBP") | .TransactionId]'), [['t1']]);
+  assert.deepEqual(query('[.Data.Transaction[] | select(.Status == "Pending" or (.Amount.Amount | test("^1"))) | .TransactionId]'), [['t1', 't2', 't3']]);
+  assert.deepEqual(query('[.Data.Transaction[] | select(.Status == "Booked" | not) | .TransactionId]'), [['t2']]);
+});
+
+test('array and object construction', () => {
+  assert.deepEqual(query('.Data.Transaction | map({TransactionId, amount: .Amount.Amount})'), [[
+    { TransactionId: 't1', amount: '12.50' },
+    { TransactionId: 't2', amount: '80.00' },
+    { TransactionId: 't3', amount: '120.00' }
+  ]]);
+  assert.deepEqual(query('.Data.Transaction[0].Amount | keys'), [['Amount', 'Currency']]);
+  assert.deepEqual(query('[]'), [[]]);
+  assert.deepEqual(query('[.Data.Transaction[].Amount.Currency]'), [['EUR', 'EUR', 'GBP']]);
+  assert.deepEqual(query('{n: -2, s: "a", b: true, z: null}'), [{ n: -2, s: 'a', b: true, z: null }]);
+  assert.deepEqual(query('{id: .Data.Transaction[].TransactionId} | .id'), ['t1', 't2', 't3']);
+});
+
+test('syntax and runtime errors are validation errors', () => {
+  for (const source of ['.Data.', '.Data |', 'select(', 'sort_by(.a)', '.[', '{1: 2}', 'length(.)', 'select', '.a ~ .b']) {
+    assert.throws(() => query(source), (error) => error.type === 'validation' && error.message.includes(source), source);
+  }
+  for (const source of ['.Data.Transaction.TransactionId', '.Data[0]', '.Data.Transaction[0].Status[]', '.Data < .Data']) {
+    assert.throws(() => query(source), (error) => error.type === 'validation' && error.message.startsWith('--query:'), source);
+  }
+});
@@ -0,0 +1,160 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import axios, { AxiosError } from 'axios';
+import { redactHeaders, redactBody } from './secrets.js';
+import { CliError } from './errors.js';
+
+let recordOverride = null;
+let replayOverride = null;
+
+// Recordings already loaded in this process, with how many times each request was replayed
+const cassettes = new Map();
+
+export function setRecordingOverrides({ record, replay } = {}) {
+  recordOverride = record || null;
+  replayOverride = replay || null;
+}
+
+export function getRecordDir() {
+  return recordOverride || process.env.NBG_RECORD || null;
+}
+
+export function getReplayDir() {
+  return replayOverride || process.env.NBG_REPLAY || null;
+}
+
+// ============================================================
+// Matching
+// ============================================================
+
+// Requests are keyed by method and path relative to the base URL, with the query sorted,
+// so recordings replay against any host
+function requestKey(config) {
+  const url = new URL(axios.getUri(config));
+  const basePath = config.baseURL ? new URL(config.baseURL).pathname.replace(/\/+$/, '') : '';
+  const pathname = basePath && url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) : url.pathname;
+  const query = [...url.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const search = query.length ? `?${new URLSearchParams(query)}` : '';
+  return `${config.method.toUpperCase()} ${pathname || '/'}${search}`;
+}
+
+function plainHeaders(headers) {
+  return { ...(headers?.toJSON ? headers.toJSON() : headers) };
+}
+
+function parseBody(data) {
+  if (typeof data !== 'string') return data ?? null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+// ============================================================
+// Record
+// ============================================================
+
+// Streamed bodies (statement files) are buffered so they can be saved, then handed back as a new stream
+async function bufferStream(response) {
+  if (typeof response?.data?.pipe !== 'function') return null;
+  const chunks = [];
+  for await (const chunk of response.data) chunks.push(Buffer.from(chunk));
+  const buffer = Buffer.concat(chunks);
+  response.data = Readable.from([buffer]);
+  return buffer;
+}
+
+function saveExchange(dir, config, response, binary = null) {
+  fs.mkdirSync(dir, { recursive: true });
+  const key = requestKey(config);
+  const index = fs.readdirSync(dir).filter(name => /^\d{4,}-.*\.json$/.test(name)).length + 1;
+  const slug = key.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+
+  const exchange = {
+    recordedAt: new Date().toISOString(),
+    key,
+    request: {
+      method: config.method.toUpperCase(),
+      url: axios.getUri(config),
+      headers: redactHeaders(plainHeaders(config.headers)),
+      body: redactBody(parseBody(config.data))
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: redactHeaders(plainHeaders(response.headers)),
+      ...(binary
+        ? { encoding: 'base64', data: binary.toString('base64') }
+        : { data: redactBody(parseBody(response.data)) })
+    }
+  };
+  fs.writeFileSync(path.join(dir, `${String(index).padStart(4, '0')}-${slug}.json`), JSON.stringify(exchange, null, 2) + '\n');
+}
+
+// Wraps the default adapter, so every attempt that reaches the network is saved once, retries included
+export function recordingAdapter(dir) {
+  const adapter = axios.getAdapter(axios.defaults.adapter);
+  return async (config) => {
+    try {
+      const response = await adapter(config);
+      saveExchange(dir, config, response, await bufferStream(response));
+      return response;
+    } catch (error) {
+      if (error.response) saveExchange(dir, config, error.response, await bufferStream(error.response));
+      throw error;
+    }
+  };
+}
+
+// ============================================================
+// Replay
+// ============================================================
+
+function loadCassette(dir) {
+  if (cassettes.has(dir)) return cassettes.get(dir);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new CliError(`Replay directory ${dir} does not exist`, 'validation');
+  }
+
+  const exchanges = new Map();
+  for (const name of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const exchange = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    if (!exchange.key || !exchange.response) continue;
+    if (!exchanges.has(exchange.key)) exchanges.set(exchange.key, []);
+    exchanges.get(exchange.key).push(exchange);
+  }
+
+  const cassette = { exchanges, used: new Map() };
+  cassettes.set(dir, cassette);
+  return cassette;
+}
+
+// Serves responses from disk. Repeated requests get the recorded responses in order,
+// then the last one again; a request that was never recorded fails instead of going out.
+export function replayAdapter(dir) {
+  return async (config) => {
+    const { exchanges, used } = loadCassette(dir);
+    const key = requestKey(config);
+    const recorded = exchanges.get(key);
+    if (!recorded) {
+      throw new CliError(`No recorded response for ${key} in ${dir}`);
+    }
+
+    const count = used.get(key) || 0;
+    used.set(key, count + 1);
+    const { status, statusText, headers, encoding, data } = recorded[Math.min(count, recorded.length - 1)].response;
+    let body = encoding === 'base64' ? Buffer.from(data, 'base64') : data;
+    if (config.responseType === 'stream') {
+      body = Readable.from([Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body))]);
+    }
+    const response = { data: body, status, statusText: statusText || '', headers: headers || {}, config, request: {} };
+
+    if (config.validateStatus && !config.validateStatus(status)) {
+      const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+      throw new AxiosError(`Request failed with status code ${status}`, code, config, response.request, response);
+    }
+    return response;
+  };
+}
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMockServer } from './mock.js';
+import { NbgClient } from './client.js';
+import { recordingAdapter, replayAdapter } from './recorder.js';
+import { buildDomesticInitiation, buildPaymentConsentRequest, buildRisk } from './payments.js';
+
+const CUSTOMER_IP = '203.0.113.77';
+
+let dir;
+let mock;
+let baseUrl;
+
+function recordedFiles() {
+  return fs.readdirSync(dir).map(name => fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nbg-record-test-'));
+  mock = createMockServer({ seed: 1 });
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+
+  const client = new NbgClient({ baseUrl, accessToken: 'mock', customerIpAddress: CUSTOMER_IP, adapter: recordingAdapter(dir) });
+  const accounts = await client.getAccounts();
+  await client.getAllBalances();
+  await client.getParty();
+  for (const { AccountId } of accounts.Data.Account) {
+    await client.getAccountTransactions(AccountId);
+    await client.getAccountBeneficiaries(AccountId);
+  }
+  const initiation = buildDomesticInitiation({ toName: 'Jane Creditor', toSortCode: '200000', toAccount: '12345678', amount: '125.00', reference: 'RENT' });
+  await client.createDomesticPaymentConsent(buildPaymentConsentRequest(initiation, buildRisk({})));
+});
+
+after(() => {
+  mock.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('recordings hold no account numbers, names, contact details, amounts or customer IP', () => {
+  const { fixtures } = mock;
+  const identifiers = new Set([CUSTOMER_IP, 'Jane Creditor', '20000012345678', '125.00']);
+  for (const account of fixtures.accounts) {
+    account.Account.forEach(a => [a.Identification, a.Name].forEach(v => identifiers.add(v)));
+    if (account.Nickname) identifiers.add(account.Nickname);
+  }
+  for (const party of Object.values(fixtures.parties)) {
+    [party.Name, party.EmailAddress, party.Phone, party.Mobile, party.Address[0].PostCode].forEach(v => identifiers.add(v));
+  }
+  Object.values(fixtures.balances).flat().forEach(b => identifiers.add(b.Amount.Amount));
+  Object.values(fixtures.beneficiaries).flat().forEach(b => identifiers.add(b.CreditorAccount.Identification));
+
+  const files = recordedFiles();
+  assert.ok(files.length >= 8);
+  for (const text of files) {
+    for (const identifier of identifiers) {
+      assert.ok(!text.includes(JSON.stringify(identifier)), `${identifier} was recorded`);
+    }
+  }
+  assert.ok(files.some(text => text.includes('[REDACTED]')));
+});
+
+test('redacted recordings still replay by account ID', async () => {
+  const client = new NbgClient({ baseUrl: 'https://bank.example/uk', adapter: replayAdapter(dir), delay: async () => {} });
+  const accounts = await client.getAccounts();
+  assert.deepEqual(accounts.Data.Account.map(a => a.AccountId), mock.fixtures.accounts.map(a => a.AccountId));
+  assert.equal(accounts.Data.Account[0].Account[0].Identification, '[REDACTED]');
+});
@@ -0,0 +1,134 @@
+import { normalizeTransaction } from './export.js';
+import { startOfDay, addDays, dayKey, daysInMonth } from './forecast.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Named cadences and the interval ranges (in days) that count as them
+const CADENCES = [
+  { name: 'weekly', min: 6, max: 8 },
+  { name: 'fortnightly', min: 12, max: 16 },
+  { name: 'monthly', min: 26, max: 34, months: 1 },
+  { name: 'quarterly', min: 84, max: 98, months: 3 },
+  { name: 'yearly', min: 355, max: 375, months: 12 }
+];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z& ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function paymentType(t) {
+  const code = [t.BankTransactionCode?.Code, t.BankTransactionCode?.SubCode, t.ProprietaryBankTransactionCode?.Code].join(' ');
+  if (/DirectDebit/i.test(code)) return 'direct debit';
+  if (/Card/i.test(code) || t.MerchantDetails) return 'card';
+  if (/StandingOrder/i.test(code)) return 'standing order';
+  return 'transfer';
+}
+
+function classifyCadence(interval) {
+  return CADENCES.find(c => interval >= c.min && interval <= c.max) || null;
+}
+
+function nextDate(last, interval, cadence) {
+  if (cadence?.months) {
+    // Clamped to the target month, so a series on the 31st continues on the last day of shorter months
+    const date = new Date(last);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + cadence.months, 1));
+    const day = Math.min(date.getUTCDate(), daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+    return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), day));
+  }
+  return addDays(last, Math.round(interval));
+}
+
+function namesMatch(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  return !!left && !!right && (left.includes(right) || right.includes(left));
+}
+
+function amountsMatch(a, b, tolerance = 0.05) {
+  return Math.abs(a - b) <= Math.max(a, b) * tolerance;
+}
+
+function findCoverage(series, standingOrders, scheduledPayments) {
+  for (const order of standingOrders) {
+    const amount = Number((order.NextPaymentAmount || order.FirstPaymentAmount)?.Amount);
+    // Standing-order debits often carry only the payer's reference, so fall back to the amount for those
+    if (namesMatch(series.name, order.Reference) || namesMatch(series.name, order.CreditorAccount?.Name)
+      || (series.type === 'standing order' && amountsMatch(series.amount, amount))) {
+      return { type: 'standing-order', id: order.StandingOrderId, reference: order.Reference || '' };
+    }
+  }
+  for (const payment of scheduledPayments) {
+    if (namesMatch(series.name, payment.Reference) || namesMatch(series.name, payment.CreditorAccount?.Name)) {
+      return { type: 'scheduled-payment', id: payment.ScheduledPaymentId, reference: payment.Reference || '' };
+    }
+  }
+  return null;
+}
+
+// Groups debits by counterparty and keeps the groups that repeat at a regular interval with
+// similar amounts. Each result carries its cadence, next expected date and any standing order
+// or scheduled payment that explains it.
+export function detectRecurring(transactions, { standingOrders = [], scheduledPayments = [], minOccurrences = 3 } = {}) {
+  const groups = new Map();
+
+  for (const raw of transactions) {
+    if (raw.CreditDebitIndicator !== 'Debit' || raw.Status === 'Pending') continue;
+    const t = normalizeTransaction(raw);
+    const name = t.counterparty || t.description;
+    const key = `${normalizeName(name)}|${t.currency}`;
+    if (!normalizeName(name)) continue;
+    if (!groups.has(key)) groups.set(key, { name, currency: t.currency, type: paymentType(raw), items: [] });
+    groups.get(key).items.push({ date: startOfDay(t.bookingDate), amount: -t.amount });
+  }
+
+  const results = [];
+
+  for (const group of groups.values()) {
+    if (group.items.length < minOccurrences) continue;
+
+    const items = group.items.sort((a, b) => a.date - b.date);
+    const intervals = items.slice(1).map((item, i) => (item.date - items[i].date) / DAY_MS).filter(days => days > 0);
+    if (intervals.length < minOccurrences - 1) continue;
+
+    const interval = median(intervals);
+    const cadence = classifyCadence(interval);
+    const tolerance = cadence ? (cadence.max - cadence.min) / 2 : Math.max(2, interval * 0.15);
+    const regular = intervals.filter(days => Math.abs(days - interval) <= tolerance).length / intervals.length;
+
+    const amounts = items.map(item => item.amount);
+    const amount = median(amounts);
+    const similar = amounts.filter(value => amountsMatch(value, amount, 0.2)).length / amounts.length;
+
+    if (regular < 0.75 || similar < 0.75) continue;
+
+    const last = items[items.length - 1];
+    const series = {
+      name: group.name,
+      type: group.type,
+      cadence: cadence ? cadence.name : `every ${Math.round(interval)} days`,
+      intervalDays: Math.round(interval * 10) / 10,
+      occurrences: items.length,
+      amount: Math.round(amount * 100) / 100,
+      lastAmount: last.amount,
+      currency: group.currency,
+      firstDate: dayKey(items[0].date),
+      lastDate: dayKey(last.date),
+      nextExpectedDate: dayKey(nextDate(last.date, interval, cadence))
+    };
+    series.coveredBy = findCoverage(series, standingOrders, scheduledPayments);
+    results.push(series);
+  }
+
+  return results.sort((a, b) => a.nextExpectedDate.localeCompare(b.nextExpectedDate));
+}
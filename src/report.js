@@ -0,0 +1,167 @@
+import { normalizeTransaction } from './export.js';
+import { CliError } from './errors.js';
+
+export const GROUP_BY = ['category', 'merchant', 'week', 'month'];
+
+// Labels for the merchant category codes that show up most often on statements
+const MERCHANT_CATEGORIES = {
+  4111: 'Commuter transport',
+  4121: 'Taxis',
+  4131: 'Bus lines',
+  4511: 'Airlines',
+  4814: 'Telecom services',
+  4900: 'Utilities',
+  5311: 'Department stores',
+  5411: 'Groceries',
+  5499: 'Food stores',
+  5541: 'Service stations',
+  5542: 'Fuel',
+  5651: 'Clothing',
+  5732: 'Electronics',
+  5812: 'Restaurants',
+  5814: 'Fast food',
+  5912: 'Pharmacies',
+  5942: 'Books',
+  5999: 'Retail',
+  6011: 'Cash withdrawals',
+  7011: 'Hotels',
+  7372: 'Software & SaaS',
+  7832: 'Cinemas',
+  7997: 'Clubs & gyms',
+  8011: 'Doctors',
+  8299: 'Education'
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function monthRange(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match) {
+    throw new CliError('--month must look like YYYY-MM', 'validation');
+  }
+  const year = Number(match[1]);
+  const index = Number(match[2]) - 1;
+  if (index < 0 || index > 11) {
+    throw new CliError('--month must be between 01 and 12', 'validation');
+  }
+  const from = new Date(Date.UTC(year, index, 1));
+  const to = new Date(Date.UTC(year, index + 1, 1) - 1000);
+  return {
+    from: from.toISOString().replace('.000Z', 'Z'),
+    to: to.toISOString().replace('.000Z', 'Z')
+  };
+}
+
+// --from/--to as a range; a date-only --to covers the whole of that day
+export function dateRange(from, to) {
+  for (const [option, value] of [['--from', from], ['--to', to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      throw new CliError(`${option} must be an ISO 8601 date or date-time`, 'validation');
+    }
+  }
+  return { from, to: to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59Z` : to };
+}
+
+function isoWeek(iso) {
+  const date = new Date(iso);
+  const day = date.getUTCDay() || 7;
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 4 - day));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+export function categoryOf(t) {
+  if (t.merchantCategory) {
+    const label = MERCHANT_CATEGORIES[t.merchantCategory];
+    return { key: `MCC ${t.merchantCategory}`, label: label ? `${label} (${t.merchantCategory})` : `MCC ${t.merchantCategory}` };
+  }
+  if (t.bankTransactionCode) {
+    return { key: t.bankTransactionCode, label: t.bankTransactionCode };
+  }
+  return { key: 'uncategorised', label: 'Uncategorised' };
+}
+
+function groupOf(t, groupBy) {
+  switch (groupBy) {
+    case 'merchant': {
+      const name = t.counterparty || t.description || 'Unknown';
+      return { key: name.toLowerCase(), label: name };
+    }
+    case 'week': {
+      const week = isoWeek(t.bookingDate);
+      return { key: week, label: week };
+    }
+    case 'month': {
+      const month = t.bookingDate.slice(0, 7);
+      return { key: month, label: month };
+    }
+    default:
+      return categoryOf(t);
+  }
+}
+
+function addTo(bucket, t) {
+  if (t.amount < 0) {
+    bucket.out += -t.amount;
+  } else {
+    bucket.in += t.amount;
+  }
+  bucket.count++;
+}
+
+function finish(bucket) {
+  return { ...bucket, in: round(bucket.in), out: round(bucket.out), net: round(bucket.in - bucket.out) };
+}
+
+// Totals are kept per currency: amounts in different currencies are never added together
+export function buildSpendingReport(transactions, { groupBy = 'category', top = 10, from, to, includePending = false } = {}) {
+  // Compared as instants: booking dates and --from/--to may use different offsets or precision
+  const rows = transactions
+    .filter(t => includePending || t.Status !== 'Pending')
+    .map(normalizeTransaction)
+    .filter(t => (!from || Date.parse(t.bookingDate) >= Date.parse(from)) && (!to || Date.parse(t.bookingDate) <= Date.parse(to)));
+
+  const totals = new Map();
+  const groups = new Map();
+  const merchants = new Map();
+
+  for (const t of rows) {
+    const currency = t.currency || 'N/A';
+
+    if (!totals.has(currency)) totals.set(currency, { currency, in: 0, out: 0, count: 0 });
+    addTo(totals.get(currency), t);
+
+    const group = groupOf(t, groupBy);
+    const groupKey = `${group.key}|${currency}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { group: group.label, currency, in: 0, out: 0, count: 0 });
+    addTo(groups.get(groupKey), t);
+
+    if (t.amount < 0) {
+      const name = t.counterparty || t.description || 'Unknown';
+      const merchantKey = `${name.toLowerCase()}|${currency}`;
+      if (!merchants.has(merchantKey)) merchants.set(merchantKey, { merchant: name, currency, in: 0, out: 0, count: 0 });
+      addTo(merchants.get(merchantKey), t);
+    }
+  }
+
+  const byPeriod = groupBy === 'week' || groupBy === 'month';
+  const groupRows = [...groups.values()].map(finish)
+    .sort((a, b) => (byPeriod ? a.group.localeCompare(b.group) : b.out - a.out || b.in - a.in));
+
+  const dates = rows.map(t => t.bookingDate).filter(Boolean).sort();
+
+  return {
+    period: { from: from || dates[0] || null, to: to || dates[dates.length - 1] || null },
+    groupBy,
+    transactionCount: rows.length,
+    totals: [...totals.values()].map(finish),
+    groups: groupRows,
+    topMerchants: [...merchants.values()].map(finish)
+      .sort((a, b) => b.out - a.out)
+      .slice(0, top)
+      .map(({ merchant, currency, out, count }) => ({ merchant, currency, out, count }))
+  };
+}
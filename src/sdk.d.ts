@@ -0,0 +1,492 @@
+/// <reference types="node" />
+// Type declarations for the NBG UK Open Banking SDK (src/sdk.js).
+// OB resources list the fields this package relies on; banks may send more.
+
+export declare const DEFAULT_BASE_URL: string;
+export declare const DEFAULT_TIMEOUT: number;
+export declare const DEFAULT_RETRIES: number;
+
+// ============================================================
+// Open Banking resources
+// ============================================================
+
+export interface Amount {
+  Amount: string;
+  Currency: string;
+}
+
+export interface AccountIdentification {
+  SchemeName: string;
+  Identification: string;
+  Name?: string;
+  SecondaryIdentification?: string;
+}
+
+export interface Links {
+  Self: string;
+  First?: string;
+  Prev?: string;
+  Next?: string;
+  Last?: string;
+}
+
+export interface Meta {
+  TotalPages?: number;
+  FirstAvailableDateTime?: string;
+  LastAvailableDateTime?: string;
+  /** Added by getPages: how many pages were merged into this document */
+  PagesFetched?: number;
+  [field: string]: unknown;
+}
+
+export interface Document<T> {
+  Data: T;
+  Links?: Links;
+  Meta?: Meta;
+}
+
+export type ListDocument<K extends string, T> = Document<{ [key in K]: T[] }>;
+
+export type Permission =
+  | 'ReadAccountsBasic'
+  | 'ReadAccountsDetail'
+  | 'ReadBalances'
+  | 'ReadBeneficiariesBasic'
+  | 'ReadBeneficiariesDetail'
+  | 'ReadDirectDebits'
+  | 'ReadOffers'
+  | 'ReadPAN'
+  | 'ReadParty'
+  | 'ReadPartyPSU'
+  | 'ReadProducts'
+  | 'ReadScheduledPaymentsBasic'
+  | 'ReadScheduledPaymentsDetail'
+  | 'ReadStandingOrdersBasic'
+  | 'ReadStandingOrdersDetail'
+  | 'ReadStatementsBasic'
+  | 'ReadStatementsDetail'
+  | 'ReadTransactionsBasic'
+  | 'ReadTransactionsCredits'
+  | 'ReadTransactionsDebits'
+  | 'ReadTransactionsDetail';
+
+export interface ConsentRequest {
+  Data: {
+    Permissions: Permission[];
+    ExpirationDateTime?: string;
+    TransactionFromDateTime?: string;
+    TransactionToDateTime?: string;
+  };
+  Risk: Record<string, unknown>;
+}
+
+export interface Consent {
+  ConsentId: string;
+  Status: 'Authorised' | 'AwaitingAuthorisation' | 'Rejected' | 'Revoked' | string;
+  StatusUpdateDateTime?: string;
+  CreationDateTime?: string;
+  Permissions: Permission[];
+  ExpirationDateTime?: string;
+  TransactionFromDateTime?: string;
+  TransactionToDateTime?: string;
+  [field: string]: unknown;
+}
+
+export interface Account {
+  AccountId: string;
+  Status?: string;
+  StatusUpdateDateTime?: string;
+  Currency: string;
+  AccountType?: string;
+  AccountSubType?: string;
+  Nickname?: string;
+  OpeningDate?: string;
+  Account?: AccountIdentification[];
+  [field: string]: unknown;
+}
+
+export interface Balance {
+  AccountId: string;
+  Amount: Amount;
+  CreditDebitIndicator: 'Credit' | 'Debit';
+  Type: string;
+  DateTime: string;
+  CreditLine?: Array<{ Included: boolean; Type?: string; Amount?: Amount }>;
+  [field: string]: unknown;
+}
+
+export interface Transaction {
+  AccountId: string;
+  TransactionId?: string;
+  TransactionReference?: string;
+  Amount: Amount;
+  CreditDebitIndicator: 'Credit' | 'Debit';
+  Status: 'Booked' | 'Pending';
+  BookingDateTime: string;
+  ValueDateTime?: string;
+  TransactionInformation?: string;
+  BankTransactionCode?: { Code: string; SubCode: string };
+  ProprietaryBankTransactionCode?: { Code: string; Issuer?: string };
+  Balance?: { Amount: Amount; CreditDebitIndicator: 'Credit' | 'Debit'; Type: string };
+  MerchantDetails?: { MerchantName?: string; MerchantCategoryCode?: string };
+  CreditorAccount?: AccountIdentification;
+  DebtorAccount?: AccountIdentification;
+  [field: string]: unknown;
+}
+
+export interface Beneficiary {
+  AccountId: string;
+  BeneficiaryId?: string;
+  Reference?: string;
+  CreditorAccount?: AccountIdentification;
+  [field: string]: unknown;
+}
+
+export interface StandingOrder {
+  AccountId: string;
+  StandingOrderId?: string;
+  Frequency: string;
+  Reference?: string;
+  FirstPaymentDateTime?: string;
+  NextPaymentDateTime?: string;
+  FinalPaymentDateTime?: string;
+  StandingOrderStatusCode?: string;
+  FirstPaymentAmount?: Amount;
+  NextPaymentAmount?: Amount;
+  FinalPaymentAmount?: Amount;
+  CreditorAccount?: AccountIdentification;
+  [field: string]: unknown;
+}
+
+export interface ScheduledPayment {
+  AccountId: string;
+  ScheduledPaymentId?: string;
+  ScheduledPaymentDateTime: string;
+  ScheduledType: 'Arrival' | 'Execution';
+  Reference?: string;
+  InstructedAmount: Amount;
+  CreditorAccount?: AccountIdentification;
+  [field: string]: unknown;
+}
+
+export interface DirectDebit {
+  AccountId: string;
+  DirectDebitId?: string;
+  MandateIdentification: string;
+  DirectDebitStatusCode?: 'Active' | 'Inactive' | string;
+  Name: string;
+  Frequency?: string;
+  PreviousPaymentDateTime?: string;
+  PreviousPaymentAmount?: Amount;
+  [field: string]: unknown;
+}
+
+export interface Product {
+  AccountId: string;
+  ProductId?: string;
+  ProductName?: string;
+  ProductType: 'BusinessCurrentAccount' | 'CommercialCreditCard' | 'Other' | 'PersonalCurrentAccount' | 'SMELoan' | string;
+  OtherProductType?: { Name: string; Description: string };
+  [field: string]: unknown;
+}
+
+export interface Offer {
+  AccountId: string;
+  OfferId?: string;
+  OfferType?: 'BalanceTransfer' | 'LimitIncrease' | 'MoneyTransfer' | 'Other' | 'PromotionalRate' | string;
+  Description?: string;
+  StartDateTime?: string;
+  EndDateTime?: string;
+  Rate?: string;
+  Value?: number;
+  Term?: string;
+  URL?: string;
+  Amount?: Amount;
+  Fee?: Amount;
+  [field: string]: unknown;
+}
+
+export interface Statement {
+  AccountId: string;
+  StatementId?: string;
+  StatementReference?: string;
+  Type: string;
+  StartDateTime: string;
+  EndDateTime: string;
+  CreationDateTime: string;
+  StatementDescription?: string[];
+  StatementAmount?: Array<{ Amount: Amount; CreditDebitIndicator: 'Credit' | 'Debit'; Type: string }>;
+  StatementBenefit?: Array<{ Amount: Amount; Type: string }>;
+  StatementFee?: Array<{ Amount: Amount; CreditDebitIndicator: 'Credit' | 'Debit'; Type: string; Rate?: number; RateType?: string; Frequency?: string; Description?: string }>;
+  StatementInterest?: Array<{ Amount: Amount; CreditDebitIndicator: 'Credit' | 'Debit'; Type: string; Rate?: number; RateType?: string; Frequency?: string; Description?: string }>;
+  StatementRate?: Array<{ Rate: string; Type: string }>;
+  StatementValue?: Array<{ Value: string; Type: string }>;
+  StatementDateTime?: Array<{ DateTime: string; Type: string }>;
+  [field: string]: unknown;
+}
+
+export interface Party {
+  PartyId: string;
+  PartyType?: string;
+  Name?: string;
+  EmailAddress?: string;
+  Phone?: string;
+  Mobile?: string;
+  AccountRole?: string;
+  [field: string]: unknown;
+}
+
+export interface DomesticInitiation {
+  InstructionIdentification: string;
+  EndToEndIdentification: string;
+  InstructedAmount: Amount;
+  CreditorAccount: AccountIdentification;
+  DebtorAccount?: AccountIdentification;
+  RemittanceInformation?: { Reference?: string; Unstructured?: string };
+  /** Scheduled payments only */
+  RequestedExecutionDateTime?: string;
+  [field: string]: unknown;
+}
+
+export interface PaymentRisk {
+  PaymentContextCode?: 'BillPayment' | 'EcommerceGoods' | 'EcommerceServices' | 'Other' | 'PartyToParty';
+  [field: string]: unknown;
+}
+
+export interface PaymentConsentRequest {
+  Data: { Initiation: DomesticInitiation; Permission?: 'Create' };
+  Risk: PaymentRisk;
+}
+
+export interface PaymentConsent {
+  ConsentId: string;
+  Status: 'AwaitingAuthorisation' | 'Authorised' | 'Consumed' | 'Rejected' | string;
+  CreationDateTime: string;
+  StatusUpdateDateTime?: string;
+  Initiation: DomesticInitiation;
+  Permission?: 'Create';
+  [field: string]: unknown;
+}
+
+export interface PaymentRequest {
+  Data: { ConsentId: string; Initiation: DomesticInitiation };
+  Risk: PaymentRisk;
+}
+
+export interface DomesticPayment {
+  DomesticPaymentId?: string;
+  DomesticScheduledPaymentId?: string;
+  ConsentId: string;
+  Status: string;
+  CreationDateTime: string;
+  StatusUpdateDateTime?: string;
+  Initiation: DomesticInitiation;
+  [field: string]: unknown;
+}
+
+export interface PaymentStatusDetail {
+  PaymentTransactionId: string;
+  Status: string;
+  StatusUpdateDateTime: string;
+  StatusDetail?: { LocalInstrument?: string; Status: string; StatusReason?: string; StatusReasonDescription?: string };
+}
+
+export interface IdempotencyOptions {
+  /** Sent as x-idempotency-key; a random UUID when omitted. Reuse it to retry a write safely. */
+  idempotencyKey?: string;
+}
+
+export interface FundsConfirmationConsentRequest {
+  Data: { DebtorAccount: AccountIdentification; ExpirationDateTime?: string };
+}
+
+export interface FundsConfirmationConsent {
+  ConsentId: string;
+  Status: 'AwaitingAuthorisation' | 'Authorised' | 'Rejected' | 'Revoked' | string;
+  CreationDateTime: string;
+  StatusUpdateDateTime?: string;
+  ExpirationDateTime?: string;
+  DebtorAccount: AccountIdentification;
+  [field: string]: unknown;
+}
+
+export interface FundsConfirmationRequest {
+  Data: { ConsentId: string; Reference: string; InstructedAmount: Amount };
+}
+
+export interface FundsConfirmation {
+  FundsConfirmationId: string;
+  ConsentId: string;
+  CreationDateTime: string;
+  FundsAvailable: boolean;
+  Reference: string;
+  InstructedAmount: Amount;
+}
+
+// ============================================================
+// Client
+// ============================================================
+
+export type TokenProvider = string | null | undefined | (() => string | null | undefined | Promise<string | null | undefined>);
+
+export interface NbgClientOptions {
+  /** API root, e.g. https://apis.nbg.gr/uk/v3_1 or a mock server URL */
+  baseUrl?: string;
+  /** A bearer token, or a function called before every request that returns one */
+  accessToken?: TokenProvider;
+  /** Called once on a 401; return a fresh token, or nothing to let the 401 stand */
+  refreshAccessToken?: () => Promise<string | null | undefined>;
+  /** Sent as the sandbox-id header */
+  sandboxId?: string;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Retries for GET/HEAD on 429, 5xx and dropped connections; writes are never retried */
+  retries?: number;
+  /** Last time the PSU logged in, sent as x-fapi-auth-date */
+  authDate?: number | string | Date;
+  customerIpAddress?: string;
+  customerUserAgent?: string;
+  /** Extra headers for every request */
+  headers?: Record<string, string>;
+  /** An axios adapter, for recording, replaying or testing */
+  adapter?: unknown;
+  /** Waits between retries; defaults to setTimeout */
+  delay?: (ms: number) => Promise<void>;
+  /** Receives one line per request and retry */
+  debug?: (message: string) => void;
+}
+
+export interface RequestOptions {
+  params?: Record<string, unknown> | URLSearchParams;
+  data?: unknown;
+  headers?: Record<string, string>;
+}
+
+export interface Response<T = unknown> {
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  data: T;
+}
+
+export interface StatementFile {
+  status: number;
+  headers: Record<string, string>;
+  contentType: string | null;
+  contentLength: number | null;
+  /** The body as a Node.js readable stream */
+  stream: NodeJS.ReadableStream;
+}
+
+export interface PageOptions {
+  pageSize?: number;
+  maxPages?: number;
+}
+
+export interface PaginationOptions extends PageOptions {
+  /** Follow Links.Next to the last page */
+  all?: boolean;
+  onPage?: (page: Document<Record<string, unknown>>, index: number) => void;
+}
+
+export interface DateRange {
+  fromBookingDateTime?: string;
+  toBookingDateTime?: string;
+  [param: string]: unknown;
+}
+
+export declare class NbgClient {
+  constructor(options?: NbgClientOptions);
+
+  readonly baseUrl: string;
+  readonly sandboxId: string | null;
+
+  send<T = unknown>(method: string, path: string, options?: RequestOptions): Promise<Response<T>>;
+  request<T = unknown>(method: string, path: string, options?: RequestOptions): Promise<T>;
+  pages<T = Document<Record<string, unknown>>>(path: string, params?: Record<string, unknown>, options?: PageOptions): AsyncGenerator<T>;
+  getPages<K extends string, T>(path: string, key: K, params?: Record<string, unknown>, options?: PaginationOptions): Promise<ListDocument<K, T>>;
+
+  createConsent(data: ConsentRequest): Promise<Document<Consent>>;
+  getConsent(consentId: string): Promise<Document<Consent>>;
+  deleteConsent(consentId: string): Promise<void>;
+
+  getAccounts(params?: Record<string, unknown>): Promise<ListDocument<'Account', Account>>;
+  getAccount(accountId: string): Promise<ListDocument<'Account', Account>>;
+
+  getAccountBalances(accountId: string, params?: Record<string, unknown>, pagination?: PaginationOptions): Promise<ListDocument<'Balance', Balance>>;
+  getAllBalances(params?: Record<string, unknown>, pagination?: PaginationOptions): Promise<ListDocument<'Balance', Balance>>;
+  iterateAccountBalances(accountId: string, params?: Record<string, unknown>, options?: PageOptions): AsyncGenerator<Balance>;
+  iterateAllBalances(params?: Record<string, unknown>, options?: PageOptions): AsyncGenerator<Balance>;
+
+  getAccountTransactions(accountId: string, params?: DateRange, pagination?: PaginationOptions): Promise<ListDocument<'Transaction', Transaction>>;
+  getAllTransactions(params?: DateRange, pagination?: PaginationOptions): Promise<ListDocument<'Transaction', Transaction>>;
+  iterateAccountTransactions(accountId: string, params?: DateRange, options?: PageOptions): AsyncGenerator<Transaction>;
+  iterateAllTransactions(params?: DateRange, options?: PageOptions): AsyncGenerator<Transaction>;
+
+  getAccountBeneficiaries(accountId: string): Promise<ListDocument<'Beneficiary', Beneficiary>>;
+  getBeneficiaries(): Promise<ListDocument<'Beneficiary', Beneficiary>>;
+  getAccountStandingOrders(accountId: string): Promise<ListDocument<'StandingOrder', StandingOrder>>;
+  getStandingOrders(): Promise<ListDocument<'StandingOrder', StandingOrder>>;
+  getAccountScheduledPayments(accountId: string): Promise<ListDocument<'ScheduledPayment', ScheduledPayment>>;
+  getScheduledPayments(): Promise<ListDocument<'ScheduledPayment', ScheduledPayment>>;
+  getAccountDirectDebits(accountId: string): Promise<ListDocument<'DirectDebit', DirectDebit>>;
+
+  getAccountProduct(accountId: string): Promise<ListDocument<'Product', Product>>;
+  getAccountOffers(accountId: string): Promise<ListDocument<'Offer', Offer>>;
+
+  getAccountStatements(accountId: string, params?: Record<string, unknown>, pagination?: PaginationOptions): Promise<ListDocument<'Statement', Statement>>;
+  iterateAccountStatements(accountId: string, params?: Record<string, unknown>, options?: PageOptions): AsyncGenerator<Statement>;
+  getAccountStatement(accountId: string, statementId: string): Promise<ListDocument<'Statement', Statement>>;
+  getAccountStatementTransactions(accountId: string, statementId: string, params?: Record<string, unknown>, pagination?: PaginationOptions): Promise<ListDocument<'Transaction', Transaction>>;
+  iterateAccountStatementTransactions(accountId: string, statementId: string, params?: Record<string, unknown>, options?: PageOptions): AsyncGenerator<Transaction>;
+  getAccountStatementFile(accountId: string, statementId: string, options?: { accept?: string }): Promise<StatementFile>;
+
+  createDomesticPaymentConsent(data: PaymentConsentRequest, options?: IdempotencyOptions): Promise<Document<PaymentConsent> & { Risk: PaymentRisk }>;
+  getDomesticPaymentConsent(consentId: string): Promise<Document<PaymentConsent> & { Risk: PaymentRisk }>;
+  createDomesticPayment(data: PaymentRequest, options?: IdempotencyOptions): Promise<Document<DomesticPayment>>;
+  getDomesticPayment(paymentId: string): Promise<Document<DomesticPayment>>;
+  getDomesticPaymentDetails(paymentId: string): Promise<Document<{ PaymentStatus: PaymentStatusDetail[] }>>;
+  createDomesticScheduledPaymentConsent(data: PaymentConsentRequest, options?: IdempotencyOptions): Promise<Document<PaymentConsent> & { Risk: PaymentRisk }>;
+  getDomesticScheduledPaymentConsent(consentId: string): Promise<Document<PaymentConsent> & { Risk: PaymentRisk }>;
+  createDomesticScheduledPayment(data: PaymentRequest, options?: IdempotencyOptions): Promise<Document<DomesticPayment>>;
+  getDomesticScheduledPayment(paymentId: string): Promise<Document<DomesticPayment>>;
+  getDomesticScheduledPaymentDetails(paymentId: string): Promise<Document<{ PaymentStatus: PaymentStatusDetail[] }>>;
+
+  createFundsConfirmationConsent(data: FundsConfirmationConsentRequest): Promise<Document<FundsConfirmationConsent>>;
+  getFundsConfirmationConsent(consentId: string): Promise<Document<FundsConfirmationConsent>>;
+  deleteFundsConfirmationConsent(consentId: string): Promise<unknown>;
+  createFundsConfirmation(data: FundsConfirmationRequest): Promise<Document<FundsConfirmation>>;
+
+  getAccountParty(accountId: string): Promise<Document<{ Party: Party }>>;
+  getAccountParties(accountId: string): Promise<ListDocument<'Party', Party>>;
+  getParty(): Promise<Document<{ Party: Party }>>;
+  createSandbox(data: Record<string, unknown>): Promise<unknown>;
+}
+
+// ============================================================
+// Errors
+// ============================================================
+
+export type ErrorType = 'general' | 'validation' | 'auth' | 'consent' | 'not_found' | 'rate_limited' | 'network' | 'server' | 'insufficient_funds' | 'alert';
+
+export declare const EXIT_CODES: Record<ErrorType, number>;
+
+export declare class CliError extends Error {
+  constructor(message: string, type?: ErrorType);
+  type: ErrorType;
+}
+
+export interface ErrorDetails {
+  type: ErrorType;
+  exitCode: number;
+  message: string;
+  status: number | null;
+  code: string | null;
+  id: string | null;
+  errors: Array<{ errorCode: string | null; message: string | null; path: string | null; url: string | null }>;
+  retryAfter: string | null;
+  interactionId: string | null;
+}
+
+export declare function describeError(error: unknown): ErrorDetails;
+export declare function getInteractionId(error: unknown): string | null;
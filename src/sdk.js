@@ -0,0 +1,4 @@
+// Library entry point. Unlike the CLI it reads no config, keychain or environment on import:
+// everything the client needs is passed to its constructor.
+export { NbgClient, DEFAULT_BASE_URL, DEFAULT_TIMEOUT, DEFAULT_RETRIES } from './client.js';
+export { CliError, EXIT_CODES, describeError, getInteractionId } from './errors.js';
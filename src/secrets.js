@@ -0,0 +1,70 @@
+import crypto from 'node:crypto';
+import { CliError } from './errors.js';
+
+const PREFIX = 'enc:v1:';
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-fapi-customer-ip-address'];
+const SENSITIVE_FIELDS = /token|secret|password|passphrase|authorization|code_verifier|^code$/i;
+// OB fields that identify the customer or a counterparty, or show their money: account numbers, names,
+// contact details, addresses, free-text descriptions and amounts
+const PERSONAL_FIELDS = /^(Identification|SecondaryIdentification|Name|FullLegalName|Nickname|PartyNumber|EmailAddress|Phone|Mobile|AddressLine|StreetName|BuildingNumber|PostCode|TownName|CountrySubDivision|TransactionInformation|Amount)$/;
+
+export function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function encryptSecret(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return PREFIX + [iv, tag, data].map(part => part.toString('base64')).join(':');
+}
+
+export function decryptSecret(value, key) {
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch {
+    throw new CliError('Unable to decrypt credentials: wrong passphrase or key file', 'auth');
+  }
+}
+
+export function redactHeaders(headers = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    result[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return result;
+}
+
+function redactFields(value, fields) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactFields(item, fields));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = fields.test(key) && item != null && typeof item !== 'object' ? REDACTED : redactFields(item, fields);
+    }
+    return result;
+  }
+  return value;
+}
+
+// Deep copy of `value` with every secret-looking field replaced
+export function redact(value) {
+  return redactFields(value, SENSITIVE_FIELDS);
+}
+
+// Deep copy of an API request or response body with secrets and personal data replaced
+export function redactBody(value) {
+  return redactFields(redactFields(value, SENSITIVE_FIELDS), PERSONAL_FIELDS);
+}
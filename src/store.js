@@ -0,0 +1,193 @@
+import Conf from 'conf';
+import { getActiveProfile } from './config.js';
+import { getAccounts, getAccount, getAccountBalances, getAccountTransactions } from './api.js';
+import { CliError } from './errors.js';
+
+// Keep this many balance snapshots per account
+const MAX_SNAPSHOTS = 500;
+
+const stores = new Map();
+
+function getStore() {
+  const profile = getActiveProfile();
+  if (!stores.has(profile)) {
+    stores.set(profile, new Conf({
+      projectName: 'ktmcp-nbg',
+      configName: `store-${profile}`,
+      // Account and transaction IDs are used as keys and may contain dots
+      accessPropertiesByDotNotation: false
+    }));
+  }
+  return stores.get(profile);
+}
+
+function read(key) {
+  return getStore().get(key) || {};
+}
+
+function write(key, value) {
+  getStore().set(key, value);
+}
+
+export function transactionKey(t) {
+  return t.TransactionId || t.TransactionReference
+    || [t.BookingDateTime, t.Amount?.Amount, t.CreditDebitIndicator, t.TransactionInformation].join('|');
+}
+
+function envelope(data, meta = {}) {
+  return { Data: data, Links: {}, Meta: { TotalPages: 1, ...meta } };
+}
+
+function byBookingDate(a, b) {
+  return String(b.BookingDateTime).localeCompare(String(a.BookingDateTime));
+}
+
+function inRange(t, params) {
+  if (params.fromBookingDateTime && t.BookingDateTime < params.fromBookingDateTime) return false;
+  if (params.toBookingDateTime && t.BookingDateTime > params.toBookingDateTime) return false;
+  return true;
+}
+
+// ============================================================
+// Offline reads (same envelopes as the API)
+// ============================================================
+
+export function getStoredAccounts() {
+  return envelope({ Account: Object.values(read('accounts')) });
+}
+
+export function getStoredAccount(accountId) {
+  const account = read('accounts')[accountId];
+  if (!account) {
+    throw new CliError(`Account ${accountId} is not in the local store. Run "nbg sync" first.`, 'not_found');
+  }
+  return envelope({ Account: [account] });
+}
+
+export function getStoredAccountBalances(accountId) {
+  const snapshots = read('balances')[accountId] || [];
+  const latest = snapshots[snapshots.length - 1];
+  return envelope({ Balance: latest?.Balance || [] }, { LastSyncedAt: latest?.SyncedAt || null });
+}
+
+export function getStoredAllBalances() {
+  const balances = Object.values(read('balances')).flatMap(snapshots => snapshots[snapshots.length - 1]?.Balance || []);
+  return envelope({ Balance: balances });
+}
+
+export function getStoredAccountTransactions(accountId, params = {}) {
+  const transactions = Object.values(read('transactions')[accountId] || {})
+    .filter(t => inRange(t, params))
+    .sort(byBookingDate);
+  return envelope({ Transaction: transactions }, { LastSyncedAt: read('sync')[accountId]?.lastSyncedAt || null });
+}
+
+export function getStoredAllTransactions(params = {}) {
+  const transactions = Object.values(read('transactions'))
+    .flatMap(byId => Object.values(byId))
+    .filter(t => inRange(t, params))
+    .sort(byBookingDate);
+  return envelope({ Transaction: transactions });
+}
+
+// ============================================================
+// Sync
+// ============================================================
+
+export async function syncAccount(accountId) {
+  const allTransactions = read('transactions');
+  const stored = allTransactions[accountId] || {};
+  const state = read('sync')[accountId] || {};
+
+  const params = {};
+  if (state.lastBookingDateTime) {
+    // Inclusive: other transactions may share the last timestamp; dedupe takes care of repeats
+    params.fromBookingDateTime = state.lastBookingDateTime;
+  }
+
+  const data = await getAccountTransactions(accountId, params, { all: true });
+  const fetched = data.Data?.Transaction || [];
+  const fetchedKeys = new Set();
+  let added = 0;
+  let updated = 0;
+
+  for (const t of fetched) {
+    const key = transactionKey(t);
+    const record = { ...t, AccountId: t.AccountId || accountId };
+    fetchedKeys.add(key);
+    if (!stored[key]) {
+      added++;
+    } else if (JSON.stringify(stored[key]) !== JSON.stringify(record)) {
+      updated++;
+    }
+    stored[key] = record;
+  }
+
+  // Pending transactions in the refetched window that the bank no longer returns were dropped or rebooked
+  let removed = 0;
+  for (const [key, t] of Object.entries(stored)) {
+    if (t.Status === 'Pending' && !fetchedKeys.has(key) && inRange(t, params)) {
+      delete stored[key];
+      removed++;
+    }
+  }
+
+  allTransactions[accountId] = stored;
+  write('transactions', allTransactions);
+
+  const balances = await getAccountBalances(accountId, {}, { all: true });
+  const syncedAt = new Date().toISOString();
+  const history = read('balances');
+  history[accountId] = [...(history[accountId] || []), { SyncedAt: syncedAt, Balance: balances.Data?.Balance || [] }].slice(-MAX_SNAPSHOTS);
+  write('balances', history);
+
+  // Advance the cursor to the latest booked transaction, but never past the earliest pending one, so
+  // pending transactions are fetched again until they settle or drop off
+  const latestBooked = Object.values(stored)
+    .filter(t => t.Status !== 'Pending' && t.BookingDateTime)
+    .reduce((max, t) => (t.BookingDateTime > max ? t.BookingDateTime : max), state.lastBookingDateTime || '');
+  const earliestPending = Object.values(stored)
+    .filter(t => t.Status === 'Pending' && t.BookingDateTime)
+    .reduce((min, t) => (!min || t.BookingDateTime < min ? t.BookingDateTime : min), '');
+  const lastBookingDateTime = earliestPending && earliestPending < latestBooked ? earliestPending : latestBooked;
+
+  const sync = read('sync');
+  sync[accountId] = { lastBookingDateTime: lastBookingDateTime || null, lastSyncedAt: syncedAt };
+  write('sync', sync);
+
+  return {
+    accountId,
+    added,
+    updated,
+    removed,
+    total: Object.keys(stored).length,
+    lastBookingDateTime: lastBookingDateTime || null,
+    syncedAt
+  };
+}
+
+function storeAccounts(accounts) {
+  const stored = read('accounts');
+  for (const account of accounts) {
+    stored[account.AccountId] = account;
+  }
+  write('accounts', stored);
+}
+
+export async function sync(accountId) {
+  if (accountId) {
+    const data = await getAccount(accountId);
+    storeAccounts(data.Data?.Account || []);
+    return [await syncAccount(accountId)];
+  }
+
+  const data = await getAccounts();
+  const accounts = data.Data?.Account || [];
+  storeAccounts(accounts);
+
+  const results = [];
+  for (const account of accounts) {
+    results.push(await syncAccount(account.AccountId));
+  }
+  return results;
+}
@@ -0,0 +1,211 @@
+import { spawn } from 'node:child_process';
+import { setTimeout as sleep } from 'node:timers/promises';
+import axios from 'axios';
+import Conf from 'conf';
+import { getActiveProfile } from './config.js';
+import { getAccountTransactions } from './api.js';
+import { transactionKey } from './store.js';
+import { CliError } from './errors.js';
+
+export const DEFAULT_WATCH_INTERVAL = '60s';
+
+// Each poll re-reads this far behind the previous one, so transactions the bank posts late are
+// still caught; seen IDs are kept for the same window so they are not emitted twice
+const LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const HOOK_TIMEOUT_MS = 30 * 1000;
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const stores = new Map();
+
+function getStore() {
+  const profile = getActiveProfile();
+  if (!stores.has(profile)) {
+    stores.set(profile, new Conf({
+      projectName: 'ktmcp-nbg',
+      configName: `watch-${profile}`,
+      accessPropertiesByDotNotation: false
+    }));
+  }
+  return stores.get(profile);
+}
+
+function obDateTime(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+// "90" (seconds), "500ms", "30s", "5m", "1h"
+export function parseInterval(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new CliError(`Invalid interval "${value}". Use a duration such as 30s, 5m or 1h`, 'validation');
+  }
+  const ms = Number(match[1]) * UNITS[match[2] || 's'];
+  if (ms < 1000) {
+    throw new CliError('--interval must be at least 1s', 'validation');
+  }
+  return ms;
+}
+
+export function formatInterval(ms) {
+  const unit = ['h', 'm', 's'].find(u => ms % UNITS[u] === 0) || 'ms';
+  return `${ms / UNITS[unit]}${unit}`;
+}
+
+export function backoffDelay(interval, failures) {
+  return Math.min(interval * 2 ** failures, Math.max(MAX_BACKOFF_MS, interval));
+}
+
+export function getWatchState(accountId) {
+  return getStore().get(accountId) || null;
+}
+
+export function resetWatchState(accountId) {
+  if (accountId) {
+    getStore().delete(accountId);
+  } else {
+    getStore().clear();
+  }
+}
+
+// ============================================================
+// Polling
+// ============================================================
+
+// Fetches the account's transactions since its cursor (the start of the last successful poll) and hands
+// each unseen one to onTransaction, oldest first. The state is saved after every transaction, so a
+// restart resumes where it stopped. Without saved state the first poll only records what is already
+// there, unless `since` is given.
+export async function pollAccount(accountId, { since, onTransaction } = {}) {
+  const startedAt = Date.now();
+  const saved = getWatchState(accountId);
+  const baseline = !saved && !since;
+  const state = saved || { cursor: null, seen: {} };
+  const from = saved?.cursor
+    ? Date.parse(saved.cursor) - LOOKBACK_MS
+    : (since ? Date.parse(since) : startedAt - LOOKBACK_MS);
+
+  const data = await getAccountTransactions(accountId, { fromBookingDateTime: obDateTime(from) }, { all: true });
+  const transactions = (data.Data?.Transaction || [])
+    .slice()
+    .sort((a, b) => String(a.BookingDateTime).localeCompare(String(b.BookingDateTime)));
+
+  let emitted = 0;
+  for (const t of transactions) {
+    const key = transactionKey(t);
+    if (state.seen[key]) continue;
+
+    if (!baseline) {
+      await onTransaction({ ...t, AccountId: t.AccountId || accountId });
+      emitted++;
+    }
+    state.seen[key] = t.BookingDateTime || obDateTime(startedAt);
+    if (!baseline) getStore().set(accountId, state);
+  }
+
+  // The next poll starts LOOKBACK_MS before this one; older seen IDs can no longer come back
+  state.cursor = obDateTime(startedAt);
+  const horizon = startedAt - LOOKBACK_MS;
+  state.seen = Object.fromEntries(Object.entries(state.seen).filter(([, bookedAt]) => !(Date.parse(bookedAt) < horizon)));
+  getStore().set(accountId, state);
+
+  return { accountId, emitted, baseline, cursor: state.cursor };
+}
+
+// Polls every account until the signal aborts. A failed round is retried with exponential backoff;
+// onError is told how long the wait will be.
+export async function watchTransactions({ accountIds, interval, since, once = false, signal, onTransaction, onPoll, onError }) {
+  let failures = 0;
+
+  while (!signal?.aborted) {
+    try {
+      for (const accountId of accountIds) {
+        const result = await pollAccount(accountId, { since, onTransaction });
+        onPoll?.(result);
+      }
+      failures = 0;
+    } catch (error) {
+      if (once) throw error;
+      failures++;
+      onError?.(error, backoffDelay(interval, failures));
+    }
+
+    if (once) return;
+    try {
+      await sleep(failures ? backoffDelay(interval, failures) : interval, undefined, { signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  }
+}
+
+// ============================================================
+// Hooks
+// ============================================================
+
+export function describeTransaction(t) {
+  const amount = `${t.Amount?.Amount ?? '?'} ${t.Amount?.Currency ?? ''}`.trim();
+  const counterparty = t.MerchantDetails?.MerchantName
+    || (t.CreditDebitIndicator === 'Credit' ? t.DebtorAccount?.Name : t.CreditorAccount?.Name)
+    || t.TransactionInformation
+    || 'Unknown';
+  return `${t.CreditDebitIndicator === 'Credit' ? 'Received' : 'Paid'} ${amount} ${t.CreditDebitIndicator === 'Credit' ? 'from' : 'to'} ${counterparty} (account ${t.AccountId})`;
+}
+
+// Runs the command through the shell with the transaction as JSON on stdin. Its stdout goes to
+// stderr so that stdout stays NDJSON.
+export function runExecHook(command, transaction) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 2, 2],
+      timeout: HOOK_TIMEOUT_MS,
+      env: {
+        ...process.env,
+        NBG_ACCOUNT_ID: transaction.AccountId || '',
+        NBG_TRANSACTION_ID: transaction.TransactionId || '',
+        NBG_AMOUNT: transaction.Amount?.Amount || '',
+        NBG_CURRENCY: transaction.Amount?.Currency || '',
+        NBG_CREDIT_DEBIT: transaction.CreditDebitIndicator || '',
+        NBG_STATUS: transaction.Status || '',
+        NBG_BOOKING_DATE_TIME: transaction.BookingDateTime || '',
+        NBG_DESCRIPTION: transaction.TransactionInformation || '',
+        NBG_SUMMARY: describeTransaction(transaction)
+      }
+    });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new CliError(signal ? `--exec command was stopped (${signal})` : `--exec command exited with code ${code}`));
+      }
+    });
+    // The command may not read stdin at all
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${JSON.stringify(transaction)}\n`);
+  });
+}
+
+export function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new CliError(`--webhook "${value}" is not a URL`, 'validation');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new CliError('--webhook must be an http(s) URL', 'validation');
+  }
+  return url.toString();
+}
+
+// `text` makes the body a valid Slack/Mattermost incoming-webhook message; the rest is for other receivers
+export async function postWebhook(url, transaction) {
+  await axios.post(url, {
+    text: describeTransaction(transaction),
+    accountId: transaction.AccountId,
+    transaction
+  }, { timeout: HOOK_TIMEOUT_MS });
+}